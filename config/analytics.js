@@ -0,0 +1,22 @@
+// config/analytics.js
+
+//period covered by the analytics endpoints when ?from= is not given
+const DEFAULT_RANGE_DAYS = 30;
+
+//longest period one request may cover
+const MAX_RANGE_DAYS = 366;
+
+//job views are deleted after this many days (a bit more than MAX_RANGE_DAYS, so the longest
+//range ending today is always complete)
+const JOB_VIEW_RETENTION_DAYS = 400;
+
+//how many sources / jobs the "top" lists return
+const TOP_LIMIT = 10;
+
+//source recorded when a view or application carries no ?source=/utm_source= and no referrer
+const DIRECT_SOURCE = 'direct';
+
+//the main path through the hiring pipeline, used for stage-to-stage conversion ('rejected' is reported apart)
+const FUNNEL_STAGES = ['applied', 'screening', 'interview', 'offer', 'hired'];
+
+module.exports = { DEFAULT_RANGE_DAYS, MAX_RANGE_DAYS, JOB_VIEW_RETENTION_DAYS, TOP_LIMIT, DIRECT_SOURCE, FUNNEL_STAGES };
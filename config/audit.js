@@ -0,0 +1,11 @@
+// config/audit.js
+
+//entity types and actions recorded in the audit trail
+const AUDIT_ENTITY_TYPES = ['job', 'user', 'application'];
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+//fields never copied into the audit trail (secrets) and fields not worth diffing (bookkeeping)
+const REDACTED_FIELDS = ['password'];
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'history'];
+
+module.exports = { AUDIT_ENTITY_TYPES, AUDIT_ACTIONS, REDACTED_FIELDS, IGNORED_FIELDS };
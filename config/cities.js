@@ -0,0 +1,287 @@
+// config/cities.js
+
+//bundled city list used by the offline geocoder (utils/geocoder/offlineGeocoder.js) to turn free-text
+//job locations into { city, region, country, coordinates } without calling any external service.
+//when a name is ambiguous (Portland, London, Cambridge, ...) the city listed first wins
+//unless the text names a region or country. add cities here as new markets come up.
+
+//ISO 3166-1 alpha-2 code → name, plus other spellings found in the wild
+const COUNTRIES = {
+  US: { name: 'United States', aliases: ['usa', 'us', 'united states of america', 'america'] },
+  CA: { name: 'Canada', aliases: [] },
+  MX: { name: 'Mexico', aliases: [] },
+  BR: { name: 'Brazil', aliases: ['brasil'] },
+  AR: { name: 'Argentina', aliases: [] },
+  CL: { name: 'Chile', aliases: [] },
+  CO: { name: 'Colombia', aliases: [] },
+  PE: { name: 'Peru', aliases: [] },
+  GB: { name: 'United Kingdom', aliases: ['uk', 'great britain', 'britain', 'england', 'scotland', 'wales'] },
+  IE: { name: 'Ireland', aliases: [] },
+  FR: { name: 'France', aliases: [] },
+  DE: { name: 'Germany', aliases: ['deutschland'] },
+  NL: { name: 'Netherlands', aliases: ['the netherlands', 'holland'] },
+  BE: { name: 'Belgium', aliases: [] },
+  LU: { name: 'Luxembourg', aliases: [] },
+  CH: { name: 'Switzerland', aliases: [] },
+  AT: { name: 'Austria', aliases: [] },
+  ES: { name: 'Spain', aliases: ['espana'] },
+  PT: { name: 'Portugal', aliases: [] },
+  IT: { name: 'Italy', aliases: ['italia'] },
+  DK: { name: 'Denmark', aliases: [] },
+  SE: { name: 'Sweden', aliases: [] },
+  NO: { name: 'Norway', aliases: [] },
+  FI: { name: 'Finland', aliases: [] },
+  EE: { name: 'Estonia', aliases: [] },
+  LT: { name: 'Lithuania', aliases: [] },
+  LV: { name: 'Latvia', aliases: [] },
+  PL: { name: 'Poland', aliases: [] },
+  CZ: { name: 'Czechia', aliases: ['czech republic'] },
+  HU: { name: 'Hungary', aliases: [] },
+  RO: { name: 'Romania', aliases: [] },
+  BG: { name: 'Bulgaria', aliases: [] },
+  GR: { name: 'Greece', aliases: [] },
+  UA: { name: 'Ukraine', aliases: [] },
+  RS: { name: 'Serbia', aliases: [] },
+  HR: { name: 'Croatia', aliases: [] },
+  TR: { name: 'Turkey', aliases: ['turkiye'] },
+  IL: { name: 'Israel', aliases: [] },
+  AE: { name: 'United Arab Emirates', aliases: ['uae'] },
+  SA: { name: 'Saudi Arabia', aliases: [] },
+  QA: { name: 'Qatar', aliases: [] },
+  EG: { name: 'Egypt', aliases: [] },
+  MA: { name: 'Morocco', aliases: [] },
+  NG: { name: 'Nigeria', aliases: [] },
+  GH: { name: 'Ghana', aliases: [] },
+  KE: { name: 'Kenya', aliases: [] },
+  ZA: { name: 'South Africa', aliases: [] },
+  IN: { name: 'India', aliases: [] },
+  PK: { name: 'Pakistan', aliases: [] },
+  BD: { name: 'Bangladesh', aliases: [] },
+  LK: { name: 'Sri Lanka', aliases: [] },
+  SG: { name: 'Singapore', aliases: [] },
+  MY: { name: 'Malaysia', aliases: [] },
+  ID: { name: 'Indonesia', aliases: [] },
+  TH: { name: 'Thailand', aliases: [] },
+  VN: { name: 'Vietnam', aliases: ['viet nam'] },
+  PH: { name: 'Philippines', aliases: [] },
+  CN: { name: 'China', aliases: [] },
+  HK: { name: 'Hong Kong', aliases: [] },
+  TW: { name: 'Taiwan', aliases: [] },
+  KR: { name: 'South Korea', aliases: ['korea', 'republic of korea'] },
+  JP: { name: 'Japan', aliases: [] },
+  AU: { name: 'Australia', aliases: [] },
+  NZ: { name: 'New Zealand', aliases: [] },
+};
+
+//region codes used in labels ("Austin, TX, United States"), with their full names
+const REGIONS = {
+  US: {
+    AZ: 'Arizona', CA: 'California', CO: 'Colorado', DC: 'District of Columbia', FL: 'Florida',
+    GA: 'Georgia', IL: 'Illinois', IN: 'Indiana', MA: 'Massachusetts', MD: 'Maryland', ME: 'Maine',
+    MI: 'Michigan', MN: 'Minnesota', MO: 'Missouri', NC: 'North Carolina', NV: 'Nevada',
+    NY: 'New York', OH: 'Ohio', OR: 'Oregon', PA: 'Pennsylvania', TN: 'Tennessee', TX: 'Texas',
+    UT: 'Utah', VA: 'Virginia', WA: 'Washington', WI: 'Wisconsin',
+  },
+  CA: { AB: 'Alberta', BC: 'British Columbia', ON: 'Ontario', QC: 'Quebec', MB: 'Manitoba', NS: 'Nova Scotia' },
+  AU: { NSW: 'New South Wales', VIC: 'Victoria', QLD: 'Queensland', WA: 'Western Australia', SA: 'South Australia', ACT: 'Australian Capital Territory' },
+  IN: { KA: 'Karnataka', MH: 'Maharashtra', DL: 'Delhi', TG: 'Telangana', TN: 'Tamil Nadu', HR: 'Haryana', UP: 'Uttar Pradesh', WB: 'West Bengal' },
+};
+
+//cities: region is one of the codes above (or empty), lat/lng in degrees, aliases are other spellings
+const CITIES = [
+  //United States
+  { city: 'New York', region: 'NY', country: 'US', lat: 40.7128, lng: -74.006, aliases: ['nyc', 'new york city', 'manhattan', 'brooklyn'] },
+  { city: 'San Francisco', region: 'CA', country: 'US', lat: 37.7749, lng: -122.4194, aliases: ['sf', 'san fran', 'bay area'] },
+  { city: 'Los Angeles', region: 'CA', country: 'US', lat: 34.0522, lng: -118.2437, aliases: ['la'] },
+  { city: 'San Jose', region: 'CA', country: 'US', lat: 37.3382, lng: -121.8863, aliases: ['silicon valley'] },
+  { city: 'San Diego', region: 'CA', country: 'US', lat: 32.7157, lng: -117.1611, aliases: [] },
+  { city: 'Oakland', region: 'CA', country: 'US', lat: 37.8044, lng: -122.2712, aliases: [] },
+  { city: 'Palo Alto', region: 'CA', country: 'US', lat: 37.4419, lng: -122.143, aliases: [] },
+  { city: 'Mountain View', region: 'CA', country: 'US', lat: 37.3861, lng: -122.0839, aliases: [] },
+  { city: 'Sacramento', region: 'CA', country: 'US', lat: 38.5816, lng: -121.4944, aliases: [] },
+  { city: 'Seattle', region: 'WA', country: 'US', lat: 47.6062, lng: -122.3321, aliases: [] },
+  { city: 'Bellevue', region: 'WA', country: 'US', lat: 47.6101, lng: -122.2015, aliases: [] },
+  { city: 'Portland', region: 'OR', country: 'US', lat: 45.5152, lng: -122.6784, aliases: [] },
+  { city: 'Portland', region: 'ME', country: 'US', lat: 43.6591, lng: -70.2568, aliases: [] },
+  { city: 'Boston', region: 'MA', country: 'US', lat: 42.3601, lng: -71.0589, aliases: [] },
+  { city: 'Cambridge', region: 'MA', country: 'US', lat: 42.3736, lng: -71.1097, aliases: [] },
+  { city: 'Chicago', region: 'IL', country: 'US', lat: 41.8781, lng: -87.6298, aliases: ['chi'] },
+  { city: 'Austin', region: 'TX', country: 'US', lat: 30.2672, lng: -97.7431, aliases: [] },
+  { city: 'Dallas', region: 'TX', country: 'US', lat: 32.7767, lng: -96.797, aliases: [] },
+  { city: 'Houston', region: 'TX', country: 'US', lat: 29.7604, lng: -95.3698, aliases: [] },
+  { city: 'San Antonio', region: 'TX', country: 'US', lat: 29.4241, lng: -98.4936, aliases: [] },
+  { city: 'Denver', region: 'CO', country: 'US', lat: 39.7392, lng: -104.9903, aliases: [] },
+  { city: 'Boulder', region: 'CO', country: 'US', lat: 40.015, lng: -105.2705, aliases: [] },
+  { city: 'Phoenix', region: 'AZ', country: 'US', lat: 33.4484, lng: -112.074, aliases: [] },
+  { city: 'Las Vegas', region: 'NV', country: 'US', lat: 36.1699, lng: -115.1398, aliases: ['vegas'] },
+  { city: 'Salt Lake City', region: 'UT', country: 'US', lat: 40.7608, lng: -111.891, aliases: ['slc'] },
+  { city: 'Minneapolis', region: 'MN', country: 'US', lat: 44.9778, lng: -93.265, aliases: [] },
+  { city: 'Detroit', region: 'MI', country: 'US', lat: 42.3314, lng: -83.0458, aliases: [] },
+  { city: 'Columbus', region: 'OH', country: 'US', lat: 39.9612, lng: -82.9988, aliases: [] },
+  { city: 'Cleveland', region: 'OH', country: 'US', lat: 41.4993, lng: -81.6944, aliases: [] },
+  { city: 'Pittsburgh', region: 'PA', country: 'US', lat: 40.4406, lng: -79.9959, aliases: [] },
+  { city: 'Philadelphia', region: 'PA', country: 'US', lat: 39.9526, lng: -75.1652, aliases: ['philly'] },
+  { city: 'Washington', region: 'DC', country: 'US', lat: 38.9072, lng: -77.0369, aliases: ['washington dc', 'washington d.c.', 'dc'] },
+  { city: 'Baltimore', region: 'MD', country: 'US', lat: 39.2904, lng: -76.6122, aliases: [] },
+  { city: 'Arlington', region: 'VA', country: 'US', lat: 38.8816, lng: -77.091, aliases: [] },
+  { city: 'Raleigh', region: 'NC', country: 'US', lat: 35.7796, lng: -78.6382, aliases: [] },
+  { city: 'Charlotte', region: 'NC', country: 'US', lat: 35.2271, lng: -80.8431, aliases: [] },
+  { city: 'Atlanta', region: 'GA', country: 'US', lat: 33.749, lng: -84.388, aliases: ['atl'] },
+  { city: 'Miami', region: 'FL', country: 'US', lat: 25.7617, lng: -80.1918, aliases: [] },
+  { city: 'Orlando', region: 'FL', country: 'US', lat: 28.5383, lng: -81.3792, aliases: [] },
+  { city: 'Tampa', region: 'FL', country: 'US', lat: 27.9506, lng: -82.4572, aliases: [] },
+  { city: 'Nashville', region: 'TN', country: 'US', lat: 36.1627, lng: -86.7816, aliases: [] },
+  { city: 'St. Louis', region: 'MO', country: 'US', lat: 38.627, lng: -90.1994, aliases: ['saint louis', 'st louis'] },
+  { city: 'Kansas City', region: 'MO', country: 'US', lat: 39.0997, lng: -94.5786, aliases: [] },
+  { city: 'Indianapolis', region: 'IN', country: 'US', lat: 39.7684, lng: -86.1581, aliases: [] },
+  { city: 'Milwaukee', region: 'WI', country: 'US', lat: 43.0389, lng: -87.9065, aliases: [] },
+
+  //Canada
+  { city: 'Toronto', region: 'ON', country: 'CA', lat: 43.6532, lng: -79.3832, aliases: ['gta'] },
+  { city: 'Ottawa', region: 'ON', country: 'CA', lat: 45.4215, lng: -75.6972, aliases: [] },
+  { city: 'Waterloo', region: 'ON', country: 'CA', lat: 43.4643, lng: -80.5204, aliases: [] },
+  { city: 'Vancouver', region: 'BC', country: 'CA', lat: 49.2827, lng: -123.1207, aliases: [] },
+  { city: 'Montreal', region: 'QC', country: 'CA', lat: 45.5017, lng: -73.5673, aliases: ['montréal'] },
+  { city: 'Calgary', region: 'AB', country: 'CA', lat: 51.0447, lng: -114.0719, aliases: [] },
+  { city: 'Edmonton', region: 'AB', country: 'CA', lat: 53.5461, lng: -113.4938, aliases: [] },
+  { city: 'Winnipeg', region: 'MB', country: 'CA', lat: 49.8951, lng: -97.1384, aliases: [] },
+  { city: 'Halifax', region: 'NS', country: 'CA', lat: 44.6488, lng: -63.5752, aliases: [] },
+
+  //Latin America
+  { city: 'Mexico City', region: '', country: 'MX', lat: 19.4326, lng: -99.1332, aliases: ['cdmx', 'ciudad de mexico'] },
+  { city: 'Guadalajara', region: '', country: 'MX', lat: 20.6597, lng: -103.3496, aliases: [] },
+  { city: 'Monterrey', region: '', country: 'MX', lat: 25.6866, lng: -100.3161, aliases: [] },
+  { city: 'São Paulo', region: '', country: 'BR', lat: -23.5505, lng: -46.6333, aliases: ['sao paulo'] },
+  { city: 'Rio de Janeiro', region: '', country: 'BR', lat: -22.9068, lng: -43.1729, aliases: ['rio'] },
+  { city: 'Buenos Aires', region: '', country: 'AR', lat: -34.6037, lng: -58.3816, aliases: [] },
+  { city: 'Santiago', region: '', country: 'CL', lat: -33.4489, lng: -70.6693, aliases: [] },
+  { city: 'Bogotá', region: '', country: 'CO', lat: 4.711, lng: -74.0721, aliases: ['bogota'] },
+  { city: 'Medellín', region: '', country: 'CO', lat: 6.2442, lng: -75.5812, aliases: ['medellin'] },
+  { city: 'Lima', region: '', country: 'PE', lat: -12.0464, lng: -77.0428, aliases: [] },
+
+  //Europe
+  { city: 'London', region: '', country: 'GB', lat: 51.5074, lng: -0.1278, aliases: [] },
+  { city: 'Manchester', region: '', country: 'GB', lat: 53.4808, lng: -2.2426, aliases: [] },
+  { city: 'Birmingham', region: '', country: 'GB', lat: 52.4862, lng: -1.8904, aliases: [] },
+  { city: 'Edinburgh', region: '', country: 'GB', lat: 55.9533, lng: -3.1883, aliases: [] },
+  { city: 'Glasgow', region: '', country: 'GB', lat: 55.8642, lng: -4.2518, aliases: [] },
+  { city: 'Bristol', region: '', country: 'GB', lat: 51.4545, lng: -2.5879, aliases: [] },
+  { city: 'Leeds', region: '', country: 'GB', lat: 53.8008, lng: -1.5491, aliases: [] },
+  { city: 'Cambridge', region: '', country: 'GB', lat: 52.2053, lng: 0.1218, aliases: [] },
+  { city: 'Oxford', region: '', country: 'GB', lat: 51.752, lng: -1.2577, aliases: [] },
+  { city: 'Belfast', region: '', country: 'GB', lat: 54.5973, lng: -5.9301, aliases: [] },
+  { city: 'Dublin', region: '', country: 'IE', lat: 53.3498, lng: -6.2603, aliases: [] },
+  { city: 'Cork', region: '', country: 'IE', lat: 51.8985, lng: -8.4756, aliases: [] },
+  { city: 'Paris', region: '', country: 'FR', lat: 48.8566, lng: 2.3522, aliases: [] },
+  { city: 'Lyon', region: '', country: 'FR', lat: 45.764, lng: 4.8357, aliases: [] },
+  { city: 'Marseille', region: '', country: 'FR', lat: 43.2965, lng: 5.3698, aliases: [] },
+  { city: 'Toulouse', region: '', country: 'FR', lat: 43.6047, lng: 1.4442, aliases: [] },
+  { city: 'Nantes', region: '', country: 'FR', lat: 47.2184, lng: -1.5536, aliases: [] },
+  { city: 'Berlin', region: '', country: 'DE', lat: 52.52, lng: 13.405, aliases: [] },
+  { city: 'Munich', region: '', country: 'DE', lat: 48.1351, lng: 11.582, aliases: ['münchen', 'munchen'] },
+  { city: 'Hamburg', region: '', country: 'DE', lat: 53.5511, lng: 9.9937, aliases: [] },
+  { city: 'Frankfurt', region: '', country: 'DE', lat: 50.1109, lng: 8.6821, aliases: ['frankfurt am main'] },
+  { city: 'Cologne', region: '', country: 'DE', lat: 50.9375, lng: 6.9603, aliases: ['köln', 'koln'] },
+  { city: 'Stuttgart', region: '', country: 'DE', lat: 48.7758, lng: 9.1829, aliases: [] },
+  { city: 'Düsseldorf', region: '', country: 'DE', lat: 51.2277, lng: 6.7735, aliases: ['dusseldorf', 'duesseldorf'] },
+  { city: 'Leipzig', region: '', country: 'DE', lat: 51.3397, lng: 12.3731, aliases: [] },
+  { city: 'Amsterdam', region: '', country: 'NL', lat: 52.3676, lng: 4.9041, aliases: [] },
+  { city: 'Rotterdam', region: '', country: 'NL', lat: 51.9244, lng: 4.4777, aliases: [] },
+  { city: 'Utrecht', region: '', country: 'NL', lat: 52.0907, lng: 5.1214, aliases: [] },
+  { city: 'Eindhoven', region: '', country: 'NL', lat: 51.4416, lng: 5.4697, aliases: [] },
+  { city: 'The Hague', region: '', country: 'NL', lat: 52.0705, lng: 4.3007, aliases: ['den haag'] },
+  { city: 'Brussels', region: '', country: 'BE', lat: 50.8503, lng: 4.3517, aliases: ['bruxelles', 'brussel'] },
+  { city: 'Antwerp', region: '', country: 'BE', lat: 51.2194, lng: 4.4025, aliases: ['antwerpen'] },
+  { city: 'Luxembourg', region: '', country: 'LU', lat: 49.6116, lng: 6.1319, aliases: [] },
+  { city: 'Zurich', region: '', country: 'CH', lat: 47.3769, lng: 8.5417, aliases: ['zürich'] },
+  { city: 'Geneva', region: '', country: 'CH', lat: 46.2044, lng: 6.1432, aliases: ['genève', 'geneve'] },
+  { city: 'Basel', region: '', country: 'CH', lat: 47.5596, lng: 7.5886, aliases: [] },
+  { city: 'Vienna', region: '', country: 'AT', lat: 48.2082, lng: 16.3738, aliases: ['wien'] },
+  { city: 'Madrid', region: '', country: 'ES', lat: 40.4168, lng: -3.7038, aliases: [] },
+  { city: 'Barcelona', region: '', country: 'ES', lat: 41.3851, lng: 2.1734, aliases: [] },
+  { city: 'Valencia', region: '', country: 'ES', lat: 39.4699, lng: -0.3763, aliases: [] },
+  { city: 'Málaga', region: '', country: 'ES', lat: 36.7213, lng: -4.4214, aliases: ['malaga'] },
+  { city: 'Lisbon', region: '', country: 'PT', lat: 38.7223, lng: -9.1393, aliases: ['lisboa'] },
+  { city: 'Porto', region: '', country: 'PT', lat: 41.1579, lng: -8.6291, aliases: ['oporto'] },
+  { city: 'Milan', region: '', country: 'IT', lat: 45.4642, lng: 9.19, aliases: ['milano'] },
+  { city: 'Rome', region: '', country: 'IT', lat: 41.9028, lng: 12.4964, aliases: ['roma'] },
+  { city: 'Turin', region: '', country: 'IT', lat: 45.0703, lng: 7.6869, aliases: ['torino'] },
+  { city: 'Copenhagen', region: '', country: 'DK', lat: 55.6761, lng: 12.5683, aliases: ['københavn', 'kobenhavn'] },
+  { city: 'Stockholm', region: '', country: 'SE', lat: 59.3293, lng: 18.0686, aliases: [] },
+  { city: 'Gothenburg', region: '', country: 'SE', lat: 57.7089, lng: 11.9746, aliases: ['göteborg', 'goteborg'] },
+  { city: 'Malmö', region: '', country: 'SE', lat: 55.605, lng: 13.0038, aliases: ['malmo'] },
+  { city: 'Oslo', region: '', country: 'NO', lat: 59.9139, lng: 10.7522, aliases: [] },
+  { city: 'Helsinki', region: '', country: 'FI', lat: 60.1699, lng: 24.9384, aliases: [] },
+  { city: 'Tallinn', region: '', country: 'EE', lat: 59.437, lng: 24.7536, aliases: [] },
+  { city: 'Vilnius', region: '', country: 'LT', lat: 54.6872, lng: 25.2797, aliases: [] },
+  { city: 'Riga', region: '', country: 'LV', lat: 56.9496, lng: 24.1052, aliases: [] },
+  { city: 'Warsaw', region: '', country: 'PL', lat: 52.2297, lng: 21.0122, aliases: ['warszawa'] },
+  { city: 'Kraków', region: '', country: 'PL', lat: 50.0647, lng: 19.945, aliases: ['krakow', 'cracow'] },
+  { city: 'Wrocław', region: '', country: 'PL', lat: 51.1079, lng: 17.0385, aliases: ['wroclaw'] },
+  { city: 'Prague', region: '', country: 'CZ', lat: 50.0755, lng: 14.4378, aliases: ['praha'] },
+  { city: 'Brno', region: '', country: 'CZ', lat: 49.1951, lng: 16.6068, aliases: [] },
+  { city: 'Budapest', region: '', country: 'HU', lat: 47.4979, lng: 19.0402, aliases: [] },
+  { city: 'Bucharest', region: '', country: 'RO', lat: 44.4268, lng: 26.1025, aliases: ['bucuresti'] },
+  { city: 'Cluj-Napoca', region: '', country: 'RO', lat: 46.7712, lng: 23.6236, aliases: ['cluj'] },
+  { city: 'Sofia', region: '', country: 'BG', lat: 42.6977, lng: 23.3219, aliases: [] },
+  { city: 'Athens', region: '', country: 'GR', lat: 37.9838, lng: 23.7275, aliases: [] },
+  { city: 'Kyiv', region: '', country: 'UA', lat: 50.4501, lng: 30.5234, aliases: ['kiev'] },
+  { city: 'Lviv', region: '', country: 'UA', lat: 49.8397, lng: 24.0297, aliases: [] },
+  { city: 'Belgrade', region: '', country: 'RS', lat: 44.7866, lng: 20.4489, aliases: ['beograd'] },
+  { city: 'Zagreb', region: '', country: 'HR', lat: 45.815, lng: 15.9819, aliases: [] },
+  { city: 'Istanbul', region: '', country: 'TR', lat: 41.0082, lng: 28.9784, aliases: [] },
+
+  //Middle East and Africa
+  { city: 'Tel Aviv', region: '', country: 'IL', lat: 32.0853, lng: 34.7818, aliases: ['tel aviv-yafo'] },
+  { city: 'Dubai', region: '', country: 'AE', lat: 25.2048, lng: 55.2708, aliases: [] },
+  { city: 'Abu Dhabi', region: '', country: 'AE', lat: 24.4539, lng: 54.3773, aliases: [] },
+  { city: 'Riyadh', region: '', country: 'SA', lat: 24.7136, lng: 46.6753, aliases: [] },
+  { city: 'Doha', region: '', country: 'QA', lat: 25.2854, lng: 51.531, aliases: [] },
+  { city: 'Cairo', region: '', country: 'EG', lat: 30.0444, lng: 31.2357, aliases: [] },
+  { city: 'Casablanca', region: '', country: 'MA', lat: 33.5731, lng: -7.5898, aliases: [] },
+  { city: 'Lagos', region: '', country: 'NG', lat: 6.5244, lng: 3.3792, aliases: [] },
+  { city: 'Accra', region: '', country: 'GH', lat: 5.6037, lng: -0.187, aliases: [] },
+  { city: 'Nairobi', region: '', country: 'KE', lat: -1.2921, lng: 36.8219, aliases: [] },
+  { city: 'Cape Town', region: '', country: 'ZA', lat: -33.9249, lng: 18.4241, aliases: [] },
+  { city: 'Johannesburg', region: '', country: 'ZA', lat: -26.2041, lng: 28.0473, aliases: ['joburg'] },
+
+  //Asia and Oceania
+  { city: 'Bengaluru', region: 'KA', country: 'IN', lat: 12.9716, lng: 77.5946, aliases: ['bangalore'] },
+  { city: 'Mumbai', region: 'MH', country: 'IN', lat: 19.076, lng: 72.8777, aliases: ['bombay'] },
+  { city: 'Pune', region: 'MH', country: 'IN', lat: 18.5204, lng: 73.8567, aliases: [] },
+  { city: 'New Delhi', region: 'DL', country: 'IN', lat: 28.6139, lng: 77.209, aliases: ['delhi'] },
+  { city: 'Gurugram', region: 'HR', country: 'IN', lat: 28.4595, lng: 77.0266, aliases: ['gurgaon'] },
+  { city: 'Noida', region: 'UP', country: 'IN', lat: 28.5355, lng: 77.391, aliases: [] },
+  { city: 'Hyderabad', region: 'TG', country: 'IN', lat: 17.385, lng: 78.4867, aliases: [] },
+  { city: 'Chennai', region: 'TN', country: 'IN', lat: 13.0827, lng: 80.2707, aliases: ['madras'] },
+  { city: 'Kolkata', region: 'WB', country: 'IN', lat: 22.5726, lng: 88.3639, aliases: ['calcutta'] },
+  { city: 'Karachi', region: '', country: 'PK', lat: 24.8607, lng: 67.0011, aliases: [] },
+  { city: 'Lahore', region: '', country: 'PK', lat: 31.5204, lng: 74.3587, aliases: [] },
+  { city: 'Dhaka', region: '', country: 'BD', lat: 23.8103, lng: 90.4125, aliases: [] },
+  { city: 'Colombo', region: '', country: 'LK', lat: 6.9271, lng: 79.8612, aliases: [] },
+  { city: 'Singapore', region: '', country: 'SG', lat: 1.3521, lng: 103.8198, aliases: [] },
+  { city: 'Kuala Lumpur', region: '', country: 'MY', lat: 3.139, lng: 101.6869, aliases: ['kl'] },
+  { city: 'Jakarta', region: '', country: 'ID', lat: -6.2088, lng: 106.8456, aliases: [] },
+  { city: 'Bangkok', region: '', country: 'TH', lat: 13.7563, lng: 100.5018, aliases: [] },
+  { city: 'Ho Chi Minh City', region: '', country: 'VN', lat: 10.8231, lng: 106.6297, aliases: ['saigon', 'hcmc'] },
+  { city: 'Hanoi', region: '', country: 'VN', lat: 21.0278, lng: 105.8342, aliases: [] },
+  { city: 'Manila', region: '', country: 'PH', lat: 14.5995, lng: 120.9842, aliases: [] },
+  { city: 'Beijing', region: '', country: 'CN', lat: 39.9042, lng: 116.4074, aliases: [] },
+  { city: 'Shanghai', region: '', country: 'CN', lat: 31.2304, lng: 121.4737, aliases: [] },
+  { city: 'Shenzhen', region: '', country: 'CN', lat: 22.5431, lng: 114.0579, aliases: [] },
+  { city: 'Hong Kong', region: '', country: 'HK', lat: 22.3193, lng: 114.1694, aliases: ['hk'] },
+  { city: 'Taipei', region: '', country: 'TW', lat: 25.033, lng: 121.5654, aliases: [] },
+  { city: 'Seoul', region: '', country: 'KR', lat: 37.5665, lng: 126.978, aliases: [] },
+  { city: 'Tokyo', region: '', country: 'JP', lat: 35.6762, lng: 139.6503, aliases: [] },
+  { city: 'Osaka', region: '', country: 'JP', lat: 34.6937, lng: 135.5023, aliases: [] },
+  { city: 'Sydney', region: 'NSW', country: 'AU', lat: -33.8688, lng: 151.2093, aliases: [] },
+  { city: 'Melbourne', region: 'VIC', country: 'AU', lat: -37.8136, lng: 144.9631, aliases: [] },
+  { city: 'Brisbane', region: 'QLD', country: 'AU', lat: -27.4698, lng: 153.0251, aliases: [] },
+  { city: 'Perth', region: 'WA', country: 'AU', lat: -31.9505, lng: 115.8605, aliases: [] },
+  { city: 'Adelaide', region: 'SA', country: 'AU', lat: -34.9285, lng: 138.6007, aliases: [] },
+  { city: 'Canberra', region: 'ACT', country: 'AU', lat: -35.2809, lng: 149.13, aliases: [] },
+  { city: 'Auckland', region: '', country: 'NZ', lat: -36.8485, lng: 174.7633, aliases: [] },
+  { city: 'Wellington', region: '', country: 'NZ', lat: -41.2865, lng: 174.7762, aliases: [] },
+];
+
+module.exports = { COUNTRIES, REGIONS, CITIES };
@@ -0,0 +1,37 @@
+// config/jobAlerts.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+//how often a saved search sends its digest of new matching jobs ('off' = saved, but no alerts)
+const ALERT_FREQUENCIES = ['off', 'daily', 'weekly'];
+const DEFAULT_ALERT_FREQUENCY = 'daily';
+
+//time between two digests of a saved search
+const DIGEST_PERIOD_MS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+};
+
+//the filters of GET /api/jobs a saved search can hold
+const SAVED_SEARCH_FILTERS = ['search', 'company', 'location'];
+
+//per-candidate caps
+const MAX_SAVED_SEARCHES = 20;
+const MAX_SAVED_JOBS = 500;
+
+//at most this many jobs per saved search in one digest (the rest are only counted)
+const DIGEST_MAX_JOBS = 10;
+
+//how often the digest worker looks for saved searches that are due
+const DIGEST_INTERVAL_MS = parseInt(process.env.DIGEST_INTERVAL_MS, 10) || 15 * 60 * 1000;
+
+module.exports = {
+  ALERT_FREQUENCIES,
+  DEFAULT_ALERT_FREQUENCY,
+  DIGEST_PERIOD_MS,
+  SAVED_SEARCH_FILTERS,
+  MAX_SAVED_SEARCHES,
+  MAX_SAVED_JOBS,
+  DIGEST_MAX_JOBS,
+  DIGEST_INTERVAL_MS,
+};
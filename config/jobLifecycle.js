@@ -0,0 +1,35 @@
+// config/jobLifecycle.js
+
+//job posting lifecycle. each key is a status, and its array lists the statuses a job may move to next.
+//'expired' is normally set by the background sweeper once the application deadline has passed.
+const JOB_TRANSITIONS = {
+  draft: ['published', 'closed'],
+  published: ['paused', 'closed', 'expired'],
+  paused: ['published', 'closed', 'expired'],
+  expired: ['published', 'closed'], //republish after extending the deadline
+  closed: [], //final: the position is filled or withdrawn
+};
+
+//status of a job created without one
+const DEFAULT_JOB_STATUS = 'published';
+
+//all status names
+const JOB_STATUSES = Object.keys(JOB_TRANSITIONS);
+
+//statuses a job can be created with (scheduling a publishAt always creates a draft)
+const CREATABLE_JOB_STATUSES = ['draft', 'published'];
+
+//how often the sweeper publishes scheduled jobs and expires jobs past their deadline
+const SWEEP_INTERVAL_MS = parseInt(process.env.JOB_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+
+//true if a job in status 'from' may be moved to status 'to'
+const canTransitionJob = (from, to) => (JOB_TRANSITIONS[from] || []).includes(to);
+
+module.exports = {
+  JOB_TRANSITIONS,
+  DEFAULT_JOB_STATUS,
+  JOB_STATUSES,
+  CREATABLE_JOB_STATUSES,
+  SWEEP_INTERVAL_MS,
+  canTransitionJob,
+};
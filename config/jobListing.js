@@ -0,0 +1,59 @@
+// config/jobListing.js
+
+//page size of job listings: ?limit= defaults to DEFAULT_LIMIT and can't go above MAX_LIMIT
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+//fields a listing can be sorted by: ?sort=-salary.max,createdAt (a leading "-" sorts descending).
+//"relevance" (search results only) and "newest" are shortcuts
+const SORT_FIELDS = [
+  'createdAt',
+  'updatedAt',
+  'publishedAt',
+  'applicationDeadline',
+  'title',
+  'company',
+  'location',
+  'status',
+  'salary.min',
+  'salary.max',
+];
+
+//at most this many keys in one ?sort=
+const MAX_SORT_KEYS = 3;
+
+//fields a listing can be narrowed to with ?fields=title,company,salary (_id is always included)
+const SELECTABLE_FIELDS = [
+  'title',
+  'company',
+  'companyId',
+  'description',
+  'location',
+  'place',
+  'salary',
+  'employmentType',
+  'seniority',
+  'remotePolicy',
+  'skills',
+  'applicationDeadline',
+  'status',
+  'publishAt',
+  'publishedAt',
+  'closedAt',
+  'createdAt',
+  'updatedAt',
+];
+
+//radius search: ?near=lat,lng (or a city name)&radiusKm=
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 500;
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SORT_FIELDS,
+  MAX_SORT_KEYS,
+  SELECTABLE_FIELDS,
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+};
@@ -0,0 +1,15 @@
+// config/jobOptions.js
+
+//allowed values for the structured job attributes.
+//shared by the Job model, the request validators and the listing filters.
+
+const EMPLOYMENT_TYPES = ['full-time', 'part-time', 'contract', 'internship', 'temporary'];
+
+const SENIORITY_LEVELS = ['intern', 'junior', 'mid', 'senior', 'lead', 'principal'];
+
+const REMOTE_POLICIES = ['remote', 'hybrid', 'onsite'];
+
+//what a salary amount is paid per
+const SALARY_PERIODS = ['hour', 'day', 'month', 'year'];
+
+module.exports = { EMPLOYMENT_TYPES, SENIORITY_LEVELS, REMOTE_POLICIES, SALARY_PERIODS };
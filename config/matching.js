@@ -0,0 +1,16 @@
+// config/matching.js
+
+//how much each factor counts towards the candidate–job match score (weights are relative).
+//factors that can't be judged for a pair (e.g. the job lists no skills) are left out,
+//and the remaining weights are scaled up so scores stay on a 0–100 scale.
+const MATCH_WEIGHTS = {
+  skills: 50,
+  seniority: 20,
+  location: 15,
+  salary: 15,
+};
+
+//at most this many jobs/candidates are loaded and scored per request
+const MATCH_POOL_SIZE = 500;
+
+module.exports = { MATCH_WEIGHTS, MATCH_POOL_SIZE };
@@ -0,0 +1,33 @@
+// config/mfa.js
+
+//multi-factor authentication with time-based one-time passwords (TOTP, RFC 6238),
+//as produced by Google Authenticator, 1Password, Authy, ...
+
+//name shown next to the account in the authenticator app
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Gencruit';
+
+//code settings every authenticator app supports (SHA-1, 6 digits, 30 seconds)
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+//also accept the code of the previous/next period, for clocks that are slightly off
+const TOTP_WINDOW = 1;
+
+//one-time recovery codes handed out when MFA is turned on (for a lost phone)
+const RECOVERY_CODE_COUNT = 10;
+
+//how long the interim token from the password step can be exchanged for a session
+const MFA_TOKEN_TTL = process.env.MFA_TOKEN_TTL || '5m';
+
+//how long the admin's "MFA required for these roles" setting is cached per server instance
+const MFA_POLICY_CACHE_MS = 30 * 1000;
+
+module.exports = {
+  MFA_ISSUER,
+  TOTP_DIGITS,
+  TOTP_PERIOD_SECONDS,
+  TOTP_WINDOW,
+  RECOVERY_CODE_COUNT,
+  MFA_TOKEN_TTL,
+  MFA_POLICY_CACHE_MS,
+};
@@ -0,0 +1,16 @@
+// config/notifications.js
+
+//every kind of notification the app sends, with the channels it uses unless the user opts out.
+//inApp = stored + pushed live to the browser, email = sent through the mailer.
+const NOTIFICATION_TYPES = {
+  'application.created': { inApp: true, email: true }, //to recruiters: someone applied
+  'application.status_changed': { inApp: true, email: true }, //to the candidate: pipeline stage changed
+  'interview.slots_published': { inApp: true, email: true }, //to the candidate: pick an interview time
+  'interview.booked': { inApp: true, email: false }, //to the interviewer: candidate booked a slot
+  'interview.cancelled': { inApp: true, email: true }, //to the other party: interview cancelled
+  'job_alert.digest': { inApp: true, email: true }, //to the candidate: new jobs matching saved searches
+};
+
+const CHANNELS = ['inApp', 'email'];
+
+module.exports = { NOTIFICATION_TYPES, CHANNELS };
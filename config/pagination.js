@@ -0,0 +1,7 @@
+// config/pagination.js
+
+//largest ?limit= the paged lists accept (users, companies, notifications, deliveries, saved jobs...);
+//job listings have their own limits in config/jobListing.js
+const MAX_PAGE_SIZE = 100;
+
+module.exports = { MAX_PAGE_SIZE };
@@ -0,0 +1,67 @@
+// config/permissions.js
+
+//named permissions granted to each role. a permission is "<resource>:<action>", optionally
+//scoped with ":own" (only records the user owns) or ":any" (every record).
+//for jobs "own" means posted by the user or by one of their companies (see utils/jobAccess.js);
+//applications, interviews, analytics and candidate profiles follow the job they belong to;
+//for companies "own" means companies the user is an owner of.
+//edit this map to change who can do what; routes only ever ask for permissions, never roles.
+const ROLE_PERMISSIONS = {
+  candidate: [
+    'job:apply',
+    'job:recommendations',
+    'application:read:own', //applications they sent
+    'profile:manage:own', //their own candidate profile and resume
+    'interview:book',
+    'job:save', //bookmark jobs
+    'search:save', //saved searches and their job alerts
+    'interview:read:own', //their booked interviews and invites
+    'interview:cancel:own', //cancel their own bookings
+    'notification:read:own', //their notifications, live stream and notification preferences
+  ],
+  recruiter: [
+    'job:create',
+    'job:import',
+    'job:read:own',
+    'job:update:own',
+    'job:delete:own',
+    'job:publish:own',
+    'application:review:own', //see and move applications, match candidates
+    'profile:read:own', //profiles of candidates who applied to their jobs
+    'interview:schedule:own',
+    'interview:read:own',
+    'interview:cancel:own',
+    'analytics:read:own',
+    'company:create',
+    'company:manage:own', //companies they own (members may only list them and leave)
+    'webhook:manage',
+    'notification:read:own',
+  ],
+  admin: [
+    'job:create',
+    'job:import',
+    'job:read:any',
+    'job:update:any',
+    'job:delete:any',
+    'job:publish:any',
+    'job:moderate', //admin console job moderation
+    'application:review:any',
+    'profile:read:any',
+    'interview:schedule:any',
+    'interview:read:any',
+    'interview:cancel:any',
+    'analytics:read:any',
+    'company:create',
+    'company:manage:any',
+    'webhook:manage',
+    'notification:read:own',
+    'user:manage',
+    'audit:read',
+    'security:manage', //site-wide security settings such as required MFA
+  ],
+};
+
+//every role name
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+module.exports = { ROLE_PERMISSIONS, ROLES };
@@ -0,0 +1,24 @@
+// config/pipeline.js
+
+//hiring pipeline used for job applications.
+//each key is a stage, and its array lists the stages an application may move to next.
+//edit this map to change the pipeline — the model enum and the status route both read from it.
+const TRANSITIONS = {
+  applied: ['screening', 'rejected'],
+  screening: ['interview', 'rejected'],
+  interview: ['offer', 'rejected'],
+  offer: ['hired', 'rejected'],
+  hired: [], //final stage
+  rejected: [], //final stage
+};
+
+//stage every new application starts in
+const INITIAL_STAGE = 'applied';
+
+//all stage names, in pipeline order
+const STAGES = Object.keys(TRANSITIONS);
+
+//true if an application in stage 'from' may be moved to stage 'to'
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+module.exports = { TRANSITIONS, INITIAL_STAGE, STAGES, canTransition };
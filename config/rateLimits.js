@@ -0,0 +1,35 @@
+// config/rateLimits.js
+
+//request limits: at most `max` requests per `windowMs`, counted per IP or per account.
+//every value can be tuned in .env, e.g. RATE_LIMIT_LOGIN_IP_MAX=50
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const fromEnv = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const RATE_LIMITS = {
+  //every API request, per IP (a ceiling against floods, not a per-feature limit)
+  api: { windowMs: MINUTE, max: fromEnv('RATE_LIMIT_API_MAX', 600) },
+  //login attempts, per IP and per account (the email tried)
+  loginIp: { windowMs: 15 * MINUTE, max: fromEnv('RATE_LIMIT_LOGIN_IP_MAX', 30) },
+  loginAccount: { windowMs: 15 * MINUTE, max: fromEnv('RATE_LIMIT_LOGIN_ACCOUNT_MAX', 10) },
+  //account creation, per IP
+  signupIp: { windowMs: HOUR, max: fromEnv('RATE_LIMIT_SIGNUP_IP_MAX', 5) },
+  //emails sent on request (reset links, verification links)
+  passwordResetIp: { windowMs: 15 * MINUTE, max: fromEnv('RATE_LIMIT_PASSWORD_RESET_IP_MAX', 5) },
+  passwordResetAccount: { windowMs: HOUR, max: fromEnv('RATE_LIMIT_PASSWORD_RESET_ACCOUNT_MAX', 3) },
+  verifyEmailResend: { windowMs: HOUR, max: fromEnv('RATE_LIMIT_VERIFY_RESEND_MAX', 3) },
+  //token endpoints that take a secret (refresh, reset and verification tokens), per IP
+  tokenIp: { windowMs: 15 * MINUTE, max: fromEnv('RATE_LIMIT_TOKEN_IP_MAX', 60) },
+};
+
+//progressive login lockout: after `threshold` failed logins for an account within `failureWindowMs`,
+//the account is locked for baseLockMs, doubling with every further failure up to maxLockMs
+const LOGIN_LOCKOUT = {
+  threshold: fromEnv('LOGIN_LOCKOUT_THRESHOLD', 5),
+  baseLockMs: fromEnv('LOGIN_LOCKOUT_BASE_MS', MINUTE),
+  maxLockMs: fromEnv('LOGIN_LOCKOUT_MAX_MS', HOUR),
+  failureWindowMs: 24 * HOUR,
+};
+
+module.exports = { RATE_LIMITS, LOGIN_LOCKOUT };
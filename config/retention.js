@@ -0,0 +1,17 @@
+// config/retention.js
+
+//how long soft-deleted jobs and users can be restored before they are purged for good
+const DELETED_RETENTION_DAYS = parseInt(process.env.DELETED_RETENTION_DAYS, 10) || 30;
+
+//how often the purge worker looks for records past their retention period
+const PURGE_INTERVAL_MS = parseInt(process.env.PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+//records deleted before this date may be purged
+const purgeCutoff = (now = new Date()) =>
+  new Date(now.getTime() - DELETED_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+//last moment a record deleted at deletedAt can still be restored
+const restoreDeadline = (deletedAt) =>
+  new Date(deletedAt.getTime() + DELETED_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+module.exports = { DELETED_RETENTION_DAYS, PURGE_INTERVAL_MS, purgeCutoff, restoreDeadline };
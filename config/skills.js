@@ -0,0 +1,51 @@
+// config/skills.js
+
+//known skills used to pick skills out of resume text.
+//key = the canonical name stored on profiles and jobs, value = spellings found in the wild.
+const SKILL_ALIASES = {
+  javascript: ['javascript', 'js', 'es6', 'ecmascript'],
+  typescript: ['typescript', 'ts'],
+  node: ['node', 'node.js', 'nodejs'],
+  express: ['express', 'express.js', 'expressjs'],
+  react: ['react', 'react.js', 'reactjs'],
+  'react native': ['react native'],
+  angular: ['angular', 'angularjs'],
+  vue: ['vue', 'vue.js', 'vuejs'],
+  'next.js': ['next.js', 'nextjs'],
+  html: ['html', 'html5'],
+  css: ['css', 'css3', 'sass', 'scss'],
+  graphql: ['graphql'],
+  mongodb: ['mongodb', 'mongo', 'mongoose'],
+  postgresql: ['postgresql', 'postgres'],
+  mysql: ['mysql'],
+  sql: ['sql'],
+  redis: ['redis'],
+  python: ['python'],
+  django: ['django'],
+  flask: ['flask'],
+  java: ['java'],
+  spring: ['spring', 'spring boot'],
+  kotlin: ['kotlin'],
+  swift: ['swift'],
+  go: ['golang'], //plain "go" is too common an English word
+  rust: ['rust'],
+  'c++': ['c++', 'cpp'],
+  'c#': ['c#', 'csharp'],
+  '.net': ['.net', 'dotnet', 'asp.net'],
+  php: ['php', 'laravel'],
+  ruby: ['ruby', 'rails', 'ruby on rails'],
+  aws: ['aws', 'amazon web services'],
+  azure: ['azure'],
+  gcp: ['gcp', 'google cloud'],
+  docker: ['docker'],
+  kubernetes: ['kubernetes', 'k8s'],
+  terraform: ['terraform'],
+  git: ['git'],
+  linux: ['linux'],
+  'machine learning': ['machine learning', 'ml'],
+  'data analysis': ['data analysis', 'pandas'],
+  figma: ['figma'],
+  agile: ['agile', 'scrum'],
+};
+
+module.exports = { SKILL_ALIASES };
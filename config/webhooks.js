@@ -0,0 +1,24 @@
+// config/webhooks.js
+
+//events recruiters can subscribe a webhook endpoint to
+const WEBHOOK_EVENTS = ['job.created', 'job.updated', 'job.deleted', 'job.restored', 'application.created'];
+
+//delivery retry policy: attempt n (1-based) waits BASE_DELAY_MS * 2^(n-1) before the next try
+const MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 30 * 1000; //30s, 1m, 2m, 4m, 8m
+const MAX_DELAY_MS = 60 * 60 * 1000;
+
+//how long we wait for the receiver to answer
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+//how often the worker looks for deliveries that are due for a retry
+const POLL_INTERVAL_MS = 15 * 1000;
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  BASE_DELAY_MS,
+  MAX_DELAY_MS,
+  REQUEST_TIMEOUT_MS,
+  POLL_INTERVAL_MS,
+};
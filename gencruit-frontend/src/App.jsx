@@ -1,16 +1,24 @@
 // src/App.jsx
+import { useState } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import Signup from './pages/Signup';
+import Login from './pages/Login';
+import NotificationBell from './components/NotificationBell';
 
 
 function App() {
+  // Access token of the logged-in user (kept in localStorage by the login page)
+  const [token, setToken] = useState(() => localStorage.getItem('token'));
+
   return (
     <Router>
+      {token && <NotificationBell token={token} />}
       <Routes>
         <Route path="/signup" element={<Signup />} />
+        <Route path="/login" element={<Login onLogin={(data) => setToken(data.token)} />} />
       </Routes>
     </Router>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
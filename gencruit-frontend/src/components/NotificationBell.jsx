@@ -0,0 +1,29 @@
+// src/components/NotificationBell.jsx
+import { useState } from 'react';
+import useNotifications from '../hooks/useNotifications';
+
+// Unread count plus the notifications pushed live since the page was opened
+function NotificationBell({ token }) {
+  const { notifications, unread } = useNotifications(token);
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div style={{ padding: '0.5rem 2rem', textAlign: 'right' }}>
+      <button type="button" onClick={() => setOpen(!open)}>
+        Notifications{unread > 0 ? ` (${unread})` : ''}
+      </button>
+      {open && (
+        <ul style={{ listStyle: 'none', padding: 0 }}>
+          {notifications.length === 0 && <li>No new notifications</li>}
+          {notifications.map((notification) => (
+            <li key={notification._id}>
+              <strong>{notification.title}</strong> {notification.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -0,0 +1,90 @@
+// src/hooks/useNotifications.js
+import { useEffect, useState } from "react";
+import axios from "axios";
+
+const API_URL = "http://localhost:5000";
+
+// Wait before reconnecting after the stream drops (ms)
+const RECONNECT_DELAY = 5000;
+
+// Subscribe to live notifications from the backend (Server-Sent Events).
+// Pass the JWT from login; the stream reconnects whenever the token changes.
+const useNotifications = (token) => {
+  // Notifications received since the page was opened (newest first)
+  const [notifications, setNotifications] = useState([]);
+
+  // Unread count: starts from the server's count, then goes up with each live notification
+  const [unread, setUnread] = useState(0);
+
+  useEffect(() => {
+    if (!token) return undefined;
+
+    let source = null;
+    let retryTimer = null;
+    let stopped = false;
+
+    // EventSource can't send headers, so the stream is opened with a single-use ticket.
+    // a used ticket can't open the stream again, which is why every (re)connect asks for a new one
+    // instead of letting EventSource retry the same URL
+    const connect = async () => {
+      let ticket;
+      try {
+        const res = await axios.post(
+          `${API_URL}/api/notifications/stream-ticket`,
+          {},
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        ticket = res.data.ticket;
+      } catch (err) {
+        // 401/403: the login is no longer valid, so stop; anything else: try again later
+        const status = err.response?.status;
+        if (status !== 401 && status !== 403) scheduleReconnect();
+        return;
+      }
+      if (stopped) return;
+
+      source = new EventSource(`${API_URL}/api/notifications/stream?ticket=${encodeURIComponent(ticket)}`);
+
+      source.addEventListener("unread", (e) => {
+        setUnread(JSON.parse(e.data).count);
+      });
+
+      source.addEventListener("notification", (e) => {
+        const notification = JSON.parse(e.data);
+        setNotifications((prev) => [notification, ...prev]);
+        setUnread((count) => count + 1);
+      });
+
+      // The server ended the stream because the session was logged out or revoked: don't reconnect
+      source.addEventListener("end", () => {
+        source.close();
+        stopped = true;
+      });
+
+      // Connection lost: close it (so EventSource doesn't retry with the used ticket) and start over
+      source.onerror = () => {
+        source.close();
+        scheduleReconnect();
+      };
+    };
+
+    const scheduleReconnect = () => {
+      if (stopped) return;
+      clearTimeout(retryTimer);
+      retryTimer = setTimeout(connect, RECONNECT_DELAY);
+    };
+
+    connect();
+
+    // Close the connection when the component unmounts or the token changes
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      if (source) source.close();
+    };
+  }, [token]);
+
+  return { notifications, unread, setUnread };
+};
+
+export default useNotifications;
@@ -1,30 +1,123 @@
 // src/pages/Login.jsx
 import { useState } from 'react';
+import axios from 'axios';
 
-function Login() {
+const API_URL = 'http://localhost:5000/api/auth';
+
+function Login({ onLogin }) {
   const [formData, setFormData] = useState({
     email: '',
     password: '',
   });
 
+  // Second step for accounts with MFA: the interim token from /login and the code entered
+  const [mfaToken, setMfaToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  // Backend response or error
+  const [message, setMessage] = useState('');
+
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
   };
 
+  // Logged in: keep the tokens for later requests
+  const finishLogin = (data) => {
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    if (onLogin) onLogin(data);
+    setMfaToken(null);
+    setMessage(
+      data.mfaSetupRequired
+        ? 'Logged in. Your role requires multi-factor authentication, please set it up.'
+        : `Welcome back, ${data.user.name}!`
+    );
+  };
+
+  // Error payload: { code, message, errors: [{ field, message }], requestId }
+  const showError = (err) => {
+    setMessage(err.response?.data?.message || 'Something went wrong');
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
-    // You'll connect this to backend later
-    console.log(formData);
+    setMessage('');
+
+    try {
+      const res = await axios.post(`${API_URL}/login`, formData);
+
+      // MFA on: no tokens yet, ask for the code from the authenticator app
+      if (res.data.mfaRequired) {
+        setMfaToken(res.data.mfaToken);
+        setCode('');
+        return;
+      }
+
+      finishLogin(res.data);
+    } catch (err) {
+      showError(err);
+    }
+  };
+
+  const handleMfaSubmit = async (e) => {
+    e.preventDefault();
+    setMessage('');
+
+    try {
+      const res = await axios.post(`${API_URL}/login/mfa`, {
+        mfaToken,
+        ...(useRecoveryCode ? { recoveryCode: code } : { code }),
+      });
+      finishLogin(res.data);
+    } catch (err) {
+      // The interim token is short-lived; once it's gone the user has to start over
+      if (err.response?.status === 401) setMfaToken(null);
+      showError(err);
+    }
+  };
+
+  // Back to the password step
+  const cancelMfa = () => {
+    setMfaToken(null);
+    setMessage('');
   };
 
   return (
     <div style={{ padding: '2rem' }}>
       <h2>Login</h2>
-      <form onSubmit={handleSubmit}>
-        <input name="email" type="email" placeholder="Email" onChange={handleChange} required /><br /><br />
-        <input name="password" type="password" placeholder="Password" onChange={handleChange} required /><br /><br />
-        <button type="submit">Log In</button>
-      </form>
+      {mfaToken ? (
+        <form onSubmit={handleMfaSubmit}>
+          <p>
+            {useRecoveryCode
+              ? 'Enter one of your recovery codes.'
+              : 'Enter the 6-digit code from your authenticator app.'}
+          </p>
+          <input
+            name="code"
+            placeholder={useRecoveryCode ? 'Recovery code' : '123456'}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            autoComplete="one-time-code"
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            pattern={useRecoveryCode ? undefined : '\\d{6}'}
+            required
+          /><br /><br />
+          <button type="submit">Verify</button>{' '}
+          <button type="button" onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }}>
+            {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+          </button>{' '}
+          <button type="button" onClick={cancelMfa}>Cancel</button>
+        </form>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <input name="email" type="email" placeholder="Email" value={formData.email} onChange={handleChange} required /><br /><br />
+          <input name="password" type="password" placeholder="Password" value={formData.password} onChange={handleChange} required /><br /><br />
+          <button type="submit">Log In</button>
+        </form>
+      )}
+
+      {message && <p>{message}</p>}
     </div>
   );
 }
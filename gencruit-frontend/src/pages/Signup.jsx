@@ -14,31 +14,51 @@ const Signup = () => {
   // Store backend response or error
   const [message, setMessage] = useState("");
 
+  // Per-field errors from the backend, e.g. { email: "Please include a valid email" }
+  const [fieldErrors, setFieldErrors] = useState({});
+
   // Handle input changes
   const handleChange = (e) => {
     setFormData({
       ...formData, // keep existing data
       [e.target.name]: e.target.value, // update changed field
     });
+    // clear the field's error once the user edits it
+    setFieldErrors({ ...fieldErrors, [e.target.name]: undefined });
   };
 
   // Handle form submit
   const handleSubmit = async (e) => {
     e.preventDefault(); // stop page reload
     setMessage(""); // reset message
+    setFieldErrors({}); // reset field errors
 
     try {
-      // Send POST request to backend register API
-      const res = await axios.post("http://localhost:5000/api/auth/register", formData);
+      // Send POST request to backend signup API
+      const res = await axios.post("http://localhost:5000/api/auth/signup", formData);
 
       // Show success message from backend
       setMessage(res.data.msg || "User registered successfully!");
     } catch (err) {
-      // Show error message from backend
-      setMessage(err.response?.data?.msg || "Something went wrong");
+      // Error payload: { code, message, errors: [{ field, message }], requestId }
+      const data = err.response?.data;
+
+      // Show each field's error next to its input
+      const byField = {};
+      (data?.errors || []).forEach(({ field, message: fieldMessage }) => {
+        if (field && !byField[field]) byField[field] = fieldMessage;
+      });
+      setFieldErrors(byField);
+
+      // Show the overall error message from backend
+      setMessage(data?.message || "Something went wrong");
     }
   };
 
+  // Error text shown under an input
+  const fieldError = (name) =>
+    fieldErrors[name] ? <small style={{ color: "crimson" }}>{fieldErrors[name]}</small> : null;
+
   return (
     <div style={{ maxWidth: "400px", margin: "0 auto", padding: "20px" }}>
       <h2>Sign Up</h2>
@@ -54,6 +74,7 @@ const Signup = () => {
             onChange={handleChange}
             required
           />
+          {fieldError("name")}
         </div>
 
         {/* Email */}
@@ -66,6 +87,7 @@ const Signup = () => {
             onChange={handleChange}
             required
           />
+          {fieldError("email")}
         </div>
 
         {/* Password */}
@@ -78,6 +100,7 @@ const Signup = () => {
             onChange={handleChange}
             required
           />
+          {fieldError("password")}
         </div>
 
         {/* Role Dropdown */}
@@ -87,6 +110,7 @@ const Signup = () => {
             <option value="candidate">Candidate</option>
             <option value="recruiter">Recruiter</option>
           </select>
+          {fieldError("role")}
         </div>
 
         {/* Submit Button */}
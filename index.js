@@ -16,11 +16,27 @@ const app = express();
 
 //middleware setup
 //enable CORS so frontend can talk to this API (very important!)
-app.use(cors());
+//X-Request-Id is exposed so the frontend can show it next to an error
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'Retry-After'] }));
+
+//tag every request with an id (echoed in errors and the X-Request-Id header)
+const requestId = require('./middleware/requestId');
+app.use(requestId);
 
 //parse incoming JSON requests(req.body will be usable)
 app.use(express.json());
 
+//behind a load balancer / reverse proxy, trust it for the client IP (e.g. TRUST_PROXY=1 for one hop)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+//per-IP ceiling on every API request (stricter limits sit on the auth routes)
+const { rateLimit } = require('./middleware/rateLimit');
+const { RATE_LIMITS } = require('./config/rateLimits');
+app.use('/api', rateLimit({ name: 'api', ...RATE_LIMITS.api }));
+
 
 //route registration
 //auth-related routes(e.g., signup, login)
@@ -31,6 +47,44 @@ app.use('/api/auth', authRoutes); //all auth routes will be prefixed with /api/a
 const jobsRoutes = require('./routes/jobs');
 app.use('/api/jobs', jobsRoutes); //all job routes will be prefixed with /api/jobs
 
+//application-related routes(candidate's own applications, single application view)
+const applicationRoutes = require('./routes/applications');
+app.use('/api/applications', applicationRoutes); //all application routes will be prefixed with /api/applications
+
+//interview scheduling routes(availability slots, booking, .ics invites)
+const interviewRoutes = require('./routes/interviews');
+app.use('/api/interviews', interviewRoutes); //all interview routes will be prefixed with /api/interviews
+
+//candidate profile routes(profile, resume upload & download)
+const profileRoutes = require('./routes/profiles');
+app.use('/api/profiles', profileRoutes); //all profile routes will be prefixed with /api/profiles
+
+//company-related routes(company profiles & recruiter memberships)
+const companyRoutes = require('./routes/companies');
+app.use('/api/companies', companyRoutes); //all company routes will be prefixed with /api/companies
+
+//notification routes(list, mark read, preferences, live stream)
+const notificationRoutes = require('./routes/notifications');
+app.use('/api/notifications', notificationRoutes); //all notification routes will be prefixed with /api/notifications
+
+//webhook routes(register endpoints, delivery log, redelivery)
+const webhookRoutes = require('./routes/webhooks');
+app.use('/api/webhooks', webhookRoutes); //all webhook routes will be prefixed with /api/webhooks
+
+//saved jobs and saved searches routes(bookmarks, job alerts)
+const savedJobRoutes = require('./routes/savedJobs');
+app.use('/api/saved-jobs', savedJobRoutes); //all saved job routes will be prefixed with /api/saved-jobs
+const savedSearchRoutes = require('./routes/savedSearches');
+app.use('/api/saved-searches', savedSearchRoutes); //all saved search routes will be prefixed with /api/saved-searches
+
+//analytics routes(views, applications, pipeline conversion, time-to-hire, sources)
+const analyticsRoutes = require('./routes/analytics');
+app.use('/api/analytics', analyticsRoutes); //all analytics routes will be prefixed with /api/analytics
+
+//admin console routes(user & role management, job moderation)
+const adminRoutes = require('./routes/admin');
+app.use('/api/admin', adminRoutes); //all admin routes will be prefixed with /api/admin
+
 
 //sample route
 //simple test route to make sure server is working
@@ -49,9 +103,20 @@ app.use(errorHandler); //catches errors from anywhere in the app
 //pick port frm environment or use 5000
 const PORT = process.env.PORT || 5000;
 
+//background workers (started once the DB is connected)
+const startWebhookWorker = require('./workers/webhookWorker'); //retries failed webhook deliveries
+const startJobSweeper = require('./workers/jobSweeper'); //scheduled publishing and deadline expiry
+const startPurgeWorker = require('./workers/purgeWorker'); //removes deleted records after retention
+const startAlertDigestWorker = require('./workers/alertDigestWorker'); //daily/weekly job alert digests
+
 //connect to MongoDB&start server
 connectDB().then(() => {
   app.listen(PORT, () => {
     console.log(`Server is listening on port ${PORT}`);
   });
+
+  startWebhookWorker();
+  startJobSweeper();
+  startPurgeWorker();
+  startAlertDigestWorker();
 });
@@ -1,35 +1,85 @@
 // middleware/auth.js
 
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const CustomError = require('../utils/customError');
+const { isMfaRequiredFor } = require('../utils/mfa');
 
-// Middleware to check if the user is logged in (protects private routes)
-const authMiddleware = (req, res, next) => {
+// Loads the user behind a session and checks they may still use the API; throws a CustomError if not.
+// Also used to re-check long-lived connections (the notification stream) while they are open.
+//   allowMfaSetup: let users whose role must use MFA in before they've turned it on
+//                  (only for the routes they need to set it up)
+const checkSession = async (sid, userId, { allowMfaSetup = false } = {}) => {
+  // The session must not have been logged out or revoked
+  const session = sid ? await Session.findById(sid) : null;
+  if (!session || !session.isActive() || session.user.toString() !== userId.toString()) {
+    throw new CustomError('Session has been revoked, please log in again', 401);
+  }
+
+  // The user must still exist; take the role from the DB so role changes apply immediately
+  const user = await User.findById(userId).select('role status mfa.enabled');
+  if (!user) {
+    throw new CustomError('Token is not valid', 401);
+  }
+
+  // Suspended accounts are locked out even with an unexpired token
+  if (user.status === 'suspended') {
+    throw new CustomError('Account suspended', 403);
+  }
+
+  // Roles the admin requires MFA for can't use the API until it is turned on
+  if (!allowMfaSetup && !user.mfa?.enabled && (await isMfaRequiredFor(user.role))) {
+    throw new CustomError('Multi-factor authentication must be set up for this account', 403, {
+      code: 'MFA_SETUP_REQUIRED',
+    });
+  }
+
+  return { userId: user._id.toString(), role: user.role, sid: sid.toString() };
+};
+
+// Builds the middleware that checks if the user is logged in (protects private routes)
+//   optional: public routes that behave differently for logged-in users; without a valid token
+//             the request goes on anonymously (no req.user) instead of failing
+const authenticate = ({ optional = false, ...options } = {}) => async (req, res, next) => {
   // 1️⃣ Get the Authorization header from the request (expected format: "Bearer <token>")
   const authHeader = req.header('Authorization');
 
   // 2️⃣ If the token is missing or doesn't start with "Bearer ", block the request
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ msg: 'No token, authorization denied' });
+    if (optional) return next();
+    return next(new CustomError('No token, authorization denied', 401));
   }
 
   // 3️⃣ Extract the token part (everything after "Bearer ")
   const token = authHeader.split(' ')[1];
 
+  let decoded;
   try {
     // 4️⃣ Verify the token using the secret key from .env
     //     - If valid, we get back the user data that was stored when generating the token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    // 5️⃣ If token verification fails (invalid or expired), deny access
+    if (optional) return next();
+    return next(new CustomError('Token is not valid', 401));
+  }
 
-    // 5️⃣ Store the decoded user data in req.user so that next middleware/route can use it
-    req.user = decoded;
+  try {
+    // 6️⃣ The token must belong to an active session of an active user;
+    //     store the user data in req.user so that next middleware/route can use it
+    req.user = await checkSession(decoded.sid, decoded.userId, options);
 
-    // 6️⃣ Move to the next middleware or route handler
+    // 7️⃣ Move to the next middleware or route handler
     next();
   } catch (err) {
-    // 7️⃣ If token verification fails (invalid or expired), deny access
-    return res.status(401).json({ msg: 'Token is not valid' });
+    next(optional ? undefined : err);
   }
 };
 
-// Export so it can be used in other files
-module.exports = authMiddleware;
+// Export so it can be used in other files: the default protects every private route,
+// auth.allowingMfaSetup is for the routes used to set up MFA, auth.optional for public routes
+module.exports = authenticate();
+module.exports.allowingMfaSetup = authenticate({ allowMfaSetup: true });
+module.exports.optional = authenticate({ optional: true });
+module.exports.checkSession = checkSession;
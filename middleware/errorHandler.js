@@ -2,19 +2,120 @@
 
 //this is the global error-handling middleware in Express.
 //it gets triggered when you call 'next(err)' anywhere in your app.
+//every error is answered with the same shape:
+//  { success: false, code, message, errors: [{ field, message, location }], requestId }
+
+const mongoose = require('mongoose');
+const CustomError = require('../utils/customError');
+
+//code used when an error doesn't bring its own
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+};
+
+//other body parser errors, by err.type
+const BODY_ERRORS = {
+  'encoding.unsupported': { statusCode: 415, message: 'Request body encoding is not supported' },
+  'charset.unsupported': { statusCode: 415, message: 'Request body charset is not supported' },
+  'request.aborted': { statusCode: 400, message: 'Request was aborted by the client' },
+  'request.size.invalid': { statusCode: 400, message: 'Request body size does not match Content-Length' },
+  'parameters.too.many': { statusCode: 413, message: 'Too many parameters in the request body' },
+};
+
+//turn any error into { statusCode, code, message, errors }
+const normalizeError = (err) => {
+  //errors thrown on purpose by our own code
+  if (err instanceof CustomError) {
+    return { statusCode: err.statusCode || 500, code: err.code, message: err.message, errors: err.errors };
+  }
+
+  //schema validation failed on save (e.g. a value outside an enum)
+  if (err instanceof mongoose.Error.ValidationError) {
+    return {
+      statusCode: 400,
+      code: 'VALIDATION_FAILED',
+      message: 'Validation failed',
+      errors: Object.values(err.errors).map((error) => ({ field: error.path, message: error.message })),
+    };
+  }
+
+  //a value that can't be converted to the schema type, usually a malformed id in the URL
+  if (err instanceof mongoose.Error.CastError) {
+    const field = err.path === '_id' ? 'id' : err.path;
+    return {
+      statusCode: 400,
+      code: 'INVALID_VALUE',
+      message: `Invalid ${field}`,
+      errors: [{ field, message: `Invalid ${field}` }],
+    };
+  }
+
+  //a unique index rejected the write (e.g. an email that is already registered)
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return {
+      statusCode: 409,
+      code: 'DUPLICATE',
+      message: fields.length ? `${fields.join(', ')} already exists` : 'Duplicate record',
+      errors: fields.map((field) => ({ field, message: `${field} already exists` })),
+    };
+  }
+
+  //body parser errors (malformed JSON, body too large)
+  if (err.type === 'entity.parse.failed') {
+    return { statusCode: 400, code: 'INVALID_JSON', message: 'Request body is not valid JSON' };
+  }
+  if (err.type === 'entity.too.large') {
+    return { statusCode: 413, message: 'Request body is too large' };
+  }
+  if (BODY_ERRORS[err.type]) {
+    return BODY_ERRORS[err.type];
+  }
+
+  //other errors that carry a client error status (from Express or a library) keep it
+  const status = err.status || err.statusCode;
+  if (Number.isInteger(status) && status >= 400 && status < 500) {
+    return { statusCode: status, message: err.expose === false ? 'Bad request' : err.message };
+  }
+
+  //anything else is our fault; don't leak internals in production
+  return {
+    statusCode: 500,
+    message:
+      process.env.NODE_ENV === 'production'
+        ? 'Something went wrong on the server!'
+        : err.message || 'Something went wrong on the server!',
+  };
+};
 
 const errorHandler = (err, req, res, next) => {
-  //logs the entire error stack trace to the terminal (useful for debugging)
-  console.error(err.stack); 
+  //the response already started (e.g. a streamed download), so let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const { statusCode, code, message, errors } = normalizeError(err);
 
-  //check if the error object has a statusCode (like 400, 404, etc.)
-  //if not, we default to 500 — meaning internal server error
-  const statusCode = err.statusCode || 500;
+  //unexpected errors get the full stack trace in the terminal, tagged with the request id
+  if (statusCode >= 500) {
+    console.error(`[${req.id}]`, err.stack);
+  }
 
   //send a structured JSON response back to the client
   res.status(statusCode).json({
     success: false, //tells the client the request failed
-    message: err.message || 'Something went wrong on the server!', // human-readable message
+    code: code || STATUS_CODES[statusCode] || 'ERROR', //machine-readable error code
+    message, // human-readable message
+    errors: errors || [], //per-field problems, empty when the error isn't about a field
+    requestId: req.id, //quote this when reporting a problem
   });
 };
 
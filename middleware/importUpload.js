@@ -0,0 +1,53 @@
+// middleware/importUpload.js
+
+const multer = require('multer');
+const CustomError = require('../utils/customError');
+
+//largest import file we accept (bytes), 2 MB by default
+const MAX_IMPORT_BYTES = parseInt(process.env.JOB_IMPORT_MAX_BYTES, 10) || 2 * 1024 * 1024;
+
+//allowed file extensions and the format they are read as
+const FORMATS = {
+  '.csv': 'csv',
+  '.json': 'json',
+};
+
+const formatOf = (filename) => {
+  const extension = Object.keys(FORMATS).find((ext) => filename.toLowerCase().endsWith(ext));
+  return extension ? FORMATS[extension] : null;
+};
+
+//keep the file in memory: it is parsed and validated before anything is saved
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!formatOf(file.originalname)) {
+      return cb(new CustomError('Import file must be a .csv or .json file', 400));
+    }
+    cb(null, true);
+  },
+}).single('file');
+
+// Middleware to accept an optional import file in the "file" form field (multipart/form-data).
+// Sets req.importFormat to 'csv' or 'json'; without a file the JSON request body is imported.
+const importUpload = (req, res, next) => {
+  upload(req, res, (err) => {
+    // 1️⃣ Translate multer's errors into our CustomError shape
+    if (err instanceof multer.MulterError) {
+      const message =
+        err.code === 'LIMIT_FILE_SIZE'
+          ? `Import file must be smaller than ${Math.round(MAX_IMPORT_BYTES / 1024 / 1024)} MB`
+          : `Upload failed: ${err.message}`;
+      return next(new CustomError(message, 400));
+    }
+    if (err) return next(err);
+
+    // 2️⃣ Without a file, the jobs come in the JSON body
+    req.importFormat = req.file ? formatOf(req.file.originalname) : 'json';
+
+    next();
+  });
+};
+
+module.exports = importUpload;
@@ -0,0 +1,21 @@
+// middleware/permit.js
+
+const CustomError = require('../utils/customError');
+const { scopeOf } = require('../utils/permissions');
+
+// This middleware checks that the logged-in user's role grants a permission (see config/permissions.js)
+// Usage example in routes: router.put('/:id', auth, permit('job:update'), handler)
+// For ":own" permissions the handler still has to check ownership, e.g. with findJobFor in utils/jobAccess.js
+const permit = (action) => {
+  return (req, res, next) => {
+    // 1️⃣ The role must hold the permission at some scope (own or any)
+    if (!req.user || !scopeOf(req.user.role, action)) {
+      // 2️⃣ If not, send a 403 Forbidden error
+      return next(new CustomError(`Access denied: requires the ${action} permission`, 403));
+    }
+    // 3️⃣ If allowed, move to the next middleware/route
+    next();
+  };
+};
+
+module.exports = permit;
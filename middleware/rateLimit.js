@@ -0,0 +1,47 @@
+// middleware/rateLimit.js
+
+const CustomError = require('../utils/customError');
+const { getStore } = require('../utils/rateLimit');
+
+//seconds until a window ends (at least 1, for Retry-After)
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+//what to count requests by
+const byIp = (req) => req.ip;
+const byEmail = (req) => (typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null);
+const byUser = (req) => req.user?.userId;
+
+/**
+ * limit requests to `max` per `windowMs`, counted per key(req) (per IP by default)
+ * over the limit the request gets a 429 with Retry-After; requests without a key aren't counted.
+ * if the counter store is down, requests are let through rather than locking everyone out.
+ */
+const rateLimit = ({ name, windowMs, max, key = byIp, message = 'Too many requests, please try again later' }) =>
+  async (req, res, next) => {
+    const id = key(req);
+    if (!id) return next();
+
+    let hit;
+    try {
+      hit = await getStore().increment(`${name}:${id}`, windowMs);
+    } catch (err) {
+      console.error(`Rate limiter "${name}" unavailable:`, err.message);
+      return next();
+    }
+
+    // 1️⃣ Let clients see where they stand
+    const resetIn = secondsUntil(hit.resetAt);
+    res.setHeader('RateLimit-Limit', max);
+    res.setHeader('RateLimit-Remaining', Math.max(0, max - hit.count));
+    res.setHeader('RateLimit-Reset', resetIn);
+
+    // 2️⃣ Over the limit: tell them when to come back
+    if (hit.count > max) {
+      res.setHeader('Retry-After', resetIn);
+      return next(new CustomError(message, 429));
+    }
+
+    next();
+  };
+
+module.exports = { rateLimit, byIp, byEmail, byUser, secondsUntil };
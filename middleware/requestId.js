@@ -0,0 +1,17 @@
+// middleware/requestId.js
+
+const crypto = require('crypto');
+
+//ids sent by a proxy or client are reused only if they look like ids (no header injection or huge values)
+const VALID_ID = /^[\w.-]{1,100}$/;
+
+// Middleware to give every request an id (req.id), echoed back in the X-Request-Id header
+// and in error responses so a failing request can be found in the server logs
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
@@ -0,0 +1,63 @@
+// middleware/resumeUpload.js
+
+const multer = require('multer');
+const CustomError = require('../utils/customError');
+const { PDF_MIME, DOCX_MIME } = require('../utils/resumeParser');
+
+//largest resume we accept (bytes), 5 MB by default
+const MAX_RESUME_BYTES = parseInt(process.env.RESUME_MAX_BYTES, 10) || 5 * 1024 * 1024;
+
+//allowed types: the extension and the declared mime type must agree
+const ALLOWED_TYPES = {
+  [PDF_MIME]: '.pdf',
+  [DOCX_MIME]: '.docx',
+};
+
+//the first bytes of the file must match its type too (PDF: "%PDF", DOCX is a zip: "PK\x03\x04")
+const MAGIC_BYTES = {
+  [PDF_MIME]: Buffer.from('%PDF'),
+  [DOCX_MIME]: Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+};
+
+//keep the file in memory: it is parsed first, then handed to the storage driver
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_RESUME_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = ALLOWED_TYPES[file.mimetype];
+    if (!extension || !file.originalname.toLowerCase().endsWith(extension)) {
+      return cb(new CustomError('Resume must be a PDF or DOCX file', 400));
+    }
+    cb(null, true);
+  },
+}).single('resume');
+
+// Middleware to accept a single resume file in the "resume" form field (multipart/form-data)
+const resumeUpload = (req, res, next) => {
+  upload(req, res, (err) => {
+    // 1️⃣ Translate multer's errors into our CustomError shape
+    if (err instanceof multer.MulterError) {
+      const message =
+        err.code === 'LIMIT_FILE_SIZE'
+          ? `Resume must be smaller than ${Math.round(MAX_RESUME_BYTES / 1024 / 1024)} MB`
+          : `Upload failed: ${err.message}`;
+      return next(new CustomError(message, 400));
+    }
+    if (err) return next(err);
+
+    // 2️⃣ A file is required
+    if (!req.file) {
+      return next(new CustomError('Please attach a resume file in the "resume" field', 400));
+    }
+
+    // 3️⃣ Don't trust the declared type alone, check the file's content
+    const magic = MAGIC_BYTES[req.file.mimetype];
+    if (!req.file.buffer.subarray(0, magic.length).equals(magic)) {
+      return next(new CustomError('Resume file content does not match its type', 400));
+    }
+
+    next();
+  });
+};
+
+module.exports = resumeUpload;
@@ -0,0 +1,92 @@
+// models/Application.js
+const mongoose = require('mongoose');
+const { STAGES, INITIAL_STAGE } = require('../config/pipeline'); //hiring pipeline stages
+
+//one entry per status change, kept in order so the full pipeline history can be shown
+const StatusChangeSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: [...STAGES, null], //null for the initial 'applied' entry
+      default: null,
+    },
+    to: {
+      type: String,
+      enum: STAGES,
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+//an application links a candidate to a job they applied for
+const ApplicationSchema = new mongoose.Schema(
+  {
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: true,
+    },
+    candidate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    coverLetter: {
+      type: String,
+      trim: true,
+      maxlength: 5000,
+    },
+    //resume sent with this application (a copy of the profile's resume at the time of applying)
+    resume: {
+      key: String,
+      originalName: String,
+      mimeType: String,
+      size: Number,
+    },
+    //current pipeline stage (see config/pipeline.js)
+    status: {
+      type: String,
+      enum: STAGES,
+      default: INITIAL_STAGE,
+    },
+    history: {
+      type: [StatusChangeSchema],
+      default: [],
+    },
+    //where the candidate found the job (see utils/analytics.js trafficSource)
+    source: {
+      type: String,
+      default: 'direct',
+    },
+  },
+  { timestamps: true }
+);
+
+//a candidate can apply to the same job only once
+ApplicationSchema.index({ job: 1, candidate: 1 }, { unique: true });
+
+//per-job and per-period analytics
+ApplicationSchema.index({ job: 1, createdAt: 1 });
+
+//filter that leaves out applications of deleted candidates (kept until the purge removes them)
+ApplicationSchema.statics.activeCandidatesFilter = async () => {
+  const deletedIds = await mongoose.model('User').find({ deletedAt: { $ne: null } }).distinct('_id');
+  return { candidate: { $nin: deletedIds } };
+};
+
+module.exports = mongoose.model('Application', ApplicationSchema);
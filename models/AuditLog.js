@@ -0,0 +1,65 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+const { AUDIT_ENTITY_TYPES, AUDIT_ACTIONS } = require('../config/audit'); //what the audit trail records
+
+//one changed top-level field
+const ChangeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+const AuditLogSchema = new mongoose.Schema(
+  {
+    entityType: {
+      type: String,
+      enum: AUDIT_ENTITY_TYPES,
+      required: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+    //who made the change (null for background jobs, e.g. the job sweeper or purge worker)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    changes: {
+      type: [ChangeSchema],
+      default: [],
+    },
+    ip: String,
+    userAgent: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+//history of one record, and everything one user did
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+
+//the log is append-only: entries are never edited or removed through the model
+const appendOnly = function (next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+AuditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  appendOnly
+);
+AuditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], appendOnly);
+AuditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
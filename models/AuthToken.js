@@ -0,0 +1,46 @@
+// models/AuthToken.js
+const mongoose = require('mongoose');
+
+//single-use tokens sent by email (password reset, email verification), and short-lived tickets
+//that open the notification stream (EventSource can't send an Authorization header).
+//only a sha256 hash of the token is stored, so a DB leak can't be used to reset passwords.
+const AuthTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    purpose: {
+      type: String,
+      enum: ['password-reset', 'email-verify', 'stream-ticket'],
+      required: true,
+    },
+    //stream tickets: the session they were issued for (the stream stays tied to it)
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session',
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    //set once the token has been used; a used token is never accepted again
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+//let MongoDB clean up expired tokens
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', AuthTokenSchema);
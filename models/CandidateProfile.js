@@ -0,0 +1,112 @@
+// models/CandidateProfile.js
+const mongoose = require('mongoose');
+const { SENIORITY_LEVELS, REMOTE_POLICIES, SALARY_PERIODS } = require('../config/jobOptions'); //same values as jobs
+
+//one job in the candidate's work history
+const ExperienceSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    company: { type: String, trim: true },
+    startDate: Date,
+    endDate: Date,
+    current: { type: Boolean, default: false }, //still working there
+    description: { type: String, trim: true, maxlength: 2000 },
+  },
+  { _id: false }
+);
+
+const EducationSchema = new mongoose.Schema(
+  {
+    school: { type: String, required: true, trim: true },
+    degree: { type: String, trim: true },
+    field: { type: String, trim: true },
+    startYear: Number,
+    endYear: Number,
+  },
+  { _id: false }
+);
+
+//portfolio, GitHub, LinkedIn, ...
+const LinkSchema = new mongoose.Schema(
+  {
+    label: { type: String, trim: true },
+    url: { type: String, required: true, trim: true },
+  },
+  { _id: false }
+);
+
+//uploaded resume file; the file itself lives in storage (see utils/storage), only its key is kept here
+const ResumeSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const CandidateProfileSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true, //one profile per candidate
+    },
+    headline: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    //stored lowercase like Job.skills so the two can be compared directly
+    skills: {
+      type: [{ type: String, lowercase: true, trim: true }],
+      default: [],
+    },
+    experience: {
+      type: [ExperienceSchema],
+      default: [],
+    },
+    education: {
+      type: [EducationSchema],
+      default: [],
+    },
+    links: {
+      type: [LinkSchema],
+      default: [],
+    },
+    preferredLocations: {
+      type: [{ type: String, trim: true }],
+      default: [],
+    },
+    //work arrangements the candidate accepts; empty means any
+    remotePreference: {
+      type: [{ type: String, enum: REMOTE_POLICIES }],
+      default: [],
+    },
+    //self-declared level; when missing, matching derives it from experience
+    seniority: {
+      type: String,
+      enum: SENIORITY_LEVELS,
+    },
+    //lowest salary the candidate is looking for
+    salaryExpectation: {
+      min: { type: Number, min: 0 },
+      currency: { type: String, uppercase: true, trim: true, match: /^[A-Z]{3}$/, default: 'USD' },
+      period: { type: String, enum: SALARY_PERIODS, default: 'year' },
+    },
+    resume: {
+      type: ResumeSchema,
+    },
+    //plain text extracted from the resume (kept out of normal queries, it can be large)
+    resumeText: {
+      type: String,
+      select: false,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('CandidateProfile', CandidateProfileSchema);
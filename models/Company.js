@@ -0,0 +1,100 @@
+// models/Company.js
+const mongoose = require('mongoose');
+
+//legal suffixes ignored when comparing company names ("ACME Inc." == "Acme")
+const LEGAL_SUFFIXES = ['inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'gmbh', 'plc'];
+
+//turn a display name into the key used to detect duplicate companies
+const normalizeName = (name) => {
+  const words = String(name)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  //strip trailing legal suffixes, but never the whole name
+  while (words.length > 1 && LEGAL_SUFFIXES.includes(words[words.length - 1])) {
+    words.pop();
+  }
+
+  return words.join(' ');
+};
+
+//a recruiter's membership in a company
+const MemberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    //owners manage the profile and memberships; members manage the company's jobs
+    role: {
+      type: String,
+      enum: ['owner', 'member'],
+      default: 'member',
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const CompanySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    //derived from name, unique so the same company can't be created twice
+    normalizedName: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    logoUrl: {
+      type: String,
+      trim: true,
+    },
+    website: {
+      type: String,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 5000,
+    },
+    members: {
+      type: [MemberSchema],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+//look up companies by member quickly (used for every job ownership check)
+CompanySchema.index({ 'members.user': 1 });
+
+//keep normalizedName in sync with name
+CompanySchema.pre('validate', function (next) {
+  if (this.isModified('name') || !this.normalizedName) {
+    this.normalizedName = normalizeName(this.name || '');
+  }
+  next();
+});
+
+//the membership entry for a user, if any
+CompanySchema.methods.memberFor = function (userId) {
+  return this.members.find((m) => m.user.toString() === userId.toString());
+};
+
+CompanySchema.statics.normalizeName = normalizeName;
+
+module.exports = mongoose.model('Company', CompanySchema);
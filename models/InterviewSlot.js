@@ -0,0 +1,85 @@
+// models/InterviewSlot.js
+const mongoose = require('mongoose');
+
+//a time a recruiter offers for interviewing one applicant.
+//the candidate books one of the open slots; times are stored in UTC.
+const InterviewSlotSchema = new mongoose.Schema(
+  {
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Application',
+      required: true,
+      index: true,
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: true,
+    },
+    //recruiter who published the slot (and will run the interview)
+    interviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+      validate: {
+        validator: function (value) {
+          return !this.startsAt || value > this.startsAt;
+        },
+        message: 'Slot must end after it starts',
+      },
+    },
+    //IANA zone the recruiter works in, used to show the slot in their local time
+    timezone: {
+      type: String,
+      default: 'UTC',
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+    },
+    meetingUrl: {
+      type: String,
+      trim: true,
+    },
+    //open -> booked -> (open again if the candidate cancels/reschedules) ; cancelled by the recruiter
+    status: {
+      type: String,
+      enum: ['open', 'booked', 'cancelled'],
+      default: 'open',
+    },
+    bookedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    bookedAt: Date,
+    //candidate's zone at booking time, for their copy of the times
+    candidateTimezone: String,
+    //bumped on every change so calendar apps replace the old invite
+    sequence: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+//an application can hold at most one booked slot at a time
+InterviewSlotSchema.index(
+  { application: 1 },
+  { unique: true, partialFilterExpression: { status: 'booked' }, name: 'one_booking_per_application' }
+);
+
+//overlap checks look up an interviewer's slots by time
+InterviewSlotSchema.index({ interviewer: 1, startsAt: 1 });
+
+module.exports = mongoose.model('InterviewSlot', InterviewSlotSchema);
@@ -1,5 +1,83 @@
 // models/Job.js
 const mongoose = require('mongoose');
+const {
+  EMPLOYMENT_TYPES,
+  SENIORITY_LEVELS,
+  REMOTE_POLICIES,
+  SALARY_PERIODS,
+} = require('../config/jobOptions'); //allowed attribute values
+const softDelete = require('./plugins/softDelete'); //deletedAt instead of removal
+const { JOB_STATUSES, DEFAULT_JOB_STATUS } = require('../config/jobLifecycle'); //posting lifecycle
+const { geocode, placeLabel } = require('../utils/geocoder'); //free-text location → structured place
+
+//salary range, e.g. 60000-80000 USD per year
+const SalarySchema = new mongoose.Schema(
+  {
+    min: {
+      type: Number,
+      min: 0,
+    },
+    max: {
+      type: Number,
+      min: 0,
+      validate: {
+        //a range must not be upside down
+        validator: function (value) {
+          return value == null || this.min == null || value >= this.min;
+        },
+        message: 'Salary max must be greater than or equal to salary min',
+      },
+    },
+    //ISO 4217 code
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: /^[A-Z]{3}$/,
+      default: 'USD',
+    },
+    period: {
+      type: String,
+      enum: SALARY_PERIODS,
+      default: 'year',
+    },
+  },
+  { _id: false }
+);
+
+//GeoJSON point for the 2dsphere index; coordinates are [longitude, latitude]
+const PointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point',
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
+//structured version of the location, resolved by the geocoder when the location is saved
+const PlaceSchema = new mongoose.Schema(
+  {
+    //resolved name ("New York, NY, United States"); the job's location keeps the text as entered
+    label: String,
+    city: String,
+    region: String,
+    //ISO 3166-1 alpha-2 code
+    country: String,
+    //missing when only the country is known
+    point: {
+      type: PointSchema,
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
 
 const JobSchema = new mongoose.Schema(
   {
@@ -8,22 +86,71 @@ const JobSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    //company display name (copied from the linked Company when companyId is set)
     company: {
       type: String,
       required: true,
       trim: true,
     },
+    //company this job belongs to; every recruiter in that company can manage it
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      index: true,
+    },
     description: {
       type: String,
       trim: true,
     },
+    //display text, exactly as entered ("Berlin (hybrid)"); resolved into place when the geocoder knows it
     location: {
       type: String,
       trim: true,
     },
+    place: {
+      type: PlaceSchema,
+      default: undefined,
+    },
     salary: {
+      type: SalarySchema,
+    },
+    employmentType: {
+      type: String,
+      enum: EMPLOYMENT_TYPES,
+    },
+    seniority: {
+      type: String,
+      enum: SENIORITY_LEVELS,
+    },
+    remotePolicy: {
+      type: String,
+      enum: REMOTE_POLICIES,
+    },
+    //required skills, stored lowercase so filters match regardless of case
+    skills: {
+      type: [{ type: String, lowercase: true, trim: true }],
+      default: [],
+      index: true,
+    },
+    //last day applications are accepted
+    applicationDeadline: {
+      type: Date,
+    },
+    //lifecycle status (see config/jobLifecycle.js); only 'published' jobs are public
+    status: {
       type: String,
+      enum: JOB_STATUSES,
+      default: DEFAULT_JOB_STATUS,
+      index: true,
+    },
+    //scheduled publishing: a draft with publishAt is published by the sweeper at that time
+    publishAt: {
+      type: Date,
+      default: null,
     },
+    publishedAt: Date,
+    closedAt: Date,
+    statusChangedAt: Date,
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -33,4 +160,51 @@ const JobSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-module.exports = mongoose.model('Job', JobSchema);
+//full-text search index used by the job listings (?search=)
+//weights make a match in the title count more than one buried in the description
+JobSchema.index(
+  { title: 'text', skills: 'text', company: 'text', description: 'text' },
+  { name: 'job_text_search', weights: { title: 10, skills: 5, company: 3, description: 1 } }
+);
+
+//newest-first listings (the board and a recruiter's own jobs) and their cursor pages
+JobSchema.index({ status: 1, createdAt: -1, _id: -1 });
+JobSchema.index({ user: 1, createdAt: -1, _id: -1 });
+
+//the stored place for a geocoder result (also used by scripts/migrateJobLocations.js)
+JobSchema.statics.placeFrom = (place) => ({
+  label: placeLabel(place),
+  ...(place.city && { city: place.city }),
+  ...(place.region && { region: place.region }),
+  country: place.country,
+  ...(place.lat != null && { point: { type: 'Point', coordinates: [place.lng, place.lat] } }),
+});
+
+//radius search (?near=lat,lng&radiusKm=)
+JobSchema.index({ 'place.point': '2dsphere' });
+
+//resolve the location into a place whenever it changes.
+//the location itself is never rewritten; an unknown location just has no place.
+//a failing geocoder never blocks saving
+JobSchema.pre('validate', async function () {
+  if (!this.isModified('location')) return;
+
+  this.place = undefined;
+  if (!this.location) return;
+
+  try {
+    const place = await geocode(this.location);
+    if (!place) return;
+
+    this.place = Job.placeFrom(place);
+  } catch (err) {
+    console.error(`Failed to geocode job location "${this.location}":`, err.message);
+  }
+});
+
+//deleted jobs are hidden from every listing until restored or purged
+JobSchema.plugin(softDelete);
+
+const Job = mongoose.model('Job', JobSchema);
+
+module.exports = Job;
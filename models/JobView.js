@@ -0,0 +1,33 @@
+// models/JobView.js
+const mongoose = require('mongoose');
+const { JOB_VIEW_RETENTION_DAYS } = require('../config/analytics'); //how long views are kept
+
+//one fetch of a job's public detail page, used for analytics (views, unique visitors, sources)
+const JobViewSchema = new mongoose.Schema(
+  {
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: true,
+    },
+    //anonymous visitor key: a hash of IP and user agent (the raw IP is never stored)
+    visitor: {
+      type: String,
+      required: true,
+    },
+    //where the visitor came from: ?source= / utm_source=, the referring site, or 'direct'
+    source: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+//per-job and per-period aggregations
+JobViewSchema.index({ job: 1, createdAt: 1 });
+
+//one document per page view adds up fast; MongoDB deletes views older than the retention period
+JobViewSchema.index({ createdAt: 1 }, { expireAfterSeconds: JOB_VIEW_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobView', JobViewSchema);
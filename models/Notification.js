@@ -0,0 +1,44 @@
+// models/Notification.js
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('../config/notifications'); //known notification types
+
+const NotificationSchema = new mongoose.Schema(
+  {
+    //who the notification is for
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.keys(NOTIFICATION_TYPES),
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+    },
+    //ids the frontend needs to link to the right page (e.g. { applicationId, jobId })
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+//newest-first listing and unread counts per user
+NotificationSchema.index({ user: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,41 @@
+// models/NotificationPreference.js
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('../config/notifications'); //known notification types
+
+//a user's choice for one notification type; a channel left unset uses the default
+const TypeSettingSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.keys(NOTIFICATION_TYPES),
+      required: true,
+    },
+    inApp: Boolean,
+    email: Boolean,
+  },
+  { _id: false }
+);
+
+//per-user opt-ins/outs; anything not listed here uses the defaults in config/notifications.js
+const NotificationPreferenceSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    settings: {
+      type: [TypeSettingSchema],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+//the stored setting for a type, if any
+NotificationPreferenceSchema.methods.settingFor = function (type) {
+  return this.settings.find((s) => s.type === type);
+};
+
+module.exports = mongoose.model('NotificationPreference', NotificationPreferenceSchema);
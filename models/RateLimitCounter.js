@@ -0,0 +1,24 @@
+// models/RateLimitCounter.js
+const mongoose = require('mongoose');
+
+//one rate-limit / lockout window (see utils/rateLimit/mongoStore.js)
+const RateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  //when the window ends; MongoDB removes the document shortly after
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+RateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', RateLimitCounterSchema);
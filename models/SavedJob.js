@@ -0,0 +1,26 @@
+// models/SavedJob.js
+const mongoose = require('mongoose');
+
+//a job a candidate bookmarked
+const SavedJobSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: true,
+      index: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+//a job is saved at most once per candidate; also serves "my saved jobs, newest first"
+SavedJobSchema.index({ user: 1, job: 1 }, { unique: true });
+SavedJobSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SavedJob', SavedJobSchema);
@@ -0,0 +1,43 @@
+// models/SavedSearch.js
+const mongoose = require('mongoose');
+const { ALERT_FREQUENCIES, DEFAULT_ALERT_FREQUENCY } = require('../config/jobAlerts');
+
+//a candidate's saved job search; new jobs matching it are sent in daily/weekly digests
+const SavedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    //same meaning as the query string of GET /api/jobs
+    filters: {
+      search: { type: String, trim: true },
+      company: { type: String, trim: true },
+      location: { type: String, trim: true },
+    },
+    frequency: {
+      type: String,
+      enum: ALERT_FREQUENCIES,
+      default: DEFAULT_ALERT_FREQUENCY,
+    },
+    //jobs published after this were not sent yet; moved forward by every digest
+    lastDigestAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+//the digest worker looks up searches that are due
+SavedSearchSchema.index({ frequency: 1, lastDigestAt: 1 });
+
+module.exports = mongoose.model('SavedSearch', SavedSearchSchema);
@@ -0,0 +1,26 @@
+// models/SecurityPolicy.js
+const mongoose = require('mongoose');
+const { ROLES } = require('../config/permissions'); //role names
+
+//site-wide security settings managed by admins; a single document (key 'default')
+const SecurityPolicySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: 'default',
+      unique: true,
+    },
+    //users with these roles must turn on multi-factor authentication before using the API
+    mfaRequiredRoles: {
+      type: [{ type: String, enum: ROLES }],
+      default: [],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('SecurityPolicy', SecurityPolicySchema);
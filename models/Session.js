@@ -0,0 +1,51 @@
+// models/Session.js
+const mongoose = require('mongoose');
+
+//a session is one logged-in device.
+//it holds the hash of the current refresh token, which is replaced on every refresh (rotation).
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    //sha256 of the refresh token currently valid for this session (never the raw token)
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    //set when the session is logged out, or killed because an old refresh token was reused
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout-all', 'reuse-detected', 'password-reset', 'suspended', 'deleted', 'mfa-reset', 'mfa-disabled', null],
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    userAgent: String,
+    ip: String,
+  },
+  { timestamps: true }
+);
+
+//let MongoDB clean up sessions once they have expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+//true if the session can still be used
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -2,6 +2,8 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs'); // For password hashing
+const softDelete = require('./plugins/softDelete'); // deletedAt instead of removal
+const { ROLES } = require('../config/permissions'); // Role names
 
 // Define the schema for the User collection
 const UserSchema = new mongoose.Schema(
@@ -32,8 +34,63 @@ const UserSchema = new mongoose.Schema(
     // User role to control access
     role: {
       type: String,
-      enum: ['admin', 'recruiter', 'candidate'], // Only these roles allowed
+      enum: ROLES, // Only these roles allowed (see config/permissions.js)
       default: 'candidate' // Default role if not specified
+    },
+
+    // Whether the user has clicked the verification link sent to their email
+    emailVerified: {
+      type: Boolean,
+      default: false
+    },
+    emailVerifiedAt: {
+      type: Date
+    },
+
+    // Account status; suspended users cannot log in or use existing tokens
+    status: {
+      type: String,
+      enum: ['active', 'suspended'],
+      default: 'active'
+    },
+    suspendedAt: {
+      type: Date
+    },
+    suspendedReason: {
+      type: String,
+      trim: true
+    },
+
+    // Multi-factor authentication (TOTP); secrets and codes are never returned unless selected
+    mfa: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      enabledAt: {
+        type: Date
+      },
+      // Base32 TOTP secret shared with the authenticator app
+      secret: {
+        type: String,
+        select: false
+      },
+      // Secret handed out by setup, waiting for the first code to confirm it
+      pendingSecret: {
+        type: String,
+        select: false
+      },
+      // SHA-256 hashes of the one-time recovery codes
+      recoveryCodes: {
+        type: [{ hash: String, usedAt: Date, _id: false }],
+        default: undefined,
+        select: false
+      },
+      // Last time step a code was accepted for, so a code can't be used twice
+      lastUsedStep: {
+        type: Number,
+        select: false
+      }
     }
   },
   {
@@ -41,6 +98,9 @@ const UserSchema = new mongoose.Schema(
   }
 );
 
+// Deleted users can't log in and are hidden everywhere until restored or purged
+UserSchema.plugin(softDelete);
+
 // Pre-save hook: runs before saving the document
 UserSchema.pre('save', async function (next) {
   // Only hash password if it has been modified or is new
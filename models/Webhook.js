@@ -0,0 +1,52 @@
+// models/Webhook.js
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../config/webhooks'); //subscribable events
+
+//an endpoint that receives signed POSTs when jobs/applications change
+const WebhookSchema = new mongoose.Schema(
+  {
+    //recruiter who registered it; gets events for their own jobs
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    //optional: when set, the webhook gets events for every job of this company
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      index: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: 'Subscribe to at least one event',
+      },
+    },
+    //shared secret used to sign deliveries (HMAC-SHA256); only shown to the owner on create/rotate
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
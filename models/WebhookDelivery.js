@@ -0,0 +1,64 @@
+// models/WebhookDelivery.js
+const mongoose = require('mongoose');
+
+//one try at POSTing a delivery
+const AttemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+    responseStatus: Number, //HTTP status, missing if the request never got an answer
+    error: String,
+    durationMs: Number,
+  },
+  { _id: false }
+);
+
+//one event sent (or being sent) to one webhook, with every attempt logged
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    //exact JSON body we POST (kept so it can be redelivered unchanged)
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    //pending (waiting for first try or a retry) -> succeeded | failed (gave up)
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending',
+    },
+    attempts: {
+      type: [AttemptSchema],
+      default: [],
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    //set while a worker is sending it, so two workers never send the same delivery at once
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    //the delivery this one was manually redelivered from
+    redeliveryOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookDelivery',
+    },
+  },
+  { timestamps: true }
+);
+
+//delivery log per webhook, and the worker's "what is due" query
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,50 @@
+// models/plugins/softDelete.js
+
+//soft deletion: documents get a deletedAt timestamp instead of being removed, and are purged
+//for good once the retention period has passed (see workers/purgeWorker.js).
+//reads skip deleted documents unless the filter mentions deletedAt itself or the query sets
+//the { withDeleted: true } option. deletes and plain updates are not filtered, and neither
+//are aggregation pipelines, which must add { deletedAt: null } themselves.
+
+const mongoose = require('mongoose');
+
+//query middleware that hides deleted documents
+const FILTERED_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'];
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    //who deleted it (null when deleted along with its owner or by the system)
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  });
+
+  schema.pre(FILTERED_QUERIES, function () {
+    if (this.getOptions().withDeleted) return;
+    if (this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+  });
+
+  //mark as deleted (the caller saves)
+  schema.methods.softDelete = function (actorId = null, deletedAt = new Date()) {
+    this.deletedAt = deletedAt;
+    this.deletedBy = actorId;
+    return this;
+  };
+
+  //undo a soft delete (the caller saves)
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this;
+  };
+};
+
+module.exports = softDelete;
@@ -0,0 +1,546 @@
+// routes/admin.js
+
+//imported required modules
+const express = require('express');
+const { check, validationResult } = require('express-validator'); //for request body validation
+const User = require('../models/User'); //Mongoose User model
+const Job = require('../models/Job'); //Mongoose Job model
+const Application = require('../models/Application'); //Mongoose Application model
+const Session = require('../models/Session'); //Mongoose Session model
+const AuditLog = require('../models/AuditLog'); //Mongoose AuditLog model
+const auth = require('../middleware/auth'); //middleware to protect routes
+const permit = require('../middleware/permit'); //permission checks
+const CustomError = require('../utils/customError'); //import custom error utility
+const { readPage, readLimit } = require('../utils/pagination'); //?page= and ?limit=
+const { MAX_PAGE_SIZE } = require('../config/pagination'); //page size cap
+const escapeRegex = require('../utils/escapeRegex'); //treat search input as plain text
+const { revokeAllSessions } = require('../utils/tokens'); //log a user out everywhere
+const { jobRules } = require('../validators/jobValidators'); //shared job validation rules
+const { applyJobChanges } = require('../utils/jobFields'); //writable job fields
+const { emitWebhookEvent, serializeJob } = require('../utils/webhooks'); //outbound webhooks
+const { deleteJob, restoreJob } = require('../utils/jobLifecycle'); //job delete and restore
+const { recordAudit, snapshot } = require('../utils/audit'); //audit trail
+const { restoreDeadline } = require('../config/retention'); //how long deleted records can be restored
+const { AUDIT_ENTITY_TYPES, AUDIT_ACTIONS } = require('../config/audit'); //what the audit trail records
+const { ROLES } = require('../config/permissions'); //role names
+const { disableMfa, mfaRequiredRoles, setMfaRequiredRoles } = require('../utils/mfa'); //multi-factor authentication
+
+const router = express.Router(); //initialize router
+
+//every admin route requires a logged-in user holding the permission for that area
+router.use(auth);
+router.use('/users', permit('user:manage'));
+router.use('/jobs', permit('job:moderate'));
+router.use('/audit-logs', permit('audit:read'));
+router.use('/security', permit('security:manage'));
+
+//fields never sent back for users
+const USER_PROJECTION = '-password -__v';
+
+//admins can't suspend, demote or delete their own account (avoids locking everyone out)
+const rejectSelf = (req, next) => {
+  if (req.params.id === req.user.userId) {
+    next(new CustomError('You cannot perform this action on your own account', 400));
+    return true;
+  }
+  return false;
+};
+
+/**
+ * LIST USERS
+ * route   GET /api/admin/users
+ * desc    list/search users with optional role and status filters and pagination
+ *         (?deleted=true lists deleted users that can still be restored)
+ * access  Private, requires user:manage
+ */
+router.get('/users', async (req, res, next) => {
+  try {
+    const { page, limit, search = '', role, status, deleted } = req.query;
+
+    const pageNumber = readPage(page);
+    const limitNumber = readLimit(limit, { defaultLimit: 20, maxLimit: MAX_PAGE_SIZE });
+    const skip = (pageNumber - 1) * limitNumber;
+
+    const query = {};
+
+    //search by name or email
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } },
+      ];
+    }
+
+    if (role) query.role = role;
+    if (status) query.status = status;
+    if (deleted === 'true') query.deletedAt = { $ne: null };
+
+    const totalUsers = await User.countDocuments(query);
+    const users = await User.find(query, USER_PROJECTION)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNumber);
+
+    res.json({
+      success: true,
+      total: totalUsers,
+      page: pageNumber,
+      totalPages: Math.ceil(totalUsers / limitNumber),
+      users,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET SINGLE USER
+ * route   GET /api/admin/users/:id
+ * desc    view a user (deleted users included) with counts of their jobs, applications and active sessions
+ * access  Private, requires user:manage
+ */
+router.get('/users/:id', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id, USER_PROJECTION).setOptions({ withDeleted: true });
+
+    if (!user) {
+      return next(new CustomError('User not found', 404));
+    }
+
+    const [jobs, applications, activeSessions] = await Promise.all([
+      Job.countDocuments({ user: user._id }),
+      Application.countDocuments({ candidate: user._id }),
+      Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } }),
+    ]);
+
+    res.json({ user, stats: { jobs, applications, activeSessions } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * SUSPEND / REACTIVATE USER
+ * route   PATCH /api/admin/users/:id/status
+ * desc    set a user's status to 'suspended' or 'active' (suspending also logs them out everywhere)
+ * access  Private, requires user:manage
+ */
+router.patch(
+  '/users/:id/status',
+  [
+    check('status', 'Status must be active or suspended').isIn(['active', 'suspended']),
+    check('reason', 'Reason must be at most 500 characters').optional().isLength({ max: 500 }),
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return next(CustomError.validation(errors));
+    if (rejectSelf(req, next)) return;
+
+    const { status, reason } = req.body;
+
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return next(new CustomError('User not found', 404));
+      }
+
+      const before = snapshot(user);
+      user.status = status;
+      user.suspendedAt = status === 'suspended' ? new Date() : undefined;
+      user.suspendedReason = status === 'suspended' ? reason : undefined;
+      await user.save();
+      await recordAudit(req, { action: 'update', entityType: 'user', before, after: user });
+
+      if (status === 'suspended') {
+        await revokeAllSessions(user._id, 'suspended');
+      }
+
+      res.json(await User.findById(user._id, USER_PROJECTION));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * CHANGE USER ROLE
+ * route   PATCH /api/admin/users/:id/role
+ * desc    change a user's role (takes effect on their next request)
+ * access  Private, requires user:manage
+ */
+router.patch(
+  '/users/:id/role',
+  [check('role', `Role must be one of: ${ROLES.join(', ')}`).isIn(ROLES)],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return next(CustomError.validation(errors));
+    if (rejectSelf(req, next)) return;
+
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return next(new CustomError('User not found', 404));
+      }
+
+      const before = snapshot(user);
+      user.role = req.body.role;
+      await user.save();
+      await recordAudit(req, { action: 'update', entityType: 'user', before, after: user });
+
+      res.json(await User.findById(user._id, USER_PROJECTION));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * DELETE USER
+ * route   DELETE /api/admin/users/:id
+ * desc    soft-delete a user and their own (non-company) job postings and log them out everywhere; they can
+ *         be restored until the retention period ends, then the user, their applications and profile are purged
+ * access  Private, requires user:manage
+ */
+router.delete('/users/:id', async (req, res, next) => {
+  if (rejectSelf(req, next)) return;
+
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return next(new CustomError('User not found', 404));
+    }
+
+    const before = snapshot(user);
+    await user.softDelete(req.user.userId).save();
+    await recordAudit(req, { action: 'delete', entityType: 'user', before, after: user });
+
+    //their jobs share the user's deletedAt (and no deletedBy), so restoring the user restores them too.
+    //company jobs belong to the company and stay live for its other members
+    for (const job of await Job.find({ user: user._id, companyId: null })) {
+      await deleteJob(job, req, { by: null, deletedAt: user.deletedAt });
+    }
+    await revokeAllSessions(user._id, 'deleted');
+
+    res.json({ msg: 'User deleted successfully', restoreUntil: restoreDeadline(user.deletedAt) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * RESTORE USER
+ * route   POST /api/admin/users/:id/restore
+ * desc    undo the deletion of a user, along with the job postings deleted with them
+ * access  Private, requires user:manage
+ */
+router.post('/users/:id/restore', async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!user) {
+      return next(new CustomError('Deleted user not found', 404));
+    }
+
+    //jobs deleted together with the user (jobs deleted on their own stay deleted)
+    const jobs = await Job.find({ user: user._id, deletedAt: user.deletedAt, deletedBy: null });
+
+    const before = snapshot(user);
+    await user.restore().save();
+    await recordAudit(req, { action: 'restore', entityType: 'user', before, after: user });
+
+    for (const job of jobs) {
+      await restoreJob(job, req);
+    }
+
+    res.json(await User.findById(user._id, USER_PROJECTION));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * LIST ALL JOBS
+ * route   GET /api/admin/jobs
+ * desc    list jobs from every recruiter (with owner info) for moderation
+ *         (?deleted=true lists deleted jobs that can still be restored)
+ * access  Private, requires job:moderate
+ */
+router.get('/jobs', async (req, res, next) => {
+  try {
+    const { page, limit, search = '', owner, status, deleted } = req.query;
+
+    const pageNumber = readPage(page);
+    const limitNumber = readLimit(limit, { defaultLimit: 20, maxLimit: MAX_PAGE_SIZE });
+    const skip = (pageNumber - 1) * limitNumber;
+
+    const query = {};
+
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { title: { $regex: pattern, $options: 'i' } },
+        { company: { $regex: pattern, $options: 'i' } },
+      ];
+    }
+
+    //only jobs posted by one user
+    if (owner) query.user = owner;
+
+    //lifecycle status, e.g. status=draft,paused
+    if (status) query.status = { $in: String(status).split(',') };
+
+    if (deleted === 'true') query.deletedAt = { $ne: null };
+
+    const totalJobs = await Job.countDocuments(query);
+    const jobs = await Job.find(query)
+      .populate('user', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNumber);
+
+    res.json({
+      success: true,
+      total: totalJobs,
+      page: pageNumber,
+      totalPages: Math.ceil(totalJobs / limitNumber),
+      jobs,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * UPDATE ANY JOB
+ * route   PUT /api/admin/jobs/:id
+ * desc    edit any job regardless of owner (e.g. fix or tone down a posting)
+ * access  Private, requires job:moderate
+ */
+router.put(
+  '/jobs/:id',
+  jobRules({ partial: true }),
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+    try {
+      const job = await Job.findById(req.params.id);
+
+      if (!job) {
+        return next(new CustomError('Job not found', 404));
+      }
+
+      const before = snapshot(job);
+      applyJobChanges(job, req.body);
+      //the name of a linked company comes from the company itself
+      if (!job.companyId) {
+        job.company = req.body.company ?? job.company;
+      }
+
+      const updatedJob = await job.save();
+      await recordAudit(req, { action: 'update', entityType: 'job', before, after: updatedJob });
+
+      //the owner's webhooks hear about moderation changes too
+      emitWebhookEvent('job.updated', updatedJob, { job: serializeJob(updatedJob) });
+
+      res.json(updatedJob);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * DELETE ANY JOB
+ * route   DELETE /api/admin/jobs/:id
+ * desc    soft-delete any job regardless of owner; its applications are purged with it
+ *         once the retention period ends
+ * access  Private, requires job:moderate
+ */
+router.delete('/jobs/:id', async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return next(new CustomError('Job not found', 404));
+    }
+
+    await deleteJob(job, req);
+
+    res.json({ msg: 'Job deleted successfully', restoreUntil: restoreDeadline(job.deletedAt) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * RESTORE ANY JOB
+ * route   POST /api/admin/jobs/:id/restore
+ * desc    undo the deletion of any job regardless of owner
+ * access  Private, requires job:moderate
+ */
+router.post('/jobs/:id/restore', async (req, res, next) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!job) {
+      return next(new CustomError('Deleted job not found', 404));
+    }
+
+    res.json(await restoreJob(job, req));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * RESET USER MFA
+ * route   POST /api/admin/users/:id/mfa/reset
+ * desc    turn off MFA for a user who lost their authenticator and recovery codes, and log them out
+ *         everywhere; if their role requires MFA they set it up again on their next login
+ * access  Private, requires user:manage
+ */
+router.post('/users/:id/mfa/reset', async (req, res, next) => {
+  if (rejectSelf(req, next)) return;
+
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return next(new CustomError('User not found', 404));
+    }
+
+    if (!user.mfa.enabled) {
+      return next(new CustomError('Multi-factor authentication is not enabled for this user', 400));
+    }
+
+    await disableMfa(user._id);
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'user',
+      before: { _id: user._id, mfa: { enabled: true } },
+      after: { _id: user._id, mfa: { enabled: false } },
+    });
+    await revokeAllSessions(user._id, 'mfa-reset');
+
+    res.json({ msg: 'Multi-factor authentication reset' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET MFA POLICY
+ * route   GET /api/admin/security/mfa
+ * desc    roles that must use multi-factor authentication
+ * access  Private, requires security:manage
+ */
+router.get('/security/mfa', async (req, res, next) => {
+  try {
+    res.json({ success: true, requiredRoles: await mfaRequiredRoles(), roles: ROLES });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * SET MFA POLICY
+ * route   PUT /api/admin/security/mfa
+ * desc    require multi-factor authentication for these roles ({ requiredRoles: ['admin', 'recruiter'] }).
+ *         users of those roles without MFA can only reach the MFA setup routes until they turn it on
+ * access  Private, requires security:manage
+ */
+router.put(
+  '/security/mfa',
+  [
+    check('requiredRoles', 'requiredRoles must be a list of roles').isArray(),
+    check('requiredRoles.*', `Role must be one of: ${ROLES.join(', ')}`).isIn(ROLES),
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+    try {
+      const { requiredRoles } = req.body;
+
+      //requiring MFA for your own role before setting it up would lock you out of this page
+      const me = await User.findById(req.user.userId);
+      if (requiredRoles.includes(me.role) && !me.mfa.enabled) {
+        return next(new CustomError('Set up multi-factor authentication for your own account first', 400));
+      }
+
+      const policy = await setMfaRequiredRoles(requiredRoles, req.user.userId);
+      res.json({ success: true, requiredRoles: policy.mfaRequiredRoles, roles: ROLES });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * AUDIT LOG
+ * route   GET /api/admin/audit-logs
+ * desc    query the audit trail by entity (?entityType=job&entityId=...) or actor (?actor=...),
+ *         optionally narrowed by action and a date range (?from=&to=), newest first
+ * access  Private, requires audit:read
+ */
+router.get(
+  '/audit-logs',
+  [
+    check('entityType', `Entity type must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`)
+      .optional()
+      .isIn(AUDIT_ENTITY_TYPES),
+    check('entityId', 'Invalid entity id').optional().isMongoId(),
+    check('actor', 'Invalid actor id').optional().isMongoId(),
+    check('action', `Action must be one of: ${AUDIT_ACTIONS.join(', ')}`).optional().isIn(AUDIT_ACTIONS),
+    check('from', 'from must be a date').optional().isISO8601(),
+    check('to', 'to must be a date').optional().isISO8601(),
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+    try {
+      const { page, limit, entityType, entityId, actor, action, from, to } = req.query;
+
+      const pageNumber = readPage(page);
+      const limitNumber = readLimit(limit, { defaultLimit: 50, maxLimit: MAX_PAGE_SIZE });
+      const skip = (pageNumber - 1) * limitNumber;
+
+      const query = {};
+      if (entityType) query.entityType = entityType;
+      if (entityId) query.entityId = entityId;
+      if (actor) query.actor = actor;
+      if (action) query.action = action;
+      if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+      }
+
+      const total = await AuditLog.countDocuments(query);
+      //actors are populated even if they were deleted since
+      const entries = await AuditLog.find(query)
+        .populate({ path: 'actor', select: 'name email role', options: { withDeleted: true } })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNumber);
+
+      res.json({
+        success: true,
+        total,
+        page: pageNumber,
+        totalPages: Math.ceil(total / limitNumber),
+        entries,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
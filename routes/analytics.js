@@ -0,0 +1,101 @@
+// routes/analytics.js
+
+//imported required modules
+const express = require('express');
+const { check, validationResult } = require('express-validator'); //for query validation
+const Job = require('../models/Job'); //Mongoose Job model
+const auth = require('../middleware/auth'); //middleware to protect routes
+const permit = require('../middleware/permit'); //permission checks
+const CustomError = require('../utils/customError'); //import custom error utility
+const { jobsFilterFor, findJobFor } = require('../utils/jobAccess'); //permission-scoped job access
+const { analyticsReport } = require('../utils/analytics'); //aggregations
+const { DEFAULT_RANGE_DAYS, MAX_RANGE_DAYS } = require('../config/analytics'); //reporting period limits
+
+const router = express.Router(); //initialize router
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+//every analytics route needs analytics:read (recruiters see the jobs they manage, admins every job)
+router.use(auth, permit('analytics:read'));
+
+//?from= and ?to= are optional ISO dates
+const rangeRules = [
+  check('from', 'from must be a date').optional().isISO8601(),
+  check('to', 'to must be a date').optional().isISO8601(),
+];
+
+/**
+ * helper: read the reporting period (default: the last DEFAULT_RANGE_DAYS days)
+ * a plain date for ?to= (2024-05-31) covers that whole day
+ */
+const readRange = (query) => {
+  let to = query.to ? new Date(query.to) : new Date();
+  if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    to = new Date(to.getTime() + DAY_MS - 1);
+  }
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (from > to) {
+    throw new CustomError('from must be before to', 400);
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    throw new CustomError(`The period can cover at most ${MAX_RANGE_DAYS} days`, 400);
+  }
+
+  return { from, to };
+};
+
+/**
+ * SUMMARY
+ * route   GET /api/analytics/summary?from=&to=
+ * desc    views, applications, pipeline conversion, time-to-hire, top sources and top jobs
+ *         across every job the logged-in user may report on
+ * access  Private, requires analytics:read
+ */
+router.get('/summary', rangeRules, async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+  try {
+    const { from, to } = readRange(req.query);
+    const jobIds = await Job.find(await jobsFilterFor(req.user, 'analytics:read')).distinct('_id');
+
+    const report = await analyticsReport(jobIds, from, to, { withJobs: true });
+
+    res.json({ success: true, jobs: jobIds.length, ...report });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * JOB ANALYTICS
+ * route   GET /api/analytics/jobs/:id?from=&to=
+ * desc    views, applications, pipeline conversion, time-to-hire and top sources for one job
+ * access  Private, requires analytics:read for the job
+ */
+router.get('/jobs/:id', rangeRules, async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+  try {
+    const { from, to } = readRange(req.query);
+    const job = await findJobFor(req.user, 'analytics:read', req.params.id);
+
+    if (!job) {
+      return next(new CustomError('Job not found', 404));
+    }
+
+    const report = await analyticsReport([job._id], from, to);
+
+    res.json({
+      success: true,
+      job: { id: job._id, title: job.title, company: job.company, status: job.status },
+      ...report,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+// routes/applications.js
+
+//imported required modules
+const express = require('express');
+const { check, validationResult } = require('express-validator'); //for request body validation
+const Application = require('../models/Application'); //Mongoose Application model
+const auth = require('../middleware/auth'); //middleware to protect routes
+const permit = require('../middleware/permit'); //permission checks
+const CustomError = require('../utils/customError'); //import custom error utility
+const { STAGES, TRANSITIONS, canTransition } = require('../config/pipeline'); //hiring pipeline stages
+const { findJobFor, canActOnJob } = require('../utils/jobAccess'); //permission-scoped job access
+const { sendResume } = require('../utils/resumeFiles'); //resume download
+const { notify } = require('../utils/notifications'); //in-app/email notifications
+const { recordAudit } = require('../utils/audit'); //audit trail
+
+const router = express.Router(); //initialize router
+
+//applications of deleted candidates are hidden until the purge removes them
+const activeApplication = async (id) => ({ _id: id, ...(await Application.activeCandidatesFilter()) });
+
+/**
+ * GET MY APPLICATIONS
+ * route   GET /api/applications/me
+ * desc    list all applications submitted by the logged-in candidate
+ * access  Private, requires application:read (candidates, their own applications)
+ */
+router.get('/me', auth, permit('application:read'), async (req, res, next) => {
+  try {
+    const applications = await Application.find({ candidate: req.user.userId })
+      .populate('job', 'title company location')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      total: applications.length,
+      applications,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET SINGLE APPLICATION
+ * route   GET /api/applications/:id
+ * desc    get one application (visible to the candidate who applied and recruiters who manage the job)
+ * access  Private
+ */
+router.get('/:id', auth, async (req, res, next) => {
+  try {
+    const application = await Application.findOne(await activeApplication(req.params.id))
+      .populate('candidate', 'name email')
+      .populate('job', 'title company location user companyId');
+
+    if (!application) {
+      return next(new CustomError('Application not found', 404));
+    }
+
+    //candidate who applied, or anyone who may review the job's applications
+    const isApplicant = application.candidate && application.candidate._id.toString() === req.user.userId;
+
+    if (!isApplicant && !(await canActOnJob(req.user, 'application:review', application.job))) {
+      //respond with 404 so we don't leak which application ids exist
+      return next(new CustomError('Application not found', 404));
+    }
+
+    res.json(application);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DOWNLOAD APPLICATION RESUME
+ * route   GET /api/applications/:id/resume
+ * desc    download the resume attached to an application
+ * access  Private, the candidate who applied or recruiters who manage the job
+ */
+router.get('/:id/resume', auth, async (req, res, next) => {
+  try {
+    const application = await Application.findOne(await activeApplication(req.params.id))
+      .populate('job', 'user companyId');
+
+    if (!application) {
+      return next(new CustomError('Application not found', 404));
+    }
+
+    const isApplicant = application.candidate.toString() === req.user.userId;
+    if (!isApplicant && !(await canActOnJob(req.user, 'application:review', application.job))) {
+      return next(new CustomError('Application not found', 404));
+    }
+
+    if (!application.resume || !application.resume.key) {
+      return next(new CustomError('No resume attached to this application', 404));
+    }
+
+    sendResume(res, next, application.resume);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * UPDATE APPLICATION STATUS
+ * route   PATCH /api/applications/:id/status
+ * desc    move an application to another pipeline stage (409 if the transition is not allowed)
+ * access  Private, requires application:review for the job
+ */
+router.patch(
+  '/:id/status',
+  auth,
+  permit('application:review'),
+  [
+    check('status', `Status must be one of: ${STAGES.join(', ')}`).isIn(STAGES),
+    check('note', 'Note must be at most 1000 characters').optional().isLength({ max: 1000 }),
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+    const { status, note } = req.body;
+
+    try {
+      const application = await Application.findOne(await activeApplication(req.params.id));
+
+      if (!application) {
+        return next(new CustomError('Application not found', 404));
+      }
+
+      //same rule as routes/jobs.js: the current user must be allowed to review the job's applications
+      const job = await findJobFor(req.user, 'application:review', application.job);
+      if (!job) {
+        return next(new CustomError('Application not found', 404));
+      }
+
+      const from = application.status;
+      if (!canTransition(from, status)) {
+        const allowed = TRANSITIONS[from] || [];
+        return next(
+          new CustomError(
+            `Cannot move application from '${from}' to '${status}'` +
+              (allowed.length ? ` (allowed: ${allowed.join(', ')})` : ` ('${from}' is a final stage)`),
+            409
+          )
+        );
+      }
+
+      //only update if nobody changed the status since we read it
+      const updated = await Application.findOneAndUpdate(
+        { _id: application._id, status: from },
+        {
+          $set: { status },
+          $push: { history: { from, to: status, actor: req.user.userId, note } },
+        },
+        { new: true, runValidators: true }
+      );
+
+      if (!updated) {
+        return next(new CustomError('Application status was changed by someone else, please retry', 409));
+      }
+      await recordAudit(req, { action: 'update', entityType: 'application', before: application, after: updated });
+
+      //tell the candidate (runs in the background, never fails the request)
+      notify(updated.candidate, 'application.status_changed', {
+        title: `Your application for ${job.title} moved to ${status}`,
+        message: `Your application for ${job.title} at ${job.company} is now at the '${status}' stage.` +
+          (note ? `\n\nNote from the recruiter: ${note}` : ''),
+        data: { applicationId: updated._id, jobId: job._id, from, to: status },
+      });
+
+      res.json(updated);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -4,7 +4,6 @@
 // Required Modules
 // =============================
 const express = require('express');
-const jwt = require('jsonwebtoken'); // for creating JWT tokens
 const { check, validationResult } = require('express-validator'); // for input validation
 
 // =============================
@@ -13,12 +12,161 @@ const { check, validationResult } = require('express-validator'); // for input v
 const User = require('../models/User'); // Mongoose model for user
 const auth = require('../middleware/auth'); // middleware to protect routes
 const CustomError = require('../utils/customError'); // custom error handler utility
+const {
+  createSession,
+  rotateSession,
+  revokeByRefreshToken,
+  revokeAllSessions,
+} = require('../utils/tokens'); // access/refresh token helpers
+const { issueToken, consumeToken } = require('../utils/oneTimeTokens'); // single-use email tokens
+const { sendMail } = require('../utils/mailer'); // pluggable mailer (smtp/file/console)
+const { recordAudit, snapshot } = require('../utils/audit'); // audit trail
+const { rateLimit, byEmail, byUser, secondsUntil } = require('../middleware/rateLimit'); // 429s with Retry-After
+const { lockedUntil, recordLoginFailure, clearLoginFailures } = require('../utils/loginLockout'); // brute-force lockout
+const { RATE_LIMITS } = require('../config/rateLimits'); // request limits
+const { permissionsFor } = require('../utils/permissions'); // role → permission map
+const {
+  beginEnrollment,
+  confirmEnrollment,
+  checkSecondFactor,
+  regenerateRecoveryCodes,
+  recoveryCodesLeft,
+  disableMfa,
+  issueMfaToken,
+  readMfaToken,
+  isMfaRequiredFor,
+} = require('../utils/mfa'); // multi-factor authentication (TOTP)
 
 // =============================
 // Router Setup
 // =============================
 const router = express.Router();
 
+// =============================
+// Rate Limits
+// =============================
+const signupLimit = rateLimit({
+  name: 'signup-ip',
+  ...RATE_LIMITS.signupIp,
+  message: 'Too many accounts created from this address, please try again later',
+});
+const loginLimits = [
+  rateLimit({ name: 'login-ip', ...RATE_LIMITS.loginIp, message: 'Too many login attempts, please try again later' }),
+  rateLimit({
+    name: 'login-account',
+    ...RATE_LIMITS.loginAccount,
+    key: byEmail,
+    message: 'Too many login attempts for this account, please try again later',
+  }),
+];
+const passwordResetLimits = [
+  rateLimit({ name: 'password-reset-ip', ...RATE_LIMITS.passwordResetIp }),
+  rateLimit({ name: 'password-reset-account', ...RATE_LIMITS.passwordResetAccount, key: byEmail }),
+];
+const loginMfaLimit = rateLimit({
+  name: 'login-mfa-ip',
+  ...RATE_LIMITS.loginIp,
+  message: 'Too many login attempts, please try again later',
+});
+const tokenLimit = rateLimit({ name: 'token-ip', ...RATE_LIMITS.tokenIp });
+const verifyResendLimit = rateLimit({ name: 'verify-resend', ...RATE_LIMITS.verifyEmailResend, key: byUser });
+
+// Frontend base URL used to build links inside emails
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:5173';
+
+// =============================
+// Validation Rules
+// =============================
+
+// Login email: a single string, normalized the way the User model stores it (trimmed, lowercase),
+// so the user lookup, the per-account limit and the lockout all use the same account key
+const loginEmailRule = check('email', 'Please include a valid email')
+  .isString()
+  .bail()
+  .trim()
+  .toLowerCase()
+  .isEmail();
+
+// Second factor for login and MFA changes: a 6-digit code or a recovery code, both strings
+const secondFactorRules = [
+  check('code', 'Code must be 6 digits').optional().isString().bail().matches(/^\d{6}$/),
+  check('recoveryCode', 'Recovery code must be a string').optional().isString().bail().notEmpty(),
+  check('code', 'Code or recovery code is required').if(check('recoveryCode').not().exists()).exists(),
+];
+
+// =============================
+// Session Helpers
+// =============================
+
+// Start a session after a successful login and send the tokens with minimal user info
+// (mfaSetupRequired tells the frontend to send the user to MFA setup first)
+const sendNewSession = async (user, req, res) => {
+  const { token, refreshToken } = await createSession(user, req);
+  const mfaSetupRequired = !user.mfa?.enabled && (await isMfaRequiredFor(user.role));
+
+  res.json({
+    token,
+    refreshToken,
+    ...(mfaSetupRequired && { mfaSetupRequired }),
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      mfaEnabled: Boolean(user.mfa?.enabled),
+    },
+  });
+};
+
+// Audit entry for turning MFA on or off (secrets are never part of it)
+const recordMfaChange = (req, userId, enabled, actor) =>
+  recordAudit(req, {
+    action: 'update',
+    entityType: 'user',
+    before: { _id: userId, mfa: { enabled: !enabled } },
+    after: { _id: userId, mfa: { enabled } },
+    actor,
+  });
+
+// Locked accounts get a 429 telling them when to retry
+const tooManyFailures = (res, next, until) => {
+  res.setHeader('Retry-After', secondsUntil(until));
+  return next(new CustomError('Too many failed login attempts, please try again later', 429));
+};
+
+// A wrong MFA code counts as a failed login; the failure that triggers a lock is answered with the lock
+const invalidSecondFactor = async (res, next, user) => {
+  const until = await recordLoginFailure(user.email);
+  if (until) return tooManyFailures(res, next, until);
+  return next(new CustomError('Invalid authentication code', 400, { code: 'INVALID_MFA_CODE' }));
+};
+
+// =============================
+// Email Helpers
+// =============================
+const sendVerificationEmail = async (user) => {
+  const token = await issueToken(user._id, 'email-verify');
+  const link = `${clientUrl()}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Gencruit email',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueToken(user._id, 'password-reset');
+  const link = `${clientUrl()}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Gencruit password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset your password. If it was you, open this link:\n${link}\n\nThe link expires in 1 hour and can only be used once. If it wasn't you, ignore this email.`,
+  });
+};
+
 // =============================
 // @route   POST /api/auth/signup
 // @desc    Register a new user with optional role (default: candidate)
@@ -26,6 +174,7 @@ const router = express.Router();
 // =============================
 router.post(
   '/signup',
+  signupLimit,
   [
     // Validation middleware for incoming data
     check('name', 'Name is required').notEmpty(),
@@ -36,16 +185,21 @@ router.post(
     // Handle validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      return next(new CustomError('Validation failed', 400));
+      return next(CustomError.validation(errors));
     }
 
     const { name, email, password, role } = req.body;
 
     try {
-      // Check if user already exists
-      const existingUser = await User.findOne({ email });
+      // Check if user already exists (a deleted account keeps its email until it is purged)
+      const existingUser = await User.findOne({ email }).setOptions({ withDeleted: true });
       if (existingUser) {
-        return next(new CustomError('User already exists', 400));
+        return next(
+          new CustomError('User already exists', 409, {
+            code: 'DUPLICATE',
+            errors: [{ field: 'email', message: 'An account with this email already exists', location: 'body' }],
+          })
+        );
       }
 
       // Prevent users from signing up as admin directly
@@ -61,22 +215,28 @@ router.post(
       });
 
       await newUser.save();
+      await recordAudit(req, { action: 'create', entityType: 'user', after: newUser, actor: newUser._id });
 
-      // Create JWT token with user ID and role
-      const token = jwt.sign(
-        { userId: newUser._id, role: newUser.role },
-        process.env.JWT_SECRET,
-        { expiresIn: '1h' }
-      );
+      // Send the verification link; a mail failure shouldn't block signup (user can resend)
+      try {
+        await sendVerificationEmail(newUser);
+      } catch (mailErr) {
+        console.error('Failed to send verification email:', mailErr.message);
+      }
+
+      // Start a session: short-lived JWT plus a refresh token
+      const { token, refreshToken } = await createSession(newUser, req);
 
       // Send success response
       res.status(201).json({
         token,
+        refreshToken,
         user: {
           id: newUser._id,
           name: newUser.name,
           email: newUser.email,
           role: newUser.role,
+          emailVerified: newUser.emailVerified,
         },
       });
     } catch (err) {
@@ -90,40 +250,319 @@ router.post(
 // @desc    Authenticate user & return token
 // @access  Public
 // =============================
-router.post('/login', async (req, res, next) => {
-  const { email, password } = req.body;
+router.post(
+  '/login',
+  loginLimits,
+  [loginEmailRule, check('password', 'Password is required').isString().bail().notEmpty()],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(CustomError.validation(errors));
+    }
 
-  try {
-    // Find user by email
-    const user = await User.findOne({ email });
+    const { email, password } = req.body;
 
-    if (!user) {
+    // Count a failure; the attempt that triggers a lock is already answered with the lock
+    const invalidCredentials = async () => {
+      const until = await recordLoginFailure(email);
+      if (until) return tooManyFailures(res, next, until);
       return next(new CustomError('Invalid credentials', 400));
+    };
+
+    try {
+      // Refuse locked accounts before looking at the password
+      const until = await lockedUntil(email);
+      if (until) {
+        return tooManyFailures(res, next, until);
+      }
+
+      // Find user by email
+      const user = await User.findOne({ email });
+
+      if (!user) {
+        return invalidCredentials();
+      }
+
+      // Compare entered password with hashed password using model method
+      const isMatch = await user.matchPassword(password);
+      if (!isMatch) {
+        return invalidCredentials();
+      }
+
+      // Suspended accounts can't log in (checked after the password so it can't be probed)
+      if (user.status === 'suspended') {
+        return next(new CustomError('Account suspended', 403));
+      }
+
+      // MFA on: no session yet, the interim token is exchanged at /login/mfa once the code checks out.
+      // failures are only cleared there, so guessing codes still counts towards the lockout
+      if (user.mfa?.enabled) {
+        return res.json({ mfaRequired: true, mfaToken: issueMfaToken(user) });
+      }
+
+      // Right password: start counting failures from zero again
+      await clearLoginFailures(email);
+
+      // Start a session: short-lived JWT plus a refresh token
+      await sendNewSession(user, req, res);
+    } catch (err) {
+      next(err);
     }
+  }
+);
 
-    // Compare entered password with hashed password using model method
-    const isMatch = await user.matchPassword(password);
-    if (!isMatch) {
-      return next(new CustomError('Invalid credentials', 400));
+// =============================
+// @route   POST /api/auth/login/mfa
+// @desc    Second login step for accounts with MFA: exchange the interim token from /login
+//          and a code from the authenticator app (or a recovery code) for the real tokens
+// @access  Public (requires interim token)
+// =============================
+router.post(
+  '/login/mfa',
+  loginMfaLimit,
+  [
+    check('mfaToken', 'Login token is required').isString().bail().notEmpty(),
+    ...secondFactorRules,
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(CustomError.validation(errors));
     }
 
-    // Create JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    try {
+      const userId = readMfaToken(req.body.mfaToken);
+      const user = await User.findById(userId);
+      if (!user || !user.mfa.enabled) {
+        return next(new CustomError('Login step expired or invalid, please log in again', 401));
+      }
+
+      // Same lockout as wrong passwords
+      const locked = await lockedUntil(user.email);
+      if (locked) {
+        return tooManyFailures(res, next, locked);
+      }
 
-    // Respond with token and minimal user info
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-      },
-    });
+      const { code, recoveryCode } = req.body;
+      const accepted = await checkSecondFactor(user._id, { code, recoveryCode });
+      if (!accepted) {
+        return invalidSecondFactor(res, next, user);
+      }
+
+      if (user.status === 'suspended') {
+        return next(new CustomError('Account suspended', 403));
+      }
+
+      await clearLoginFailures(user.email);
+      await sendNewSession(user, req, res);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// =============================
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token + refresh token (rotation)
+// @access  Public (requires refresh token)
+// =============================
+router.post(
+  '/refresh',
+  tokenLimit,
+  [check('refreshToken', 'Refresh token is required').isString().notEmpty()],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(CustomError.validation(errors));
+    }
+
+    try {
+      // Rotate the refresh token; reusing an old one revokes the session
+      const { user, token, refreshToken } = await rotateSession(
+        req.body.refreshToken,
+        (userId) => User.findOne({ _id: userId, status: { $ne: 'suspended' } })
+      );
+
+      res.json({
+        token,
+        refreshToken,
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified,
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// =============================
+// @route   POST /api/auth/logout
+// @desc    Log out of the current device by revoking its refresh token
+// @access  Public (requires refresh token)
+// =============================
+router.post(
+  '/logout',
+  [check('refreshToken', 'Refresh token is required').isString().notEmpty()],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(CustomError.validation(errors));
+    }
+
+    try {
+      await revokeByRefreshToken(req.body.refreshToken);
+
+      // Same answer whether or not the token matched, so it can't be probed
+      res.json({ msg: 'Logged out' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// =============================
+// @route   POST /api/auth/logout-all
+// @desc    Log out of all devices by revoking every session of the current user
+// @access  Private (requires token)
+// =============================
+router.post('/logout-all', auth.allowingMfaSetup, async (req, res, next) => {
+  try {
+    await revokeAllSessions(req.user.userId);
+    res.json({ msg: 'Logged out of all devices' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// =============================
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+// =============================
+router.post(
+  '/forgot-password',
+  passwordResetLimits,
+  [check('email', 'Please include a valid email').isEmail()],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(CustomError.validation(errors));
+    }
+
+    // Same answer, straight away, whether or not the account exists: the lookup and the email
+    // happen after responding, so neither the response nor its timing reveals registered emails
+    res.json({ msg: 'If that email is registered, a reset link has been sent' });
+
+    try {
+      const user = await User.findOne({ email: req.body.email.toLowerCase() });
+      if (user) {
+        await sendPasswordResetEmail(user);
+      }
+    } catch (err) {
+      console.error('Failed to send password reset email:', err.message);
+    }
+  }
+);
+
+// =============================
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using the token from the reset email
+// @access  Public (requires reset token)
+// =============================
+router.post(
+  '/reset-password',
+  tokenLimit,
+  [
+    check('token', 'Reset token is required').isString().notEmpty(),
+    check('password', 'Password must be at least 6 characters').isLength({ min: 6 }),
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(CustomError.validation(errors));
+    }
+
+    try {
+      const userId = await consumeToken(req.body.token, 'password-reset');
+      const user = userId && (await User.findById(userId));
+      if (!user) {
+        return next(new CustomError('Reset link is invalid or has expired', 400));
+      }
+
+      // Password hashing is handled in User model pre-save hook
+      const before = snapshot(user);
+      user.password = req.body.password;
+      await user.save();
+      await recordAudit(req, { action: 'update', entityType: 'user', before, after: user, actor: user._id });
+
+      // Whoever had the old password should not stay logged in
+      await revokeAllSessions(user._id, 'password-reset');
+
+      res.json({ msg: 'Password has been reset, please log in' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// =============================
+// @route   POST /api/auth/verify-email
+// @desc    Confirm the user's email using the token from the verification email
+// @access  Public (requires verification token)
+// =============================
+router.post(
+  '/verify-email',
+  tokenLimit,
+  [check('token', 'Verification token is required').isString().notEmpty()],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(CustomError.validation(errors));
+    }
+
+    try {
+      const userId = await consumeToken(req.body.token, 'email-verify');
+      const user = userId && (await User.findById(userId));
+      if (!user) {
+        return next(new CustomError('Verification link is invalid or has expired', 400));
+      }
+
+      const before = snapshot(user);
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+      await recordAudit(req, { action: 'update', entityType: 'user', before, after: user, actor: user._id });
+
+      res.json({ msg: 'Email verified' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// =============================
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a fresh verification link to the logged-in user
+// @access  Private (requires token)
+// =============================
+router.post('/verify-email/resend', auth.allowingMfaSetup, verifyResendLimit, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return next(new CustomError('User not found', 404));
+    }
+
+    if (user.emailVerified) {
+      return next(new CustomError('Email is already verified', 400));
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ msg: 'Verification email sent' });
   } catch (err) {
     next(err);
   }
@@ -138,6 +577,202 @@ router.get('/protected', auth, (req, res) => {
   res.json({ msg: `Hello ${req.user.userId}, you're authorized!` });
 });
 
+// =============================
+// @route   GET /api/auth/permissions
+// @desc    Permissions granted to the logged-in user's role (lets the frontend show/hide actions)
+// @access  Private (requires token)
+// =============================
+router.get('/permissions', auth.allowingMfaSetup, (req, res) => {
+  res.json({ success: true, role: req.user.role, permissions: permissionsFor(req.user.role) });
+});
+
+// =============================
+// @route   GET /api/auth/mfa
+// @desc    MFA status of the logged-in user (and whether their role requires it)
+// @access  Private (requires token)
+// =============================
+router.get('/mfa', auth.allowingMfaSetup, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return next(new CustomError('User not found', 404));
+    }
+
+    res.json({
+      success: true,
+      enabled: user.mfa.enabled,
+      enabledAt: user.mfa.enabledAt || null,
+      required: await isMfaRequiredFor(user.role),
+      recoveryCodesLeft: user.mfa.enabled ? await recoveryCodesLeft(user._id) : 0,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// =============================
+// @route   POST /api/auth/mfa/setup
+// @desc    Start MFA enrollment: returns a new secret and an otpauth:// URI to show as a QR code.
+//          calling it again replaces the pending secret
+// @access  Private (requires token)
+// =============================
+router.post('/mfa/setup', auth.allowingMfaSetup, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return next(new CustomError('User not found', 404));
+    }
+
+    if (user.mfa.enabled) {
+      return next(new CustomError('Multi-factor authentication is already enabled', 409));
+    }
+
+    const { secret, otpauthUrl } = await beginEnrollment(user);
+    res.json({ success: true, secret, otpauthUrl });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// =============================
+// @route   POST /api/auth/mfa/verify
+// @desc    Finish MFA enrollment with the first code from the authenticator app.
+//          returns the recovery codes; they are shown only this once
+// @access  Private (requires token)
+// =============================
+router.post(
+  '/mfa/verify',
+  auth.allowingMfaSetup,
+  tokenLimit,
+  [check('code', 'Code must be 6 digits').isString().matches(/^\d{6}$/)],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(CustomError.validation(errors));
+    }
+
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return next(new CustomError('User not found', 404));
+      }
+
+      if (user.mfa.enabled) {
+        return next(new CustomError('Multi-factor authentication is already enabled', 409));
+      }
+
+      const recoveryCodes = await confirmEnrollment(user._id, req.body.code);
+      await recordMfaChange(req, user._id, true);
+
+      res.json({ success: true, msg: 'Multi-factor authentication enabled', recoveryCodes });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// =============================
+// @route   POST /api/auth/mfa/recovery-codes
+// @desc    Replace the recovery codes (the old ones stop working); requires a current code
+// @access  Private (requires token)
+// =============================
+router.post(
+  '/mfa/recovery-codes',
+  auth,
+  tokenLimit,
+  [check('code', 'Code must be 6 digits').isString().matches(/^\d{6}$/)],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(CustomError.validation(errors));
+    }
+
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user || !user.mfa.enabled) {
+        return next(new CustomError('Multi-factor authentication is not enabled', 400));
+      }
+
+      // Wrong codes count towards the login lockout, so a stolen session can't be used to guess them
+      const locked = await lockedUntil(user.email);
+      if (locked) {
+        return tooManyFailures(res, next, locked);
+      }
+
+      if (!(await checkSecondFactor(user._id, { code: req.body.code }))) {
+        return invalidSecondFactor(res, next, user);
+      }
+      await clearLoginFailures(user.email);
+
+      const recoveryCodes = await regenerateRecoveryCodes(user._id);
+      res.json({ success: true, recoveryCodes });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// =============================
+// @route   POST /api/auth/mfa/disable
+// @desc    Turn MFA off; requires the password and a code (or recovery code).
+//          not allowed when the user's role requires MFA. the user's other sessions are logged out
+// @access  Private (requires token)
+// =============================
+router.post(
+  '/mfa/disable',
+  auth,
+  tokenLimit,
+  [
+    check('password', 'Password is required').isString().bail().notEmpty(),
+    ...secondFactorRules,
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(CustomError.validation(errors));
+    }
+
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user || !user.mfa.enabled) {
+        return next(new CustomError('Multi-factor authentication is not enabled', 400));
+      }
+
+      if (await isMfaRequiredFor(user.role)) {
+        return next(new CustomError('Multi-factor authentication is required for your role', 403));
+      }
+
+      // Wrong passwords and codes count towards the login lockout
+      const locked = await lockedUntil(user.email);
+      if (locked) {
+        return tooManyFailures(res, next, locked);
+      }
+
+      if (!(await user.matchPassword(req.body.password))) {
+        const until = await recordLoginFailure(user.email);
+        if (until) return tooManyFailures(res, next, until);
+        return next(new CustomError('Invalid credentials', 400));
+      }
+
+      const { code, recoveryCode } = req.body;
+      if (!(await checkSecondFactor(user._id, { code, recoveryCode }))) {
+        return invalidSecondFactor(res, next, user);
+      }
+      await clearLoginFailures(user.email);
+
+      await disableMfa(user._id);
+      await recordMfaChange(req, user._id, false);
+
+      // Like a password change: sessions elsewhere were opened with the second factor, end them
+      await revokeAllSessions(user._id, 'mfa-disabled', { exceptSessionId: req.user.sid });
+
+      res.json({ success: true, msg: 'Multi-factor authentication disabled' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 // =============================
 // Export Router
 // =============================
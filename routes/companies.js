@@ -0,0 +1,334 @@
+// routes/companies.js
+
+//imported required modules
+const express = require('express');
+const { check, validationResult } = require('express-validator'); //for request body validation
+const Company = require('../models/Company'); //Mongoose Company model
+const Job = require('../models/Job'); //Mongoose Job model
+const User = require('../models/User'); //Mongoose User model
+const auth = require('../middleware/auth'); //middleware to protect routes
+const permit = require('../middleware/permit'); //permission checks
+const CustomError = require('../utils/customError'); //import custom error utility
+const { readPage, readLimit } = require('../utils/pagination'); //?page= and ?limit=
+const { MAX_PAGE_SIZE } = require('../config/pagination'); //page size cap
+const escapeRegex = require('../utils/escapeRegex'); //treat search input as plain text
+const { scopeOf } = require('../utils/permissions'); //permission scopes
+const { deactivateCompanyWebhooks } = require('../utils/webhooks'); //company webhooks need an owner
+
+const router = express.Router(); //initialize router
+
+//profile fields anyone may see (memberships are only shown to members)
+const PUBLIC_COMPANY_PROJECTION = 'name logoUrl website description createdAt';
+
+//profile validation shared by create & update
+const profileRules = (optionalName) => [
+  optionalName
+    ? check('name', 'Company name is required').optional().trim().notEmpty()
+    : check('name', 'Company name is required').trim().notEmpty(),
+  check('logoUrl', 'Logo URL must be a valid URL').optional().isURL(),
+  check('website', 'Website must be a valid URL').optional().isURL(),
+  check('description', 'Description must be at most 5000 characters').optional().isLength({ max: 5000 }),
+];
+
+//true if the user may manage every company (company:manage:any), not only the ones they own
+const managesAnyCompany = (user) => scopeOf(user.role, 'company:manage') === 'any';
+
+/**
+ * helper: load a company and make sure the current user is one of its owners (or may manage any company)
+ */
+const findOwnedCompany = async (companyId, user) => {
+  const company = await Company.findById(companyId);
+
+  if (!company) {
+    throw new CustomError('Company not found', 404);
+  }
+  if (managesAnyCompany(user)) return company;
+
+  const membership = company.memberFor(user.userId);
+  if (!membership || membership.role !== 'owner') {
+    throw new CustomError('Only company owners can do this', 403);
+  }
+
+  return company;
+};
+
+/**
+ * CREATE COMPANY
+ * route   POST /api/companies
+ * desc    create a company profile; the creator becomes its owner
+ * access  Private, requires company:create (recruiters and admins)
+ */
+router.post('/', auth, permit('company:create'), profileRules(false), async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+  const { name, logoUrl, website, description } = req.body;
+
+  try {
+    //"Acme" and "ACME Inc." are the same company
+    const existing = await Company.findOne({ normalizedName: Company.normalizeName(name) });
+    if (existing) {
+      return next(new CustomError(`Company already exists as "${existing.name}", ask an owner to add you`, 409));
+    }
+
+    const company = await Company.create({
+      name,
+      logoUrl,
+      website,
+      description,
+      members: [{ user: req.user.userId, role: 'owner' }],
+    });
+
+    res.status(201).json(company);
+  } catch (err) {
+    if (err.code === 11000) {
+      return next(new CustomError('Company already exists', 409));
+    }
+    next(err);
+  }
+});
+
+/**
+ * GET MY COMPANIES
+ * route   GET /api/companies/mine
+ * desc    list the companies the logged-in recruiter belongs to
+ * access  Private, requires company:manage
+ */
+router.get('/mine', auth, permit('company:manage'), async (req, res, next) => {
+  try {
+    const companies = await Company.find({ 'members.user': req.user.userId })
+      .populate('members.user', 'name email')
+      .sort({ name: 1 });
+
+    res.json({ success: true, total: companies.length, companies });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * LIST COMPANIES
+ * route   GET /api/companies
+ * desc    browse/search company profiles
+ * access  Public
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { page, limit, search = '' } = req.query;
+
+    const pageNumber = readPage(page);
+    const limitNumber = readLimit(limit, { defaultLimit: 20, maxLimit: MAX_PAGE_SIZE });
+    const skip = (pageNumber - 1) * limitNumber;
+
+    const query = search ? { name: { $regex: escapeRegex(search), $options: 'i' } } : {};
+
+    const totalCompanies = await Company.countDocuments(query);
+    const companies = await Company.find(query, PUBLIC_COMPANY_PROJECTION)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limitNumber);
+
+    res.json({
+      success: true,
+      total: totalCompanies,
+      page: pageNumber,
+      totalPages: Math.ceil(totalCompanies / limitNumber),
+      companies,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET SINGLE COMPANY
+ * route   GET /api/companies/:id
+ * desc    public company profile with its number of jobs
+ * access  Public
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const company = await Company.findById(req.params.id, PUBLIC_COMPANY_PROJECTION);
+
+    if (!company) {
+      return next(new CustomError('Company not found', 404));
+    }
+
+    const jobs = await Job.countDocuments({ companyId: company._id });
+
+    res.json({ ...company.toObject(), jobs });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * UPDATE COMPANY
+ * route   PUT /api/companies/:id
+ * desc    update the company profile (renaming also updates the name on its jobs)
+ * access  Private, requires company:manage (own: company owners, any: every company)
+ */
+router.put('/:id', auth, permit('company:manage'), profileRules(true), async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+  const { name, logoUrl, website, description } = req.body;
+
+  try {
+    const company = await findOwnedCompany(req.params.id, req.user);
+
+    company.name = name ?? company.name;
+    company.logoUrl = logoUrl ?? company.logoUrl;
+    company.website = website ?? company.website;
+    company.description = description ?? company.description;
+
+    const renamed = company.isModified('name');
+    const updatedCompany = await company.save();
+
+    //jobs keep a copy of the company name for filtering, so keep it in sync
+    if (renamed) {
+      await Job.updateMany({ companyId: company._id }, { company: company.name });
+    }
+
+    res.json(updatedCompany);
+  } catch (err) {
+    if (err.code === 11000) {
+      return next(new CustomError('Another company already uses that name', 409));
+    }
+    next(err);
+  }
+});
+
+/**
+ * ADD MEMBER
+ * route   POST /api/companies/:id/members
+ * desc    add a recruiter (by email) to the company as 'owner' or 'member'
+ * access  Private, requires company:manage (own: company owners, any: every company)
+ */
+router.post(
+  '/:id/members',
+  auth,
+  permit('company:manage'),
+  [
+    check('email', 'Please include a valid email').isEmail(),
+    check('role', 'Role must be owner or member').optional().isIn(['owner', 'member']),
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+    const { email, role = 'member' } = req.body;
+
+    try {
+      const company = await findOwnedCompany(req.params.id, req.user);
+
+      const user = await User.findOne({ email: email.toLowerCase() });
+      if (!user) {
+        return next(new CustomError('User not found', 404));
+      }
+      if (!['recruiter', 'admin'].includes(user.role)) {
+        return next(new CustomError('Only recruiters can be added to a company', 400));
+      }
+      if (company.memberFor(user._id)) {
+        return next(new CustomError('User is already a member of this company', 409));
+      }
+
+      company.members.push({ user: user._id, role });
+      await company.save();
+
+      res.status(201).json(company.members);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * CHANGE MEMBER ROLE
+ * route   PATCH /api/companies/:id/members/:userId
+ * desc    promote a member to owner or demote an owner to member (a demoted owner's company webhooks
+ *         are switched off)
+ * access  Private, requires company:manage (own: company owners, any: every company)
+ */
+router.patch(
+  '/:id/members/:userId',
+  auth,
+  permit('company:manage'),
+  [check('role', 'Role must be owner or member').isIn(['owner', 'member'])],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+    try {
+      const company = await findOwnedCompany(req.params.id, req.user);
+
+      const membership = company.memberFor(req.params.userId);
+      if (!membership) {
+        return next(new CustomError('Member not found', 404));
+      }
+
+      //a company must always keep at least one owner
+      const owners = company.members.filter((m) => m.role === 'owner');
+      if (membership.role === 'owner' && req.body.role !== 'owner' && owners.length === 1) {
+        return next(new CustomError('A company must have at least one owner', 400));
+      }
+
+      membership.role = req.body.role;
+      await company.save();
+
+      //only owners can have company webhooks
+      if (req.body.role !== 'owner') {
+        await deactivateCompanyWebhooks(company._id, membership.user);
+      }
+
+      res.json(company.members);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * REMOVE MEMBER
+ * route   DELETE /api/companies/:id/members/:userId
+ * desc    remove a recruiter from the company (owners can remove anyone, members can leave).
+ *         the jobs they posted for the company stay with it and they lose access to them;
+ *         their company webhooks are switched off
+ * access  Private, requires company:manage (own: owners remove, members leave; any: every company)
+ */
+router.delete('/:id/members/:userId', auth, permit('company:manage'), async (req, res, next) => {
+  try {
+    const company = await Company.findById(req.params.id);
+
+    if (!company) {
+      return next(new CustomError('Company not found', 404));
+    }
+
+    const actor = company.memberFor(req.user.userId);
+    const leaving = req.params.userId === req.user.userId;
+    if (!managesAnyCompany(req.user) && (!actor || (!leaving && actor.role !== 'owner'))) {
+      return next(new CustomError('Only company owners can do this', 403));
+    }
+
+    const membership = company.memberFor(req.params.userId);
+    if (!membership) {
+      return next(new CustomError('Member not found', 404));
+    }
+
+    //a company must always keep at least one owner
+    const owners = company.members.filter((m) => m.role === 'owner');
+    if (membership.role === 'owner' && owners.length === 1) {
+      return next(new CustomError('A company must have at least one owner', 400));
+    }
+
+    company.members = company.members.filter((m) => m !== membership);
+    await company.save();
+    await deactivateCompanyWebhooks(company._id, membership.user);
+
+    res.json({ msg: 'Member removed' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,509 @@
+// routes/interviews.js
+
+//imported required modules
+const express = require('express');
+const { check, validationResult } = require('express-validator'); //for request body validation
+const InterviewSlot = require('../models/InterviewSlot'); //Mongoose InterviewSlot model
+const Application = require('../models/Application'); //Mongoose Application model
+const auth = require('../middleware/auth'); //middleware to protect routes
+const permit = require('../middleware/permit'); //permission checks
+const CustomError = require('../utils/customError'); //import custom error utility
+const { canActOnJob } = require('../utils/jobAccess'); //permission-scoped job access
+const { isValidTimeZone, parseInTimeZone, formatInTimeZone } = require('../utils/timezones'); //time zone helpers
+const { buildInvite } = require('../utils/ical'); //.ics invites
+const { notify } = require('../utils/notifications'); //in-app/email notifications
+
+const router = express.Router(); //initialize router
+
+//applications in these stages can't be scheduled any more
+const CLOSED_STAGES = ['hired', 'rejected'];
+
+//shortest/longest interview we accept (minutes)
+const MIN_DURATION = 10;
+const MAX_DURATION = 8 * 60;
+
+/**
+ * helper: load an application and work out how the current user relates to it
+ * throws 404 if the user is neither the candidate nor allowed to schedule interviews for the job
+ */
+const loadApplicationAccess = async (applicationId, user) => {
+  const application = await Application.findById(applicationId).populate('job', 'title company user companyId');
+
+  if (!application || !application.job) {
+    throw new CustomError('Application not found', 404);
+  }
+
+  const isCandidate = application.candidate.toString() === user.userId;
+  const isManager = !isCandidate && (await canActOnJob(user, 'interview:schedule', application.job));
+  if (!isCandidate && !isManager) {
+    throw new CustomError('Application not found', 404);
+  }
+
+  return { application, isCandidate, isManager };
+};
+
+/**
+ * helper: slot as JSON, plus its times as wall-clock time in the viewer's zone (falls back to the recruiter's)
+ */
+const serializeSlot = (slot, tz) => {
+  const zone = isValidTimeZone(tz) ? tz : slot.timezone;
+  return {
+    ...slot.toObject(),
+    local: {
+      timezone: zone,
+      startsAt: formatInTimeZone(slot.startsAt, zone),
+      endsAt: formatInTimeZone(slot.endsAt, zone),
+    },
+  };
+};
+
+/**
+ * helper: one of the candidate's booked interviews (for any application) overlapping a time range
+ * (null if none); the slot being moved away from can be excluded
+ */
+const candidateClash = (candidateId, { startsAt, endsAt }, exceptSlotId = null) =>
+  InterviewSlot.findOne({
+    bookedBy: candidateId,
+    status: 'booked',
+    ...(exceptSlotId && { _id: { $ne: exceptSlotId } }),
+    startsAt: { $lt: endsAt },
+    endsAt: { $gt: startsAt },
+  });
+
+//optional ?timezone= / body.timezone must be a real IANA zone
+const timezoneRule = (location) =>
+  location('timezone', 'Time zone must be a valid IANA name like Europe/Berlin')
+    .optional()
+    .custom(isValidTimeZone);
+
+/**
+ * PUBLISH AVAILABILITY
+ * route   POST /api/interviews/slots
+ * desc    offer one or more interview slots for an application.
+ *         times may carry an offset ("2025-03-10T14:00:00Z") or be wall-clock time in "timezone"
+ * access  Private, requires interview:schedule for the job
+ */
+router.post(
+  '/slots',
+  auth,
+  permit('interview:schedule'),
+  [
+    check('applicationId', 'Invalid application id').isMongoId(),
+    timezoneRule(check),
+    check('slots', 'Provide between 1 and 20 slots').isArray({ min: 1, max: 20 }),
+    check('slots.*.startsAt', 'Each slot needs a start time').isString().notEmpty(),
+    check('slots.*.endsAt', 'End time must be a string').optional().isString(),
+    check('slots.*.durationMinutes', `Duration must be ${MIN_DURATION}-${MAX_DURATION} minutes`)
+      .optional()
+      .isInt({ min: MIN_DURATION, max: MAX_DURATION })
+      .toInt(),
+    check('location', 'Location must be at most 300 characters').optional().isLength({ max: 300 }),
+    check('meetingUrl', 'Meeting URL must be a valid URL').optional().isURL(),
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+    const { applicationId, timezone = 'UTC', location, meetingUrl } = req.body;
+
+    try {
+      const { application, isManager } = await loadApplicationAccess(applicationId, req.user);
+      if (!isManager) {
+        return next(new CustomError('Only recruiters managing this job can publish slots', 403));
+      }
+      if (CLOSED_STAGES.includes(application.status)) {
+        return next(new CustomError(`Application is already ${application.status}`, 409));
+      }
+
+      //convert every slot to UTC and check its length
+      const now = new Date();
+      const ranges = [];
+      for (const slot of req.body.slots) {
+        const startsAt = parseInTimeZone(slot.startsAt, timezone);
+        const endsAt = slot.endsAt
+          ? parseInTimeZone(slot.endsAt, timezone)
+          : new Date(startsAt.getTime() + (slot.durationMinutes || 60) * 60000);
+
+        if (Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) {
+          return next(new CustomError(`Could not read slot time "${slot.startsAt}"`, 400));
+        }
+        const minutes = (endsAt - startsAt) / 60000;
+        if (minutes < MIN_DURATION || minutes > MAX_DURATION) {
+          return next(new CustomError(`Slots must be ${MIN_DURATION}-${MAX_DURATION} minutes long`, 400));
+        }
+        if (startsAt <= now) {
+          return next(new CustomError('Slots must be in the future', 400));
+        }
+        ranges.push({ startsAt, endsAt });
+      }
+
+      //the new slots must not overlap each other...
+      const sorted = [...ranges].sort((a, b) => a.startsAt - b.startsAt);
+      for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i].startsAt < sorted[i - 1].endsAt) {
+          return next(new CustomError('Slots overlap each other', 400));
+        }
+      }
+
+      //...or anything already on the interviewer's calendar
+      const clash = await InterviewSlot.findOne({
+        interviewer: req.user.userId,
+        status: { $ne: 'cancelled' },
+        $or: ranges.map(({ startsAt, endsAt }) => ({ startsAt: { $lt: endsAt }, endsAt: { $gt: startsAt } })),
+      });
+      if (clash) {
+        return next(new CustomError(`Slot overlaps an existing slot starting ${clash.startsAt.toISOString()}`, 409));
+      }
+
+      //...or an interview the candidate already booked for another job
+      for (const range of ranges) {
+        const booked = await candidateClash(application.candidate, range);
+        if (booked) {
+          return next(
+            new CustomError(`Slot overlaps another interview of the candidate starting ${booked.startsAt.toISOString()}`, 409)
+          );
+        }
+      }
+
+      const slots = await InterviewSlot.insertMany(
+        ranges.map((range) => ({
+          ...range,
+          application: application._id,
+          job: application.job._id,
+          interviewer: req.user.userId,
+          timezone,
+          location,
+          meetingUrl,
+        }))
+      );
+
+      notify(application.candidate, 'interview.slots_published', {
+        title: `Pick an interview time for ${application.job.title}`,
+        message: `${slots.length} interview slot(s) are available for your application to ${application.job.title} at ${application.job.company}.`,
+        data: { applicationId: application._id, jobId: application.job._id },
+      });
+
+      res.status(201).json(slots.map((slot) => serializeSlot(slot, timezone)));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * LIST SLOTS FOR AN APPLICATION
+ * route   GET /api/interviews/applications/:applicationId/slots?timezone=
+ * desc    open and booked slots for an application, with local times in the ?timezone= zone
+ * access  Private, requires interview:read (the candidate or recruiters who manage the job)
+ */
+router.get('/applications/:applicationId/slots', auth, permit('interview:read'), timezoneRule(check), async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+  try {
+    const { application, isCandidate } = await loadApplicationAccess(req.params.applicationId, req.user);
+
+    //candidates only see what they can still book, plus their own booking; recruiters see everything
+    const query = { application: application._id };
+    if (isCandidate) {
+      query.status = { $in: ['open', 'booked'] };
+      query.startsAt = { $gt: new Date() };
+    }
+
+    const slots = await InterviewSlot.find(query).sort({ startsAt: 1 });
+
+    res.json({
+      success: true,
+      total: slots.length,
+      slots: slots.map((slot) => serializeSlot(slot, req.query.timezone)),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * helper: atomically book an open future slot for the candidate
+ * returns null if the slot was taken (or closed) in the meantime
+ */
+const bookSlot = (slotId, userId, timezone) =>
+  InterviewSlot.findOneAndUpdate(
+    { _id: slotId, status: 'open', startsAt: { $gt: new Date() } },
+    {
+      $set: { status: 'booked', bookedBy: userId, bookedAt: new Date(), candidateTimezone: timezone },
+      $inc: { sequence: 1 },
+    },
+    { new: true }
+  );
+
+/**
+ * helper: free a booked slot so others can take it again
+ */
+const releaseSlot = (slotId) =>
+  InterviewSlot.findOneAndUpdate(
+    { _id: slotId, status: 'booked' },
+    { $set: { status: 'open', bookedBy: null, bookedAt: null, candidateTimezone: null }, $inc: { sequence: 1 } },
+    { new: true }
+  );
+
+/**
+ * BOOK SLOT
+ * route   POST /api/interviews/slots/:id/book
+ * desc    book an open slot (one booking per application; 409 if the slot is taken or overlaps
+ *         another interview the candidate booked)
+ * access  Private, requires interview:book, only the candidate who applied
+ */
+router.post('/slots/:id/book', auth, permit('interview:book'), [timezoneRule(check)], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+  try {
+    const slot = await InterviewSlot.findById(req.params.id);
+    if (!slot) {
+      return next(new CustomError('Slot not found', 404));
+    }
+
+    const { application, isCandidate } = await loadApplicationAccess(slot.application, req.user);
+    if (!isCandidate) {
+      return next(new CustomError('Slot not found', 404));
+    }
+    if (CLOSED_STAGES.includes(application.status)) {
+      return next(new CustomError(`Application is already ${application.status}`, 409));
+    }
+    if (await candidateClash(req.user.userId, slot)) {
+      return next(new CustomError('Slot overlaps another interview you booked', 409));
+    }
+
+    const timezone = req.body.timezone || slot.timezone;
+    let booked;
+    try {
+      booked = await bookSlot(slot._id, req.user.userId, timezone);
+    } catch (err) {
+      //unique index: this application already has a booked slot
+      if (err.code === 11000) {
+        return next(new CustomError('You already booked a slot for this application, reschedule it instead', 409));
+      }
+      throw err;
+    }
+
+    if (!booked) {
+      return next(new CustomError('Slot is no longer available', 409));
+    }
+
+    notify(booked.interviewer, 'interview.booked', {
+      title: `Interview booked for ${application.job.title}`,
+      message: `A candidate booked the interview starting ${formatInTimeZone(booked.startsAt, booked.timezone)}.`,
+      data: { applicationId: application._id, slotId: booked._id },
+    });
+
+    res.json(serializeSlot(booked, timezone));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * RESCHEDULE
+ * route   POST /api/interviews/slots/:id/reschedule
+ * desc    move the candidate's booking from this slot to another open slot of the same application.
+ *         if the target is taken meanwhile the old booking is restored; should that slot be gone too,
+ *         the 409 has code BOOKING_LOST and the candidate has to book again
+ * access  Private, requires interview:book, only the candidate who booked it
+ */
+router.post(
+  '/slots/:id/reschedule',
+  auth,
+  permit('interview:book'),
+  [check('toSlotId', 'Invalid slot id').isMongoId(), timezoneRule(check)],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+    try {
+      const [current, target] = await Promise.all([
+        InterviewSlot.findOne({ _id: req.params.id, bookedBy: req.user.userId, status: 'booked' }),
+        InterviewSlot.findById(req.body.toSlotId),
+      ]);
+
+      if (!current) {
+        return next(new CustomError('Booking not found', 404));
+      }
+      if (!target || target.application.toString() !== current.application.toString()) {
+        return next(new CustomError('Target slot not found', 404));
+      }
+
+      //same checks as booking: the application is still open and the new time is free for the candidate
+      const { application } = await loadApplicationAccess(current.application, req.user);
+      if (CLOSED_STAGES.includes(application.status)) {
+        return next(new CustomError(`Application is already ${application.status}`, 409));
+      }
+      if (await candidateClash(req.user.userId, target, current._id)) {
+        return next(new CustomError('Target slot overlaps another interview you booked', 409));
+      }
+
+      //free the current slot first (only one booking per application is allowed), then take the new one
+      const timezone = req.body.timezone || current.candidateTimezone || target.timezone;
+      if (!(await releaseSlot(current._id))) {
+        return next(new CustomError('Booking was already changed, please reload', 409));
+      }
+
+      const booked = await bookSlot(target._id, req.user.userId, timezone);
+      if (!booked) {
+        //someone took the target slot: put the candidate back where they were
+        const restored = await bookSlot(current._id, req.user.userId, current.candidateTimezone);
+        if (restored) {
+          return next(new CustomError('Target slot is no longer available, your booking was kept', 409));
+        }
+
+        //the old slot was taken in between too: the candidate has no booking now, so both sides must know
+        notify(current.interviewer, 'interview.cancelled', {
+          title: 'Interview cancelled',
+          message: `A candidate's interview starting ${formatInTimeZone(current.startsAt, current.timezone)} was dropped while rescheduling.`,
+          data: { applicationId: current.application, slotId: current._id },
+        });
+        return next(
+          new CustomError(
+            'Target slot is no longer available and your previous slot was taken meanwhile, please book a new slot',
+            409,
+            { code: 'BOOKING_LOST' }
+          )
+        );
+      }
+
+      notify(booked.interviewer, 'interview.booked', {
+        title: 'Interview rescheduled',
+        message: `A candidate moved their interview to ${formatInTimeZone(booked.startsAt, booked.timezone)}.`,
+        data: { applicationId: booked.application, slotId: booked._id },
+      });
+
+      res.json(serializeSlot(booked, timezone));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * CANCEL
+ * route   POST /api/interviews/slots/:id/cancel
+ * desc    candidate: cancel their booking (slot opens up again)
+ *         recruiter: withdraw the slot entirely (any booking on it is cancelled)
+ * access  Private, requires interview:cancel (the candidate who booked or recruiters who manage the job)
+ */
+router.post('/slots/:id/cancel', auth, permit('interview:cancel'), async (req, res, next) => {
+  try {
+    const slot = await InterviewSlot.findById(req.params.id);
+    if (!slot) {
+      return next(new CustomError('Slot not found', 404));
+    }
+
+    const { application, isCandidate } = await loadApplicationAccess(slot.application, req.user);
+
+    let updated;
+    if (isCandidate) {
+      if (!slot.bookedBy || slot.bookedBy.toString() !== req.user.userId) {
+        return next(new CustomError('You have not booked this slot', 409));
+      }
+      updated = await releaseSlot(slot._id);
+    } else {
+      updated = await InterviewSlot.findOneAndUpdate(
+        { _id: slot._id, status: { $ne: 'cancelled' } },
+        { $set: { status: 'cancelled' }, $inc: { sequence: 1 } },
+        { new: true }
+      );
+    }
+
+    if (!updated) {
+      return next(new CustomError('Slot was already changed, please reload', 409));
+    }
+
+    //tell the other side, if the slot had been booked
+    if (slot.status === 'booked') {
+      notify(isCandidate ? slot.interviewer : slot.bookedBy, 'interview.cancelled', {
+        title: `Interview for ${application.job.title} cancelled`,
+        message: `The interview starting ${formatInTimeZone(slot.startsAt, slot.timezone)} was cancelled by the ${isCandidate ? 'candidate' : 'recruiter'}.`,
+        data: { applicationId: application._id, slotId: slot._id },
+      });
+    }
+
+    res.json(serializeSlot(updated, req.query.timezone));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DOWNLOAD INVITE
+ * route   GET /api/interviews/slots/:id/invite.ics
+ * desc    iCalendar invite for a booked (or cancelled) interview
+ * access  Private, requires interview:read (the candidate who booked or recruiters who manage the job)
+ */
+router.get('/slots/:id/invite.ics', auth, permit('interview:read'), async (req, res, next) => {
+  try {
+    const slot = await InterviewSlot.findById(req.params.id).populate('interviewer', 'name email');
+    if (!slot) {
+      return next(new CustomError('Slot not found', 404));
+    }
+
+    const { application } = await loadApplicationAccess(slot.application, req.user);
+    await application.populate('candidate', 'name email');
+
+    //an open slot has no attendee yet, so there is nothing to invite to
+    if (slot.status === 'open') {
+      return next(new CustomError('Slot has not been booked', 409));
+    }
+
+    const job = application.job;
+    const ics = buildInvite({
+      uid: `interview-${slot._id}@gencruit`,
+      start: slot.startsAt,
+      end: slot.endsAt,
+      summary: `Interview: ${job.title} at ${job.company}`,
+      description: `Interview for ${job.title} (${job.company}) with ${application.candidate.name}.` +
+        (slot.meetingUrl ? `\nJoin: ${slot.meetingUrl}` : ''),
+      location: slot.location || slot.meetingUrl,
+      url: slot.meetingUrl,
+      organizer: slot.interviewer,
+      attendees: [application.candidate],
+      status: slot.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+      sequence: slot.sequence,
+    });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="interview-${slot._id}.ics"`);
+    res.send(ics);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * MY UPCOMING INTERVIEWS
+ * route   GET /api/interviews/me?timezone=
+ * desc    upcoming booked interviews of the logged-in candidate or interviewer
+ * access  Private, requires interview:read
+ */
+router.get('/me', auth, permit('interview:read'), timezoneRule(check), async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+  try {
+    const slots = await InterviewSlot.find({
+      status: 'booked',
+      endsAt: { $gt: new Date() },
+      $or: [{ bookedBy: req.user.userId }, { interviewer: req.user.userId }],
+    })
+      .populate('job', 'title company')
+      .sort({ startsAt: 1 });
+
+    res.json({
+      success: true,
+      total: slots.length,
+      interviews: slots.map((slot) => serializeSlot(slot, req.query.timezone)),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
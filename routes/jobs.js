@@ -4,9 +4,46 @@
 const express = require('express');
 const { check, validationResult } = require('express-validator'); //for request body validation
 const Job = require('../models/Job'); //Mongoose Job model
+const Application = require('../models/Application'); //Mongoose Application model
+const CandidateProfile = require('../models/CandidateProfile'); //Mongoose CandidateProfile model
+const { INITIAL_STAGE } = require('../config/pipeline'); //hiring pipeline stages
+const { jobRules, publishAtRule } = require('../validators/jobValidators'); //shared job validation rules
+const {
+  PUBLISHED_JOB_FILTER,
+  openDeadlineFilter,
+  changeJobStatus,
+  deleteJob,
+  restoreJob,
+} = require('../utils/jobLifecycle'); //status changes, delete and restore
+const { buildJobQuery, selectJobFields } = require('../utils/jobQuery'); //listing filters, search, sort and fields
+const {
+  readPage,
+  readLimit,
+  encodeCursor,
+  decodeCursor,
+  invalidCursor,
+  readKeysetCursor,
+  keysetFilter,
+  sortValues,
+} = require('../utils/pagination'); //cursor pages
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('../config/jobListing'); //page size limits
+const { highlight } = require('../utils/textSearch'); //search result snippets
+const { scoreMatch } = require('../utils/matching'); //candidate–job match scores
+const { MATCH_POOL_SIZE } = require('../config/matching'); //how many records are scored per request
+const { notifyJobManagers } = require('../utils/notifications'); //in-app/email notifications
+const { recordJobView, trafficSource } = require('../utils/analytics'); //view and source tracking
+const { emitWebhookEvent, serializeJob } = require('../utils/webhooks'); //outbound webhooks
+const { newJobFields, applyJobChanges } = require('../utils/jobFields'); //writable job fields
+const { readImportRows, prepareImport } = require('../utils/jobImport'); //bulk import
+const { EXPORT_FORMATS, streamJobs } = require('../utils/jobExport'); //streamed export
+const importUpload = require('../middleware/importUpload'); //CSV/JSON import file
+const { recordAudit, snapshot } = require('../utils/audit'); //audit trail
+const { restoreDeadline } = require('../config/retention'); //how long deleted jobs can be restored
 const auth = require('../middleware/auth'); //middleware to protect routes
 const CustomError = require('../utils/customError'); //import custom error utility
-const authorize = require('../middleware/authorize'); //to restrict job creation to recruiters and admins
+const permit = require('../middleware/permit'); //permission checks (config/permissions.js)
+const { jobsFilterFor, findJobFor, findMemberCompany } = require('../utils/jobAccess'); //permission-scoped job access
+const { scopeOf } = require('../utils/permissions'); //permission scopes
 
 const router = express.Router(); //initialize router
 
@@ -14,44 +51,37 @@ const router = express.Router(); //initialize router
  * CREATE JOB
  * route   POST /api/jobs
  * desc    create a new job
- * access  Private, only logged-in users with 'recruiter' or 'admin' roles
+ * access  Private, requires job:create (recruiters and admins)
  */
 router.post(
   '/',
   auth, //protect route with JWT-based auth
-  authorize(['recruiter', 'admin']),  //only allow recruiters or admins to create jobs
-  [
-    //validation rules using express-validator
-    check('title', 'Job title is required').notEmpty(),
-    check('company', 'Company name is required').notEmpty(),
-    check('description', 'Description must be at least 10 characters').isLength({ min: 10 }),
-    check('location', 'Location is required').notEmpty(),
-    check('salary', 'Salary must be a number').optional().isNumeric(),
-  ],
+  permit('job:create'), //only roles allowed to post jobs (recruiters and admins)
+  jobRules(), //validation rules using express-validator
   async (req, res, next) => {
     //check for validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       //If errors exist, pass to custom error handler
-      return next(new CustomError('Validation failed', 400));
+      return next(CustomError.validation(errors));
     }
 
     //destructure job fields from request body 
-    const { title, company, description, location, salary } = req.body;
+    const { companyId } = req.body;
 
     try {
-      //create a new job instance with data & user from token
-      const newJob = new Job({
-        title,
-        company,
-        description,
-        location,
-        salary,
-        user: req.user.userId, //user ID was added to req by auth middleware
-      });
+      //when a company is linked, its name is used for the job
+      const linkedCompany = companyId ? await findMemberCompany(companyId, req.user.userId) : null;
+
+      //create a new job instance with data & user from token (user ID was added to req by auth middleware)
+      const newJob = new Job(newJobFields(req.body, linkedCompany, req.user.userId));
 
       //save the job to DB
       const savedJob = await newJob.save();
+      await recordAudit(req, { action: 'create', entityType: 'job', after: savedJob });
+
+      //notify subscribed webhooks (queued in the background)
+      emitWebhookEvent('job.created', savedJob, { job: serializeJob(savedJob) });
 
       //return the newly created job
       res.status(201).json(savedJob);
@@ -62,80 +92,303 @@ router.post(
 );
 
 /**
- * GET ALL JOBS 
- * route   GET /api/jobs
- * desc    get all jobs for the logged-in user with optional filters, search, and pagination
- * access  Private
+ * IMPORT JOBS
+ * route   POST /api/jobs/import?dryRun=true
+ * desc    create many jobs from a CSV/JSON file (multipart field "file") or a JSON body.
+ *         every row is validated like POST /api/jobs; if any row is invalid nothing is saved
+ *         and the 400 lists the problems per field, e.g. rows[3].title (rows counted from 0).
+ *         dryRun only validates.
+ * access  Private, requires job:import
  */
-router.get('/', auth, async (req, res, next) => {
+router.post('/import', auth, permit('job:import'), importUpload, async (req, res, next) => {
+  const dryRun = req.query.dryRun === 'true';
+
   try {
-    //Extract query params from the URL (with defaults)
-    const {
-      page = 1,            
-      limit = 10,          
-      search = '',         
-      company,             
-      location,            
-    } = req.query;
-
-    //Convert page and limit to numbers for pagination
-    const pageNumber = parseInt(page, 10);
-    const limitNumber = parseInt(limit, 10);
-    const skip = (pageNumber - 1) * limitNumber;
-
-    //Always filter jobs by the logged-in user's ID
-    const query = { user: req.user.userId };
-
-    //Add keyword search filter (title or description)
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+    const rows = readImportRows(req);
+    const { jobs, invalid, errors } = await prepareImport(rows, req.user.userId);
+
+    const report = { dryRun, total: rows.length, valid: jobs.length, invalid, errors };
+
+    if (errors.length && !dryRun) {
+      return next(
+        new CustomError(`${invalid} of ${rows.length} rows are invalid, no jobs were imported`, 400, {
+          code: 'VALIDATION_FAILED',
+          errors,
+        })
+      );
     }
+    if (dryRun) {
+      return res.json({ success: !errors.length, imported: 0, ...report });
+    }
+
+    const savedJobs = await Job.insertMany(jobs);
 
-    //Filter by company name if provided
-    if (company) {
-      query.company = { $regex: company, $options: 'i' };
+    //same side effects as creating the jobs one by one
+    for (const job of savedJobs) {
+      await recordAudit(req, { action: 'create', entityType: 'job', after: job });
+      emitWebhookEvent('job.created', job, { job: serializeJob(job) });
     }
 
-    //Filter by location if provided
-    if (location) {
-      query.location = { $regex: location, $options: 'i' };
+    res.status(201).json({
+      success: true,
+      imported: savedJobs.length,
+      ...report,
+      jobIds: savedJobs.map((job) => job._id),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * helper: run a paginated job listing
+ * applies the search and filters from the query string on top of baseQuery
+ * and returns the jobs along with pagination details.
+ * two ways to page through the results:
+ * - ?page= (default): page numbers with total and totalPages
+ * - ?after=<nextCursor of the previous response>: cursor pages, no total, stable while jobs are added
+ * both return nextCursor/hasMore, so a page-based client can switch to cursors at any point
+ */
+const listJobs = async (baseQuery, params, projection = {}) => {
+  //Extract pagination params from the URL (limit is capped, see config/jobListing.js)
+  const { page = 1, after } = params;
+  const limitNumber = readLimit(params.limit, { defaultLimit: DEFAULT_LIMIT, maxLimit: MAX_LIMIT });
+
+  const { query, sort, sortBy, sortKeys, search } = await buildJobQuery(baseQuery, params);
+  const selected = selectJobFields(params.fields);
+
+  //?fields= narrows the projection; sort fields are loaded too (for the cursor) and trimmed below
+  let fields = projection;
+  if (selected) {
+    const sortFields = (sortKeys || [])
+      .map((key) => key.field)
+      .filter((field) => !selected.some((name) => field === name || field.startsWith(`${name}.`)));
+    fields = Object.fromEntries([...selected, ...sortFields].map((field) => [field, 1]));
+  }
+  //include the relevance score when searching
+  if (search) fields = { ...fields, score: { $meta: 'textScore' } };
+
+  //where this page starts: an offset for page numbers and relevance, a sort position otherwise
+  let skip = 0;
+  let pageNumber = null;
+  if (after !== undefined) {
+    const cursor = decodeCursor(after);
+    if (cursor.s !== sortBy) {
+      throw invalidCursor('This cursor belongs to a different sort, start again without ?after=');
+    }
+    if (sortKeys) {
+      const { values, id } = readKeysetCursor(cursor, sortKeys, Job);
+      query.$and.push(keysetFilter(sortKeys, values, id));
+    } else {
+      //text scores can't be filtered on, so relevance cursors carry an offset
+      skip = Number.isInteger(cursor.o) && cursor.o >= 0 ? cursor.o : NaN;
+      if (Number.isNaN(skip)) throw invalidCursor();
     }
+  } else {
+    pageNumber = readPage(page);
+    skip = (pageNumber - 1) * limitNumber;
+  }
 
-    //Get total number of jobs matching the query (for pagination info)
-    const totalJobs = await Job.countDocuments(query);
+  //Fetch one extra job to know whether another page follows (and the total for page numbers)
+  const [rows, totalJobs] = await Promise.all([
+    Job.find(query, fields).sort(sort).skip(skip).limit(limitNumber + 1),
+    pageNumber ? Job.countDocuments(query) : null,
+  ]);
 
-    //Fetch jobs with pagination and sorting (newest first)
-    const jobs = await Job.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limitNumber);
+  const hasMore = rows.length > limitNumber;
+  const jobs = rows.slice(0, limitNumber);
+  const last = jobs[jobs.length - 1];
+  const nextCursor =
+    hasMore && last
+      ? encodeCursor(
+          sortKeys
+            ? { s: sortBy, v: sortValues(last, sortKeys), id: last._id }
+            : { s: sortBy, o: skip + jobs.length }
+        )
+      : null;
 
-    //Send response with jobs and pagination details
-    res.json({
-      success: true,
+  const items = jobs.map((job) => {
+    const item = job.toObject();
+    if (selected) {
+      //drop the fields only loaded for the sort
+      for (const key of Object.keys(item)) {
+        if (key !== '_id' && key !== 'score' && !selected.includes(key)) delete item[key];
+      }
+    }
+    //add highlighted snippets so clients can show why a job matched
+    if (search) {
+      item.highlights = {};
+      if (item.title !== undefined) item.highlights.title = highlight(item.title, search);
+      if (item.description !== undefined) item.highlights.description = highlight(item.description, search);
+    }
+    return item;
+  });
+
+  return {
+    ...(pageNumber && {
       total: totalJobs,
       page: pageNumber,
       totalPages: Math.ceil(totalJobs / limitNumber),
-      jobs,
-    });
+    }),
+    limit: limitNumber,
+    sort: sortBy,
+    hasMore,
+    nextCursor,
+    jobs: items,
+  };
+};
+
+//fields never exposed on the public job board
+const PUBLIC_JOB_PROJECTION = { user: 0, __v: 0 };
+
+/**
+ * GET ALL JOBS 
+ * route   GET /api/jobs
+ * desc    get all jobs the logged-in user manages with optional filters, search, and pagination.
+ *         ?page= or ?after=<nextCursor>, ?limit= (at most 100), ?sort=-salary.max,createdAt,
+ *         ?fields=title,company to return only some fields, ?near=lat,lng&radiusKm=25 for jobs nearby
+ * access  Private, requires job:read (own: their own and their companies' jobs, any: every job)
+ */
+router.get('/', auth, permit('job:read'), async (req, res, next) => {
+  try {
+    //Only jobs the logged-in user may read (their own, plus their companies' jobs)
+    const result = await listJobs(await jobsFilterFor(req.user, 'job:read'), req.query);
+
+    //Send response with jobs and pagination details
+    res.json({ success: true, ...result });
   } catch (err) {
     next(err);
   }
 });
 
+/**
+ * PUBLIC JOB BOARD
+ * route   GET /api/jobs/board
+ * desc    browse published jobs from all recruiters (same filters, pagination, sort and fields as GET /api/jobs)
+ * access  Public
+ */
+router.get('/board', async (req, res, next) => {
+  try {
+    //no owner filter here, only published jobs, and the owner's user id is hidden
+    const result = await listJobs(PUBLISHED_JOB_FILTER, req.query, PUBLIC_JOB_PROJECTION);
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUBLIC JOB DETAIL
+ * route   GET /api/jobs/board/:id
+ * desc    view a single published job from the public board (a token is optional; views by the
+ *         job's own recruiters are left out of its analytics)
+ * access  Public
+ */
+router.get('/board/:id', auth.optional, async (req, res, next) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.id, ...PUBLISHED_JOB_FILTER }, PUBLIC_JOB_PROJECTION);
+
+    if (!job) {
+      return next(new CustomError('Job not found', 404));
+    }
+
+    //count the view for the job's analytics (in the background, never fails the request)
+    recordJobView(req, job);
+
+    res.json(job);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * helper: read ?limit= for ranked results (default 10, at most 50)
+ */
+const rankedLimit = (limit) => readLimit(limit, { defaultLimit: 10, maxLimit: 50 });
+
+/**
+ * RECOMMENDED JOBS
+ * route   GET /api/jobs/recommended
+ * desc    open jobs ranked by how well they match the candidate's profile, with a per-factor breakdown
+ * access  Private, requires job:recommendations (candidates)
+ */
+router.get('/recommended', auth, permit('job:recommendations'), async (req, res, next) => {
+  try {
+    const profile = await CandidateProfile.findOne({ user: req.user.userId });
+
+    if (!profile) {
+      return next(new CustomError('Create your profile first to get recommendations', 400));
+    }
+
+    //only published jobs, skipping jobs already applied to and jobs past their deadline
+    const appliedJobIds = await Application.find({ candidate: req.user.userId }).distinct('job');
+    const query = {
+      _id: { $nin: appliedJobIds },
+      ...PUBLISHED_JOB_FILTER,
+      ...openDeadlineFilter(new Date()),
+    };
+
+    //prefer jobs sharing at least one skill; fall back to recent jobs if the profile has none
+    if (profile.skills.length) {
+      query.skills = { $in: profile.skills };
+    }
+
+    const jobs = await Job.find(query, PUBLIC_JOB_PROJECTION)
+      .sort({ createdAt: -1 })
+      .limit(MATCH_POOL_SIZE);
+
+    const ranked = jobs
+      .map((job) => ({ job, ...scoreMatch(job, profile) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, rankedLimit(req.query.limit));
+
+    res.json({ success: true, total: ranked.length, results: ranked });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * EXPORT JOBS
+ * route   GET /api/jobs/export?format=csv|json
+ * desc    download every job the logged-in user manages, with the same filters and search as
+ *         GET /api/jobs (no pagination); streamed, so large exports work
+ * access  Private, requires job:read
+ */
+router.get(
+  '/export',
+  auth,
+  permit('job:read'),
+  [check('format', `Format must be one of: ${EXPORT_FORMATS.join(', ')}`).optional().isIn(EXPORT_FORMATS)],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+    try {
+      const { query, sort, search } = await buildJobQuery(await jobsFilterFor(req.user, 'job:read'), req.query);
+      const fields = search ? { __v: 0, score: { $meta: 'textScore' } } : { __v: 0 };
+
+      const cursor = Job.find(query, fields).sort(sort).lean().cursor();
+      await streamJobs(res, cursor, req.query.format || 'csv');
+    } catch (err) {
+      //headers are gone once streaming started; the broken download is all the client sees
+      if (res.headersSent) return res.destroy(err);
+      next(err);
+    }
+  }
+);
+
 /**
  * GET SINGLE JOB 
  * route   GET /api/jobs/:id
- * desc    get a single job by ID (must belong to current user)
- * access  Private
+ * desc    get a single job by ID (must belong to current user or their company)
+ * access  Private, requires job:read
  */
-router.get('/:id', auth, async (req, res, next) => {
+router.get('/:id', auth, permit('job:read'), async (req, res, next) => {
   try {
-    //find job by ID & ensure it belongs to the current user
-    const job = await Job.findOne({ _id: req.params.id, user: req.user.userId });
+    //find job by ID & ensure the current user may read it
+    const job = await findJobFor(req.user, 'job:read', req.params.id);
 
     if (!job) {
       return next(new CustomError('Job not found', 404));
@@ -151,43 +404,49 @@ router.get('/:id', auth, async (req, res, next) => {
  * UPDATE JOB 
  * route   PUT /api/jobs/:id
  * desc    update a job (only fields provided will be updated)
- * access  Private
+ * access  Private, requires job:update
  */
 router.put(
   '/:id',
   auth,
-  [
-    //optional validations (only if the fields are present)
-    check('title', 'Job title is required').optional().notEmpty(),
-    check('company', 'Company name is required').optional().notEmpty(),
-    check('description', 'Description must be at least 10 characters').optional().isLength({ min: 10 }),
-    check('location', 'Location is required').optional().notEmpty(),
-    check('salary', 'Salary must be a number').optional().isNumeric(),
-  ],
+  permit('job:update'),
+  jobRules({ partial: true }), //optional validations (only if the fields are present)
   async (req, res, next) => {
     //handle validation errors
     const errors = validationResult(req);
-    if (!errors.isEmpty()) return next(new CustomError('Validation failed', 400));
+    if (!errors.isEmpty()) return next(CustomError.validation(errors));
 
-    const { title, company, description, location, salary } = req.body;
+    const { company, companyId } = req.body;
 
     try {
-      //find the job by ID & user to ensure ownership
-      let job = await Job.findOne({ _id: req.params.id, user: req.user.userId });
+      //find the job by ID & ensure the current user may update it
+      let job = await findJobFor(req.user, 'job:update', req.params.id);
 
       if (!job) {
         return next(new CustomError('Job not found', 404));
       }
 
       //update only the provided fields
-      job.title = title ?? job.title;
-      job.company = company ?? job.company;
-      job.description = description ?? job.description;
-      job.location = location ?? job.location;
-      job.salary = salary ?? job.salary;
+      const before = snapshot(job);
+      applyJobChanges(job, req.body);
+      if (companyId) {
+        //move the job to another company the user belongs to
+        const linkedCompany = await findMemberCompany(companyId, req.user.userId);
+        job.companyId = linkedCompany._id;
+        job.company = linkedCompany.name;
+      } else if (!job.companyId) {
+        //the name of a linked company comes from the company itself
+        job.company = company ?? job.company;
+      }
 
-      //save and return the updated job
+      //save the updated job
       const updatedJob = await job.save();
+      await recordAudit(req, { action: 'update', entityType: 'job', before, after: updatedJob });
+
+      //notify subscribed webhooks (queued in the background)
+      emitWebhookEvent('job.updated', updatedJob, { job: serializeJob(updatedJob) });
+
+      //return the updated job
       res.json(updatedJob);
     } catch (err) {
       next(err);
@@ -198,19 +457,273 @@ router.put(
 /**
  * DELETE JOB 
  * route   DELETE /api/jobs/:id
- * desc    delete a job by ID (must belong to current user)
- * access  Private
+ * desc    soft-delete a job by ID (must belong to current user or their company);
+ *         it can be restored until the retention period ends, then it is purged
+ * access  Private, requires job:delete
+ */
+router.delete('/:id', auth, permit('job:delete'), async (req, res, next) => {
+  try {
+    //find the job if the user may delete it
+    const job = await findJobFor(req.user, 'job:delete', req.params.id);
+
+    if (!job) {
+      return next(new CustomError('Job not found', 404));
+    }
+
+    await deleteJob(job, req);
+
+    res.json({ msg: 'Job deleted successfully', restoreUntil: restoreDeadline(job.deletedAt) }); 
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * RESTORE JOB
+ * route   POST /api/jobs/:id/restore
+ * desc    undo the deletion of a job (must belong to current user or their company)
+ * access  Private, requires job:delete
+ */
+router.post('/:id/restore', auth, permit('job:delete'), async (req, res, next) => {
+  try {
+    //only deleted jobs the user may delete (and so restore)
+    const job = await Job.findOne({
+      _id: req.params.id,
+      deletedAt: { $ne: null },
+      ...(await jobsFilterFor(req.user, 'job:delete')),
+    });
+
+    if (!job) {
+      return next(new CustomError('Deleted job not found', 404));
+    }
+
+    res.json(await restoreJob(job, req));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * helper: build a handler that moves a managed job to another lifecycle status
+ * illegal moves (e.g. reopening a closed job) are rejected with 409
  */
-router.delete('/:id', auth, async (req, res, next) => {
+const jobStatusHandler = (to) => async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
   try {
-    //find & delete the job if it belongs to the user
-    const job = await Job.findOneAndDelete({ _id: req.params.id, user: req.user.userId });
+    const job = await findJobFor(req.user, 'job:publish', req.params.id);
 
     if (!job) {
       return next(new CustomError('Job not found', 404));
     }
 
-    res.json({ msg: 'Job deleted successfully' }); 
+    const updatedJob = await changeJobStatus(job, to, { publishAt: req.body?.publishAt, req });
+
+    res.json(updatedJob);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PUBLISH JOB
+ * route   POST /api/jobs/:id/publish
+ * desc    publish a draft, paused or expired job now, or schedule a draft with { publishAt }
+ * access  Private, requires job:publish
+ */
+router.post('/:id/publish', auth, permit('job:publish'), [publishAtRule()], jobStatusHandler('published'));
+
+/**
+ * PAUSE JOB
+ * route   POST /api/jobs/:id/pause
+ * desc    temporarily hide a published job from the board and stop applications
+ * access  Private, requires job:publish
+ */
+router.post('/:id/pause', auth, permit('job:publish'), jobStatusHandler('paused'));
+
+/**
+ * CLOSE JOB
+ * route   POST /api/jobs/:id/close
+ * desc    close a job for good (the position is filled or withdrawn)
+ * access  Private, requires job:publish
+ */
+router.post('/:id/close', auth, permit('job:publish'), jobStatusHandler('closed'));
+
+/**
+ * APPLY TO JOB
+ * route   POST /api/jobs/:id/apply
+ * desc    submit an application (with optional cover letter and the profile's resume) to a job
+ * access  Private, requires job:apply (candidates)
+ */
+router.post(
+  '/:id/apply',
+  auth,
+  permit('job:apply'), //only candidates can apply
+  [
+    check('coverLetter', 'Cover letter must be at most 5000 characters').optional().isLength({ max: 5000 }),
+    check('attachResume', 'attachResume must be true or false').optional().isBoolean().toBoolean(),
+    check('source', 'Source must be at most 50 characters').optional().isString().isLength({ max: 50 }),
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+    try {
+      //make sure the job exists before applying (drafts are never visible to candidates)
+      const job = await Job.findById(req.params.id);
+
+      if (!job || job.status === 'draft') {
+        return next(new CustomError('Job not found', 404));
+      }
+
+      //no applications unless published, or after the deadline (the sweeper may not have expired it yet)
+      if (
+        job.status !== 'published' ||
+        (job.applicationDeadline && job.applicationDeadline < new Date())
+      ) {
+        return next(new CustomError('Applications for this job are closed', 400));
+      }
+
+      //reject duplicate applications up front (the unique index is the final guard)
+      const existing = await Application.findOne({ job: job._id, candidate: req.user.userId });
+      if (existing) {
+        return next(new CustomError('You have already applied to this job', 409));
+      }
+
+      //attach the resume currently on the candidate's profile
+      let resume;
+      if (req.body.attachResume) {
+        const profile = await CandidateProfile.findOne({ user: req.user.userId });
+        if (!profile || !profile.resume) {
+          return next(new CustomError('Upload a resume to your profile before attaching it', 400));
+        }
+        const { key, originalName, mimeType, size } = profile.resume;
+        resume = { key, originalName, mimeType, size };
+      }
+
+      const application = await Application.create({
+        job: job._id,
+        candidate: req.user.userId,
+        coverLetter: req.body.coverLetter,
+        resume,
+        source: trafficSource(req), //?source=/utm_source=, body.source or the referring site
+        status: INITIAL_STAGE,
+        history: [{ from: null, to: INITIAL_STAGE, actor: req.user.userId }],
+      });
+      await recordAudit(req, { action: 'create', entityType: 'application', after: application });
+
+      //notify subscribed webhooks (queued in the background)
+      emitWebhookEvent('application.created', job, {
+        application: {
+          id: application._id,
+          jobId: job._id,
+          candidateId: application.candidate,
+          status: application.status,
+          createdAt: application.createdAt,
+        },
+      });
+
+      //let the job's recruiters know (runs in the background, never fails the request)
+      notifyJobManagers(job, 'application.created', {
+        title: `New application for ${job.title}`,
+        message: `A candidate applied to ${job.title} at ${job.company}.`,
+        data: { applicationId: application._id, jobId: job._id },
+      });
+
+      res.status(201).json(application);
+    } catch (err) {
+      //two concurrent requests can both pass the check above
+      if (err.code === 11000) {
+        return next(new CustomError('You have already applied to this job', 409));
+      }
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET JOB APPLICATIONS
+ * route   GET /api/jobs/:id/applications
+ * desc    list applications for a job (job must belong to current user or their company);
+ *         applications of deleted candidates are left out
+ * access  Private, requires application:review
+ */
+router.get('/:id/applications', auth, permit('application:review'), async (req, res, next) => {
+  try {
+    //only recruiters who manage the job (or admins) can see its applicants
+    const job = await findJobFor(req.user, 'application:review', req.params.id);
+
+    if (!job) {
+      return next(new CustomError('Job not found', 404));
+    }
+
+    const applications = await Application.find({ job: job._id, ...(await Application.activeCandidatesFilter()) })
+      .populate('candidate', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      total: applications.length,
+      applications,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * MATCHING CANDIDATES
+ * route   GET /api/jobs/:id/matches
+ * desc    candidate profiles ranked by how well they match the job, with a per-factor breakdown.
+ *         like GET /api/profiles/:userId, recruiters only see who a candidate is once they applied;
+ *         other matches are anonymous (no name, email or headline)
+ * access  Private, requires application:review for the job
+ */
+router.get('/:id/matches', auth, permit('application:review'), async (req, res, next) => {
+  try {
+    const job = await findJobFor(req.user, 'application:review', req.params.id);
+
+    if (!job) {
+      return next(new CustomError('Job not found', 404));
+    }
+
+    //candidates with at least one of the job's skills; any candidate if the job lists none
+    const query = job.skills.length ? { skills: { $in: job.skills } } : {};
+    const profiles = await CandidateProfile.find(query)
+      .populate('user', 'name email')
+      .sort({ updatedAt: -1 })
+      .limit(MATCH_POOL_SIZE);
+
+    //flag candidates who already applied
+    const appliedIds = new Set(
+      (await Application.find({ job: job._id }).distinct('candidate')).map((id) => id.toString())
+    );
+
+    //profile:read:any (admins) sees every candidate, profile:read:own only applicants
+    const seesEveryone = scopeOf(req.user.role, 'profile:read') === 'any';
+
+    const ranked = profiles
+      .filter((profile) => profile.user) //profile of a deleted user
+      .map((profile) => {
+        const applied = appliedIds.has(profile.user._id.toString());
+        const identified = applied || seesEveryone;
+        return {
+          candidate: identified ? profile.user : null,
+          profile: {
+            ...(identified && { headline: profile.headline }),
+            skills: profile.skills,
+            seniority: profile.seniority,
+            preferredLocations: profile.preferredLocations,
+          },
+          applied,
+          ...scoreMatch(job, profile),
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, rankedLimit(req.query.limit));
+
+    res.json({ success: true, total: ranked.length, results: ranked });
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,246 @@
+// routes/notifications.js
+
+//imported required modules
+const express = require('express');
+const { body, validationResult } = require('express-validator'); //for request body validation
+const Notification = require('../models/Notification'); //Mongoose Notification model
+const NotificationPreference = require('../models/NotificationPreference'); //Mongoose NotificationPreference model
+const auth = require('../middleware/auth'); //middleware to protect routes
+const permit = require('../middleware/permit'); //permission checks
+const { checkSession } = require('../middleware/auth'); //re-check open streams
+const CustomError = require('../utils/customError'); //import custom error utility
+const { readPage, readLimit } = require('../utils/pagination'); //?page= and ?limit=
+const { MAX_PAGE_SIZE } = require('../config/pagination'); //page size cap
+const { issueToken, redeemToken } = require('../utils/oneTimeTokens'); //single-use stream tickets
+const { subscribe, preferencesFor } = require('../utils/notifications'); //live push + preferences
+const { NOTIFICATION_TYPES, CHANNELS } = require('../config/notifications'); //known notification types
+
+const router = express.Router(); //initialize router
+
+//how often an idle live connection gets a keep-alive comment (ms); the session behind the stream
+//is checked again at the same time, so a logout, revoked session or suspension ends it
+const HEARTBEAT_MS = 25000;
+
+/**
+ * helper: EventSource in the browser can't send headers, so the live stream also accepts
+ * ?ticket= from POST /api/notifications/stream-ticket: single-use and valid for a minute,
+ * so unlike the access token it is worthless once it shows up in a log or the browser history
+ */
+const streamAuth = async (req, res, next) => {
+  if (req.headers.authorization) return auth(req, res, next);
+
+  try {
+    const ticket = await redeemToken(req.query.ticket, 'stream-ticket');
+    if (!ticket) {
+      return next(new CustomError('Stream ticket is invalid or has expired', 401));
+    }
+
+    req.user = await checkSession(ticket.session, ticket.user);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * STREAM TICKET
+ * route   POST /api/notifications/stream-ticket
+ * desc    single-use ticket for opening the live stream from a browser (valid for one minute);
+ *         get a new one for every (re)connect
+ * access  Private, requires notification:read
+ */
+router.post('/stream-ticket', auth, permit('notification:read'), async (req, res, next) => {
+  try {
+    const ticket = await issueToken(req.user.userId, 'stream-ticket', { session: req.user.sid });
+    res.status(201).json({ success: true, ticket, expiresIn: 60 });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * LIVE STREAM
+ * route   GET /api/notifications/stream
+ * desc    Server-Sent Events stream: a "notification" event for each new notification,
+ *         plus an "unread" event with the unread count when connecting and an "end" event
+ *         when the server closes it because the session was logged out or revoked
+ * access  Private, requires notification:read (Authorization header or ?ticket=)
+ */
+router.get('/stream', streamAuth, permit('notification:read'), async (req, res, next) => {
+  try {
+    const unread = await Notification.countDocuments({ user: req.user.userId, readAt: null });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', //stop nginx from buffering the stream
+    });
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    send('unread', { count: unread });
+    const unsubscribe = subscribe(req.user.userId, (notification) => send('notification', notification));
+    const heartbeat = setInterval(async () => {
+      try {
+        await checkSession(req.user.sid, req.user.userId);
+        res.write(': ping\n\n');
+      } catch (err) {
+        //tell the client why before closing, so it doesn't just reconnect
+        send('end', { message: err.statusCode ? err.message : 'Stream closed, please reconnect' });
+        res.end();
+      }
+    }, HEARTBEAT_MS);
+
+    //clean up when the stream ends (browser disconnected or session check failed)
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET NOTIFICATIONS
+ * route   GET /api/notifications
+ * desc    the user's notifications, newest first (?unread=true for unread only), with pagination
+ * access  Private, requires notification:read
+ */
+router.get('/', auth, permit('notification:read'), async (req, res, next) => {
+  try {
+    const { page, limit, unread } = req.query;
+
+    const pageNumber = readPage(page);
+    const limitNumber = readLimit(limit, { defaultLimit: 20, maxLimit: MAX_PAGE_SIZE });
+    const skip = (pageNumber - 1) * limitNumber;
+
+    const query = { user: req.user.userId };
+    if (unread === 'true') query.readAt = null;
+
+    const [total, unreadCount, notifications] = await Promise.all([
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user: req.user.userId, readAt: null }),
+      Notification.find(query).sort({ createdAt: -1 }).skip(skip).limit(limitNumber),
+    ]);
+
+    res.json({
+      success: true,
+      total,
+      unread: unreadCount,
+      page: pageNumber,
+      totalPages: Math.ceil(total / limitNumber),
+      notifications,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * MARK ALL AS READ
+ * route   POST /api/notifications/read-all
+ * desc    mark every unread notification of the user as read
+ * access  Private, requires notification:read
+ */
+router.post('/read-all', auth, permit('notification:read'), async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({ msg: 'All notifications marked as read', updated: result.modifiedCount });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET PREFERENCES
+ * route   GET /api/notifications/preferences
+ * desc    which notification types the user gets in-app and by email
+ * access  Private, requires notification:read
+ */
+router.get('/preferences', auth, permit('notification:read'), async (req, res, next) => {
+  try {
+    res.json(await preferencesFor(req.user.userId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * UPDATE PREFERENCES
+ * route   PUT /api/notifications/preferences
+ * desc    turn channels on/off per type, e.g. { "application.created": { "email": false } }
+ * access  Private, requires notification:read
+ */
+router.put(
+  '/preferences',
+  auth,
+  permit('notification:read'),
+  [
+    body().custom((preferences) =>
+      Object.entries(preferences).every(
+        ([type, channels]) =>
+          NOTIFICATION_TYPES[type] &&
+          channels &&
+          typeof channels === 'object' &&
+          Object.entries(channels).every(([channel, on]) => CHANNELS.includes(channel) && typeof on === 'boolean')
+      )
+    ).withMessage(`Preferences must look like { "<type>": { "inApp": true, "email": false } } with known types`),
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+    try {
+      const preference =
+        (await NotificationPreference.findOne({ user: req.user.userId })) ||
+        new NotificationPreference({ user: req.user.userId });
+
+      //merge into the stored setting for each type (channels not sent stay as they were)
+      for (const [type, channels] of Object.entries(req.body)) {
+        const setting = preference.settingFor(type);
+        if (setting) {
+          Object.assign(setting, channels);
+        } else {
+          preference.settings.push({ type, ...channels });
+        }
+      }
+      await preference.save();
+
+      res.json(await preferencesFor(req.user.userId));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * MARK AS READ
+ * route   PATCH /api/notifications/:id/read
+ * desc    mark one notification as read
+ * access  Private, requires notification:read
+ */
+router.patch('/:id/read', auth, permit('notification:read'), async (req, res, next) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.userId },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return next(new CustomError('Notification not found', 404));
+    }
+
+    res.json(notification);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
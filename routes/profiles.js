@@ -0,0 +1,247 @@
+// routes/profiles.js
+
+//imported required modules
+const express = require('express');
+const path = require('path');
+const { check, validationResult } = require('express-validator'); //for request body validation
+const CandidateProfile = require('../models/CandidateProfile'); //Mongoose CandidateProfile model
+const Application = require('../models/Application'); //Mongoose Application model
+const Job = require('../models/Job'); //Mongoose Job model
+const auth = require('../middleware/auth'); //middleware to protect routes
+const permit = require('../middleware/permit'); //permission checks
+const resumeUpload = require('../middleware/resumeUpload'); //multipart resume upload + type/size checks
+const CustomError = require('../utils/customError'); //import custom error utility
+const { toSkillList } = require('../validators/jobValidators'); //same skill normalization as jobs
+const { SENIORITY_LEVELS, REMOTE_POLICIES, SALARY_PERIODS } = require('../config/jobOptions'); //allowed values
+const { parseResume } = require('../utils/resumeParser'); //resume text extraction
+const { getStorage } = require('../utils/storage'); //file storage driver
+const { sendResume, removeResumeIfUnused } = require('../utils/resumeFiles'); //resume download/cleanup
+const { jobsFilterFor } = require('../utils/jobAccess'); //permission-scoped job access
+const { scopeOf } = require('../utils/permissions'); //permission scopes
+
+const router = express.Router(); //initialize router
+
+//accept a list as an array or comma-separated string
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(',')).map((v) => String(v).trim()).filter(Boolean);
+
+/**
+ * GET MY PROFILE
+ * route   GET /api/profiles/me
+ * desc    get the logged-in candidate's profile (an empty one if not created yet)
+ * access  Private, requires profile:manage (candidates)
+ */
+router.get('/me', auth, permit('profile:manage'), async (req, res, next) => {
+  try {
+    const profile = await CandidateProfile.findOne({ user: req.user.userId });
+
+    res.json(profile || new CandidateProfile({ user: req.user.userId }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * UPDATE MY PROFILE
+ * route   PUT /api/profiles/me
+ * desc    create or update the candidate's profile (only fields provided will be updated)
+ * access  Private, requires profile:manage (candidates)
+ */
+router.put(
+  '/me',
+  auth,
+  permit('profile:manage'),
+  [
+    check('headline', 'Headline must be at most 200 characters').optional().isLength({ max: 200 }),
+    check('skills', 'Skills must be a list of at most 100 entries').optional().customSanitizer(toSkillList).isArray({ max: 100 }),
+    check('experience', 'Experience must be a list').optional().isArray({ max: 50 }),
+    check('experience.*.title', 'Each experience entry needs a title').notEmpty(),
+    check('experience.*.startDate', 'Start date must be a date').optional().isISO8601().toDate(),
+    check('experience.*.endDate', 'End date must be a date').optional().isISO8601().toDate(),
+    check('education', 'Education must be a list').optional().isArray({ max: 20 }),
+    check('education.*.school', 'Each education entry needs a school').notEmpty(),
+    check('education.*.startYear', 'Start year must be a year').optional().isInt({ min: 1900, max: 2100 }),
+    check('education.*.endYear', 'End year must be a year').optional().isInt({ min: 1900, max: 2100 }),
+    check('links', 'Links must be a list').optional().isArray({ max: 20 }),
+    check('links.*.url', 'Each link needs a valid URL').isURL(),
+    check('preferredLocations', 'Preferred locations must be a list').optional().customSanitizer(toList).isArray({ max: 20 }),
+    check('remotePreference', `Remote preference must be a list of: ${REMOTE_POLICIES.join(', ')}`)
+      .optional()
+      .customSanitizer(toList)
+      .custom((list) => list.every((v) => REMOTE_POLICIES.includes(v))),
+    check('seniority', `Seniority must be one of: ${SENIORITY_LEVELS.join(', ')}`).optional().isIn(SENIORITY_LEVELS),
+    check('salaryExpectation', 'Salary expectation must be an object like { min, currency, period }').optional().isObject(),
+    check('salaryExpectation.min', 'Expected salary must be a positive number').optional().isFloat({ min: 0 }).toFloat(),
+    check('salaryExpectation.currency', 'Currency must be a 3-letter ISO 4217 code').optional().isISO4217(),
+    check('salaryExpectation.period', `Salary period must be one of: ${SALARY_PERIODS.join(', ')}`).optional().isIn(SALARY_PERIODS),
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+    //only these fields can be written by the candidate (resume goes through its own route)
+    const updates = {};
+    for (const key of [
+      'headline',
+      'skills',
+      'experience',
+      'education',
+      'links',
+      'preferredLocations',
+      'remotePreference',
+      'seniority',
+      'salaryExpectation',
+    ]) {
+      if (req.body[key] !== undefined) updates[key] = req.body[key];
+    }
+
+    try {
+      const profile = await CandidateProfile.findOneAndUpdate(
+        { user: req.user.userId },
+        { $set: updates, $setOnInsert: { user: req.user.userId } },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      res.json(profile);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * UPLOAD RESUME
+ * route   POST /api/profiles/me/resume
+ * desc    upload a PDF/DOCX resume (form field "resume"); its text is parsed to pre-fill skills and experience
+ * access  Private, requires profile:manage (candidates)
+ */
+router.post('/me/resume', auth, permit('profile:manage'), resumeUpload, async (req, res, next) => {
+  const { buffer, originalname, mimetype, size } = req.file;
+
+  try {
+    //parse first so a broken file is rejected before anything is stored
+    let parsed;
+    try {
+      parsed = await parseResume(buffer, mimetype);
+    } catch (parseErr) {
+      return next(new CustomError('Could not read the resume file, is it a valid PDF/DOCX?', 400));
+    }
+
+    const { key } = await getStorage().save(buffer, {
+      prefix: 'resumes',
+      extension: path.extname(originalname).toLowerCase(),
+    });
+
+    const profile =
+      (await CandidateProfile.findOne({ user: req.user.userId }).select('+resumeText')) ||
+      new CandidateProfile({ user: req.user.userId });
+    const previousKey = profile.resume && profile.resume.key;
+
+    profile.resume = { key, originalName: originalname, mimeType: mimetype, size, uploadedAt: new Date() };
+    profile.resumeText = parsed.text;
+
+    //pre-fill: add newly found skills, and fill experience only if the candidate hasn't entered any
+    profile.skills = [...new Set([...profile.skills, ...parsed.skills])];
+    if (!profile.experience.length && parsed.experience.length) {
+      profile.experience = parsed.experience;
+    }
+
+    try {
+      await profile.save();
+    } catch (saveErr) {
+      //nothing points at the new file, don't leave it behind
+      await getStorage().remove(key).catch((removeErr) => console.error('Failed to remove resume file:', removeErr.message));
+      throw saveErr;
+    }
+
+    //the old file may still be attached to applications, so only remove it if unused
+    await removeResumeIfUnused(previousKey);
+
+    const result = profile.toObject();
+    delete result.resumeText;
+
+    res.status(201).json({
+      profile: result,
+      parsed: { skills: parsed.skills, experience: parsed.experience },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DOWNLOAD MY RESUME
+ * route   GET /api/profiles/me/resume
+ * desc    download the candidate's current resume
+ * access  Private, requires profile:manage (candidates)
+ */
+router.get('/me/resume', auth, permit('profile:manage'), async (req, res, next) => {
+  try {
+    const profile = await CandidateProfile.findOne({ user: req.user.userId });
+
+    if (!profile || !profile.resume) {
+      return next(new CustomError('No resume uploaded', 404));
+    }
+
+    sendResume(res, next, profile.resume);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE MY RESUME
+ * route   DELETE /api/profiles/me/resume
+ * desc    remove the resume from the profile (copies attached to applications are kept)
+ * access  Private, requires profile:manage (candidates)
+ */
+router.delete('/me/resume', auth, permit('profile:manage'), async (req, res, next) => {
+  try {
+    const profile = await CandidateProfile.findOne({ user: req.user.userId });
+
+    if (!profile || !profile.resume) {
+      return next(new CustomError('No resume uploaded', 404));
+    }
+
+    const { key } = profile.resume;
+    profile.resume = undefined;
+    profile.resumeText = undefined;
+    await profile.save();
+
+    await removeResumeIfUnused(key);
+
+    res.json({ msg: 'Resume deleted' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET CANDIDATE PROFILE
+ * route   GET /api/profiles/:userId
+ * desc    view a candidate's profile (only if they applied to a job the recruiter manages)
+ * access  Private, requires profile:read (own: candidates who applied to their jobs, any: every candidate)
+ */
+router.get('/:userId', auth, permit('profile:read'), async (req, res, next) => {
+  try {
+    //recruiters only see candidates who applied to one of their (or their company's) jobs
+    let allowed = scopeOf(req.user.role, 'profile:read') === 'any';
+    if (!allowed) {
+      const jobIds = await Job.find(await jobsFilterFor(req.user, 'profile:read')).distinct('_id');
+      allowed = Boolean(await Application.exists({ candidate: req.params.userId, job: { $in: jobIds } }));
+    }
+
+    const profile = allowed
+      ? await CandidateProfile.findOne({ user: req.params.userId }).populate('user', 'name email')
+      : null;
+
+    if (!profile) {
+      return next(new CustomError('Profile not found', 404));
+    }
+
+    res.json(profile);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
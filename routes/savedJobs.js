@@ -0,0 +1,139 @@
+// routes/savedJobs.js
+
+//imported required modules
+const express = require('express');
+const SavedJob = require('../models/SavedJob'); //Mongoose SavedJob model
+const Job = require('../models/Job'); //Mongoose Job model
+const auth = require('../middleware/auth'); //middleware to protect routes
+const permit = require('../middleware/permit'); //permission checks
+const CustomError = require('../utils/customError'); //import custom error utility
+const { readPage, readLimit } = require('../utils/pagination'); //?page= and ?limit=
+const { MAX_PAGE_SIZE } = require('../config/pagination'); //page size cap
+const { PUBLISHED_JOB_FILTER } = require('../utils/jobLifecycle'); //only published jobs can be saved
+const { MAX_SAVED_JOBS } = require('../config/jobAlerts'); //per-candidate cap
+
+const router = express.Router(); //initialize router
+
+//every saved job route is for candidates
+router.use(auth, permit('job:save'));
+
+/**
+ * helper: filter for the user's bookmarks of jobs that still exist.
+ * bookmarks of deleted jobs are kept (the job may be restored) but not listed or counted
+ */
+const liveSavedJobsFilter = async (userId) => {
+  const savedJobIds = await SavedJob.find({ user: userId }).distinct('job');
+  const liveJobIds = await Job.find({ _id: { $in: savedJobIds } }).distinct('_id');
+  return { user: userId, job: { $in: liveJobIds } };
+};
+
+/**
+ * LIST SAVED JOBS
+ * route   GET /api/saved-jobs
+ * desc    jobs the candidate bookmarked, most recently saved first, with pagination.
+ *         jobs that were deleted meanwhile are left out; closed or expired ones show their status
+ * access  Private, requires job:save
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const pageNumber = readPage(page);
+    const limitNumber = readLimit(limit, { defaultLimit: 20, maxLimit: MAX_PAGE_SIZE });
+    const skip = (pageNumber - 1) * limitNumber;
+
+    const query = await liveSavedJobsFilter(req.user.userId);
+
+    const [total, savedJobs] = await Promise.all([
+      SavedJob.countDocuments(query),
+      SavedJob.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNumber)
+        .populate('job', '-user -__v'),
+    ]);
+
+    res.json({
+      success: true,
+      total,
+      page: pageNumber,
+      totalPages: Math.ceil(total / limitNumber),
+      //a job deleted since the count still populates as null
+      savedJobs: savedJobs.filter((saved) => saved.job),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * IS JOB SAVED
+ * route   GET /api/saved-jobs/:jobId
+ * desc    whether the candidate saved this job (for the bookmark toggle on a job page)
+ * access  Private, requires job:save
+ */
+router.get('/:jobId', async (req, res, next) => {
+  try {
+    const saved = await SavedJob.findOne({ user: req.user.userId, job: req.params.jobId });
+
+    res.json({ saved: Boolean(saved), savedAt: saved ? saved.createdAt : null });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * SAVE JOB
+ * route   POST /api/saved-jobs/:jobId
+ * desc    bookmark a published job; saving it again is a no-op (200 instead of 201)
+ * access  Private, requires job:save
+ */
+router.post('/:jobId', async (req, res, next) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.jobId, ...PUBLISHED_JOB_FILTER });
+    if (!job) {
+      return next(new CustomError('Job not found', 404));
+    }
+
+    const existing = await SavedJob.findOne({ user: req.user.userId, job: job._id });
+    if (existing) {
+      return res.json(existing);
+    }
+
+    if ((await SavedJob.countDocuments({ user: req.user.userId })) >= MAX_SAVED_JOBS) {
+      return next(new CustomError(`You can save at most ${MAX_SAVED_JOBS} jobs, remove some first`, 409));
+    }
+
+    try {
+      res.status(201).json(await SavedJob.create({ user: req.user.userId, job: job._id }));
+    } catch (err) {
+      //unique index: saved by a concurrent request
+      if (err.code === 11000) {
+        return res.json(await SavedJob.findOne({ user: req.user.userId, job: job._id }));
+      }
+      throw err;
+    }
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * UNSAVE JOB
+ * route   DELETE /api/saved-jobs/:jobId
+ * desc    remove a bookmark
+ * access  Private, requires job:save
+ */
+router.delete('/:jobId', async (req, res, next) => {
+  try {
+    const removed = await SavedJob.findOneAndDelete({ user: req.user.userId, job: req.params.jobId });
+    if (!removed) {
+      return next(new CustomError('Saved job not found', 404));
+    }
+
+    res.json({ msg: 'Job removed from saved jobs' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
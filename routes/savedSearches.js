@@ -0,0 +1,196 @@
+// routes/savedSearches.js
+
+//imported required modules
+const express = require('express');
+const { check, validationResult } = require('express-validator'); //for request body validation
+const SavedSearch = require('../models/SavedSearch'); //Mongoose SavedSearch model
+const Job = require('../models/Job'); //Mongoose Job model
+const auth = require('../middleware/auth'); //middleware to protect routes
+const permit = require('../middleware/permit'); //permission checks
+const CustomError = require('../utils/customError'); //import custom error utility
+const { readPage, readLimit } = require('../utils/pagination'); //?page= and ?limit=
+const { MAX_PAGE_SIZE } = require('../config/pagination'); //page size cap
+const { savedSearchQuery } = require('../utils/jobAlerts'); //saved filters → job query
+const { MAX_SEARCH_LENGTH } = require('../utils/textSearch'); //same limit as the job search box
+const { ALERT_FREQUENCIES, SAVED_SEARCH_FILTERS, MAX_SAVED_SEARCHES } = require('../config/jobAlerts');
+
+const router = express.Router(); //initialize router
+
+//every saved search route is for candidates
+router.use(auth, permit('search:save'));
+
+//shared validation for create/update; the filters use the names of GET /api/jobs
+const savedSearchRules = (partial) => [
+  (partial ? check('name').optional() : check('name'))
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name must be at most 100 characters'),
+  check('search', `Search must be at most ${MAX_SEARCH_LENGTH} characters`).optional().isString().isLength({ max: MAX_SEARCH_LENGTH }),
+  check('company', 'Company must be at most 100 characters').optional().isString().isLength({ max: 100 }),
+  check('location', 'Location must be at most 100 characters').optional().isString().isLength({ max: 100 }),
+  check('frequency', `Frequency must be one of: ${ALERT_FREQUENCIES.join(', ')}`).optional().isIn(ALERT_FREQUENCIES),
+];
+
+/**
+ * helper: load one of the candidate's saved searches (404 for anyone else's)
+ */
+const findOwnSavedSearch = async (id, userId) => {
+  const savedSearch = await SavedSearch.findOne({ _id: id, user: userId });
+  if (!savedSearch) {
+    throw new CustomError('Saved search not found', 404);
+  }
+  return savedSearch;
+};
+
+/**
+ * CREATE SAVED SEARCH
+ * route   POST /api/saved-searches
+ * desc    save a job search ({ name, search, company, location }) and get a digest of new matches
+ *         (frequency: daily (default), weekly or off)
+ * access  Private, requires search:save
+ */
+router.post('/', savedSearchRules(false), async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+  const filters = {};
+  for (const key of SAVED_SEARCH_FILTERS) {
+    if (req.body[key] && req.body[key].trim()) filters[key] = req.body[key].trim();
+  }
+  if (!Object.keys(filters).length) {
+    return next(new CustomError(`Provide at least one of: ${SAVED_SEARCH_FILTERS.join(', ')}`, 400));
+  }
+
+  try {
+    if ((await SavedSearch.countDocuments({ user: req.user.userId })) >= MAX_SAVED_SEARCHES) {
+      return next(new CustomError(`You can save at most ${MAX_SAVED_SEARCHES} searches, remove some first`, 409));
+    }
+
+    const savedSearch = await SavedSearch.create({
+      user: req.user.userId,
+      name: req.body.name,
+      filters,
+      frequency: req.body.frequency,
+    });
+
+    res.status(201).json(savedSearch);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * LIST SAVED SEARCHES
+ * route   GET /api/saved-searches
+ * desc    the candidate's saved searches, newest first
+ * access  Private, requires search:save
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user.userId }).sort({ createdAt: -1 });
+    res.json({ success: true, total: savedSearches.length, savedSearches });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET SINGLE SAVED SEARCH
+ * route   GET /api/saved-searches/:id
+ * access  Private, requires search:save
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    res.json(await findOwnSavedSearch(req.params.id, req.user.userId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * RUN SAVED SEARCH
+ * route   GET /api/saved-searches/:id/jobs
+ * desc    published jobs currently matching the search, newest first, with pagination
+ * access  Private, requires search:save
+ */
+router.get('/:id/jobs', async (req, res, next) => {
+  try {
+    const savedSearch = await findOwnSavedSearch(req.params.id, req.user.userId);
+
+    const { page, limit } = req.query;
+    const pageNumber = readPage(page);
+    const limitNumber = readLimit(limit, { defaultLimit: 10, maxLimit: MAX_PAGE_SIZE });
+    const skip = (pageNumber - 1) * limitNumber;
+
+    const query = await savedSearchQuery(savedSearch.filters);
+    const [total, jobs] = await Promise.all([
+      Job.countDocuments(query),
+      Job.find(query, { user: 0, __v: 0 }).sort({ publishedAt: -1 }).skip(skip).limit(limitNumber),
+    ]);
+
+    res.json({
+      success: true,
+      total,
+      page: pageNumber,
+      totalPages: Math.ceil(total / limitNumber),
+      jobs,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * UPDATE SAVED SEARCH
+ * route   PUT /api/saved-searches/:id
+ * desc    rename, change filters or alert frequency (only fields provided will be updated;
+ *         send an empty string to clear a filter)
+ * access  Private, requires search:save
+ */
+router.put('/:id', savedSearchRules(true), async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+  try {
+    const savedSearch = await findOwnSavedSearch(req.params.id, req.user.userId);
+
+    savedSearch.name = req.body.name ?? savedSearch.name;
+    for (const key of SAVED_SEARCH_FILTERS) {
+      if (req.body[key] !== undefined) savedSearch.filters[key] = req.body[key].trim() || undefined;
+    }
+    if (!SAVED_SEARCH_FILTERS.some((key) => savedSearch.filters[key])) {
+      return next(new CustomError(`Keep at least one of: ${SAVED_SEARCH_FILTERS.join(', ')}`, 400));
+    }
+
+    if (req.body.frequency && req.body.frequency !== savedSearch.frequency) {
+      //alerts switched back on only cover jobs published from now on
+      if (savedSearch.frequency === 'off') savedSearch.lastDigestAt = new Date();
+      savedSearch.frequency = req.body.frequency;
+    }
+
+    res.json(await savedSearch.save());
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE SAVED SEARCH
+ * route   DELETE /api/saved-searches/:id
+ * desc    remove the search and stop its alerts
+ * access  Private, requires search:save
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const savedSearch = await findOwnSavedSearch(req.params.id, req.user.userId);
+    await savedSearch.deleteOne();
+
+    res.json({ msg: 'Saved search deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
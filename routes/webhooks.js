@@ -0,0 +1,252 @@
+// routes/webhooks.js
+
+//imported required modules
+const express = require('express');
+const { check, validationResult } = require('express-validator'); //for request body validation
+const Webhook = require('../models/Webhook'); //Mongoose Webhook model
+const WebhookDelivery = require('../models/WebhookDelivery'); //Mongoose WebhookDelivery model
+const Company = require('../models/Company'); //Mongoose Company model
+const auth = require('../middleware/auth'); //middleware to protect routes
+const permit = require('../middleware/permit'); //permission checks
+const CustomError = require('../utils/customError'); //import custom error utility
+const { readPage, readLimit } = require('../utils/pagination'); //?page= and ?limit=
+const { MAX_PAGE_SIZE } = require('../config/pagination'); //page size cap
+const { generateSecret, redeliver } = require('../utils/webhooks'); //signing + delivery
+const { WEBHOOK_EVENTS } = require('../config/webhooks'); //subscribable events
+const { assertPublicUrl } = require('../utils/webhookTargets'); //no webhooks into our own network
+
+const router = express.Router(); //initialize router
+
+//every webhook route needs webhook:manage (recruiters and admins)
+router.use(auth, permit('webhook:manage'));
+
+//shared validation for create/update
+const webhookRules = (partial) => {
+  const field = (name, message) => (partial ? check(name, message).optional() : check(name, message));
+  return [
+    field('url', 'URL must be a valid http(s) URL')
+      .isURL({ protocols: ['http', 'https'], require_protocol: true })
+      .bail()
+      .custom(assertPublicUrl),
+    field('events', `Events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`)
+      .isArray({ min: 1 })
+      .custom((events) => events.every((e) => WEBHOOK_EVENTS.includes(e))),
+    check('description', 'Description must be at most 300 characters').optional().isLength({ max: 300 }),
+    check('active', 'Active must be true or false').optional().isBoolean().toBoolean(),
+  ];
+};
+
+/**
+ * helper: filter matching the webhooks a user may manage:
+ * their own, plus those of companies they own
+ */
+const manageableWebhooksFilter = async (userId) => {
+  const ownedCompanyIds = await Company.find({
+    members: { $elemMatch: { user: userId, role: 'owner' } },
+  }).distinct('_id');
+  return { $or: [{ owner: userId }, { companyId: { $in: ownedCompanyIds } }] };
+};
+
+const findManageableWebhook = async (webhookId, userId) => {
+  const webhook = await Webhook.findOne({ _id: webhookId, ...(await manageableWebhooksFilter(userId)) });
+  if (!webhook) {
+    throw new CustomError('Webhook not found', 404);
+  }
+  return webhook;
+};
+
+/**
+ * REGISTER WEBHOOK
+ * route   POST /api/webhooks
+ * desc    register an endpoint for job/application events; the signing secret is returned once.
+ *         with companyId it covers all of the company's jobs (company owners only)
+ * access  Private, requires webhook:manage
+ */
+router.post(
+  '/',
+  [...webhookRules(false), check('companyId', 'Invalid company id').optional().isMongoId()],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+    const { url, events, description, companyId } = req.body;
+
+    try {
+      if (companyId) {
+        const company = await Company.findById(companyId);
+        const membership = company && company.memberFor(req.user.userId);
+        if (!membership || membership.role !== 'owner') {
+          return next(new CustomError('Only company owners can register company webhooks', 403));
+        }
+      }
+
+      const secret = generateSecret();
+      const webhook = await Webhook.create({
+        owner: req.user.userId,
+        companyId,
+        url,
+        events: [...new Set(events)],
+        description,
+        secret,
+      });
+
+      //the secret is only readable here and when rotated
+      res.status(201).json({ ...webhook.toObject(), secret });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * LIST WEBHOOKS
+ * route   GET /api/webhooks
+ * desc    webhooks the user manages (own + owned companies')
+ * access  Private, requires webhook:manage
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.find(await manageableWebhooksFilter(req.user.userId)).sort({ createdAt: -1 });
+    res.json({ success: true, total: webhooks.length, webhooks });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET SINGLE WEBHOOK
+ * route   GET /api/webhooks/:id
+ * access  Private, requires webhook:manage, for webhooks they manage
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    res.json(await findManageableWebhook(req.params.id, req.user.userId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * UPDATE WEBHOOK
+ * route   PUT /api/webhooks/:id
+ * desc    change url, events, description or pause/resume with active=false/true
+ * access  Private, requires webhook:manage, for webhooks they manage
+ */
+router.put('/:id', webhookRules(true), async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return next(CustomError.validation(errors));
+
+  const { url, events, description, active } = req.body;
+
+  try {
+    const webhook = await findManageableWebhook(req.params.id, req.user.userId);
+
+    webhook.url = url ?? webhook.url;
+    webhook.events = events ? [...new Set(events)] : webhook.events;
+    webhook.description = description ?? webhook.description;
+    webhook.active = active ?? webhook.active;
+
+    res.json(await webhook.save());
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * ROTATE SECRET
+ * route   POST /api/webhooks/:id/rotate-secret
+ * desc    replace the signing secret (the new one is returned once)
+ * access  Private, requires webhook:manage, for webhooks they manage
+ */
+router.post('/:id/rotate-secret', async (req, res, next) => {
+  try {
+    const webhook = await findManageableWebhook(req.params.id, req.user.userId);
+
+    const secret = generateSecret();
+    webhook.secret = secret;
+    await webhook.save();
+
+    res.json({ ...webhook.toObject(), secret });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE WEBHOOK
+ * route   DELETE /api/webhooks/:id
+ * desc    remove the webhook and its delivery log
+ * access  Private, requires webhook:manage, for webhooks they manage
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const webhook = await findManageableWebhook(req.params.id, req.user.userId);
+
+    await Promise.all([webhook.deleteOne(), WebhookDelivery.deleteMany({ webhook: webhook._id })]);
+
+    res.json({ msg: 'Webhook deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELIVERY LOG
+ * route   GET /api/webhooks/:id/deliveries
+ * desc    deliveries for the webhook, newest first (?status=pending|succeeded|failed), with pagination
+ * access  Private, requires webhook:manage, for webhooks they manage
+ */
+router.get('/:id/deliveries', async (req, res, next) => {
+  try {
+    const webhook = await findManageableWebhook(req.params.id, req.user.userId);
+
+    const { page, limit, status } = req.query;
+    const pageNumber = readPage(page);
+    const limitNumber = readLimit(limit, { defaultLimit: 20, maxLimit: MAX_PAGE_SIZE });
+    const skip = (pageNumber - 1) * limitNumber;
+
+    const query = { webhook: webhook._id };
+    if (status) query.status = status;
+
+    const [total, deliveries] = await Promise.all([
+      WebhookDelivery.countDocuments(query),
+      WebhookDelivery.find(query).sort({ createdAt: -1 }).skip(skip).limit(limitNumber),
+    ]);
+
+    res.json({
+      success: true,
+      total,
+      page: pageNumber,
+      totalPages: Math.ceil(total / limitNumber),
+      deliveries,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * REDELIVER
+ * route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * desc    send an earlier delivery's payload again right away (as a new delivery)
+ * access  Private, requires webhook:manage, for webhooks they manage
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res, next) => {
+  try {
+    const webhook = await findManageableWebhook(req.params.id, req.user.userId);
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id });
+    if (!delivery) {
+      return next(new CustomError('Delivery not found', 404));
+    }
+    if (!webhook.active) {
+      return next(new CustomError('Webhook is inactive, activate it before redelivering', 409));
+    }
+
+    res.status(201).json(await redeliver(delivery));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
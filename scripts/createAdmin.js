@@ -0,0 +1,57 @@
+//scripts/createAdmin.js
+
+//bootstrap the first admin account (signup never hands out the admin role).
+//usage:
+//  node scripts/createAdmin.js <email> <password> [name]   -> create a new admin
+//  node scripts/createAdmin.js <email>                     -> promote an existing user to admin
+
+//import required packages and models
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+//load environment variables from .env file
+dotenv.config();
+
+const [email, password, name = 'Administrator'] = process.argv.slice(2);
+
+const createAdmin = async () => {
+  if (!email) {
+    console.error('Usage: node scripts/createAdmin.js <email> [password] [name]');
+    process.exit(1);
+  }
+
+  try {
+    //connect to MongoDB
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const existing = await User.findOne({ email: email.toLowerCase() });
+
+    if (existing) {
+      //promote the existing account (password is left untouched)
+      existing.role = 'admin';
+      existing.status = 'active';
+      await existing.save();
+      console.log(`${existing.email} is now an admin`);
+    } else {
+      if (!password || password.length < 6) {
+        throw new Error('A password of at least 6 characters is required to create a new admin');
+      }
+
+      //password hashing is handled in User model pre-save hook
+      const admin = new User({ name, email, password, role: 'admin', emailVerified: true });
+      await admin.save();
+      console.log(`Admin ${admin.email} created`);
+    }
+
+    await mongoose.connection.close();
+  } catch (err) {
+    console.error('Error creating admin:', err.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+//to run the function
+createAdmin();
@@ -0,0 +1,50 @@
+//scripts/migrateCompanies.js
+
+//one-off migration: link existing jobs to Company documents.
+//jobs with the same company name (ignoring case and suffixes like "Inc.") end up in one company,
+//and every recruiter who posted one of its jobs becomes a member (the earliest poster is the owner).
+//safe to run more than once.
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Job = require('../models/Job');
+const Company = require('../models/Company');
+
+//load environment variables from .env file
+dotenv.config();
+
+const migrateCompanies = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    //oldest first, so the first recruiter to post for a company becomes its owner
+    const jobs = await Job.find({ companyId: { $exists: false } }).sort({ createdAt: 1 });
+    let linked = 0;
+
+    for (const job of jobs) {
+      const normalizedName = Company.normalizeName(job.company);
+
+      let company = await Company.findOne({ normalizedName });
+      if (!company) {
+        company = new Company({ name: job.company, members: [{ user: job.user, role: 'owner' }] });
+      } else if (!company.memberFor(job.user)) {
+        company.members.push({ user: job.user, role: 'member' });
+      }
+      await company.save();
+
+      //update only the company fields instead of re-saving the whole job
+      await Job.updateOne({ _id: job._id }, { companyId: company._id, company: company.name });
+      linked++;
+    }
+
+    console.log(`${linked} jobs linked to companies`);
+    await mongoose.connection.close();
+  } catch (err) {
+    console.error('Company migration failed:', err.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+migrateCompanies();
@@ -0,0 +1,59 @@
+//scripts/migrateJobLocations.js
+
+//one-off migration: resolve the free-text location of existing jobs into a structured place
+//(label, city, region, country, coordinates) through the geocoder, and create the 2dsphere index for
+//?near=. the location text itself is left exactly as it was entered.
+//locations the geocoder doesn't know are left as they are and listed at the end, so the city list
+//(config/cities.js) can be extended and the script run again. safe to run more than once.
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Job = require('../models/Job');
+const { geocode } = require('../utils/geocoder');
+
+//load environment variables from .env file
+dotenv.config();
+
+const migrateJobLocations = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    //radius search needs the 2dsphere index before it can run
+    await Job.createIndexes();
+
+    let resolved = 0;
+    const unresolved = new Map(); //location → number of jobs
+
+    //deleted jobs too, so a restored job comes back with a place; raw updates keep updatedAt untouched
+    const pending = Job.find({ location: { $nin: [null, ''] }, place: { $exists: false } })
+      .setOptions({ withDeleted: true })
+      .select('location')
+      .lean()
+      .cursor();
+
+    for await (const job of pending) {
+      const place = await geocode(job.location);
+      if (!place) {
+        unresolved.set(job.location, (unresolved.get(job.location) || 0) + 1);
+        continue;
+      }
+
+      await Job.collection.updateOne({ _id: job._id }, { $set: { place: Job.placeFrom(place) } });
+      resolved++;
+    }
+
+    console.log(`${resolved} job locations resolved, ${[...unresolved.values()].reduce((a, b) => a + b, 0)} left as text`);
+    for (const [location, count] of [...unresolved].sort((a, b) => b[1] - a[1])) {
+      console.log(`   ${count} × ${location}`);
+    }
+
+    await mongoose.connection.close();
+  } catch (err) {
+    console.error('Job location migration failed:', err.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+migrateJobLocations();
@@ -0,0 +1,41 @@
+//scripts/migrateJobStatus.js
+
+//one-off migration: give jobs created before the posting lifecycle a status.
+//they were all live, so they become 'published', or 'expired' if their deadline has passed.
+//uses the raw collection so schema defaults don't hide the missing field. safe to run more than once.
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Job = require('../models/Job');
+
+//load environment variables from .env file
+dotenv.config();
+
+const migrateJobStatus = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const now = new Date();
+    const missing = { status: { $exists: false } };
+
+    const expired = await Job.collection.updateMany(
+      { ...missing, applicationDeadline: { $lte: now } },
+      { $set: { status: 'expired', statusChangedAt: now } }
+    );
+
+    //everything else was live: use the creation time as the publish time
+    const published = await Job.collection.updateMany(missing, [
+      { $set: { status: 'published', publishedAt: '$createdAt', statusChangedAt: now } },
+    ]);
+
+    console.log(`${published.modifiedCount} jobs published, ${expired.modifiedCount} jobs expired`);
+    await mongoose.connection.close();
+  } catch (err) {
+    console.error('Job status migration failed:', err.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+migrateJobStatus();
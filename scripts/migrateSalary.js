@@ -0,0 +1,50 @@
+//scripts/migrateSalary.js
+
+//one-off migration: convert old free-text salaries ("85000") into the structured range
+//{ min, max, currency, period }. values that can't be read as a number are removed.
+//uses the raw collection because the Job model can no longer load string salaries.
+//safe to run more than once.
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Job = require('../models/Job');
+
+//load environment variables from .env file
+dotenv.config();
+
+const migrateSalary = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    //only documents still holding a plain string or number salary
+    const cursor = Job.collection.find({ salary: { $type: ['string', 'int', 'long', 'double'] } });
+    let converted = 0;
+    let cleared = 0;
+
+    for await (const job of cursor) {
+      //strip currency symbols / thousands separators, e.g. "$85,000"
+      const amount = Number(String(job.salary).replace(/[^0-9.]/g, ''));
+
+      if (String(job.salary).trim() && Number.isFinite(amount) && amount > 0) {
+        await Job.collection.updateOne(
+          { _id: job._id },
+          { $set: { salary: { min: amount, max: amount, currency: 'USD', period: 'year' } } }
+        );
+        converted++;
+      } else {
+        await Job.collection.updateOne({ _id: job._id }, { $unset: { salary: '' } });
+        cleared++;
+      }
+    }
+
+    console.log(`${converted} salaries converted, ${cleared} unreadable salaries removed`);
+    await mongoose.connection.close();
+  } catch (err) {
+    console.error('Salary migration failed:', err.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+migrateSalary();
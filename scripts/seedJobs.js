@@ -3,6 +3,10 @@ const dotenv = require('dotenv');
 const { faker } = require('@faker-js/faker');
 const Job = require('../models/Job');
 const User = require('../models/User');
+const { EMPLOYMENT_TYPES, SENIORITY_LEVELS, REMOTE_POLICIES } = require('../config/jobOptions');
+
+// Skills to pick from for seeded jobs
+const SAMPLE_SKILLS = ['javascript', 'node', 'react', 'mongodb', 'python', 'sql', 'aws', 'docker', 'typescript', 'go'];
 
 dotenv.config();
 
@@ -31,12 +35,24 @@ const seedJobs = async () => {
     for (let i = 0; i < 30; i++) {
       const randomUser = users[Math.floor(Math.random() * users.length)];
 
+      const salaryMin = faker.number.int({ min: 30, max: 120 }) * 1000;
+
       const job = new Job({
         title: faker.person.jobTitle(),
         company: faker.company.name(),
         description: faker.lorem.paragraph(),
         location: faker.location.city(),
-        salary: faker.number.int({ min: 30000, max: 150000 }),
+        salary: {
+          min: salaryMin,
+          max: salaryMin + faker.number.int({ min: 5, max: 40 }) * 1000,
+          currency: 'USD',
+          period: 'year',
+        },
+        employmentType: faker.helpers.arrayElement(EMPLOYMENT_TYPES),
+        seniority: faker.helpers.arrayElement(SENIORITY_LEVELS),
+        remotePolicy: faker.helpers.arrayElement(REMOTE_POLICIES),
+        skills: faker.helpers.arrayElements(SAMPLE_SKILLS, { min: 2, max: 5 }),
+        applicationDeadline: faker.date.soon({ days: 60 }),
         user: randomUser._id,
       });
 
@@ -0,0 +1,92 @@
+// test/auth.test.js
+//login input validation, through the real router and error handler (the User model is stubbed)
+const { describe, test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const User = require('../models/User');
+const { setStore } = require('../utils/rateLimit');
+const createMemoryStore = require('../utils/rateLimit/memoryStore');
+const authRoutes = require('../routes/auth');
+const errorHandler = require('../middleware/errorHandler');
+
+let server;
+let baseUrl;
+let countedKeys;
+
+const postLogin = (body) =>
+  fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use(errorHandler);
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  //a memory store that remembers which keys were counted
+  const store = createMemoryStore();
+  countedKeys = [];
+  setStore({
+    ...store,
+    increment: (key, windowMs) => {
+      countedKeys.push(key);
+      return store.increment(key, windowMs);
+    },
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('POST /api/auth/login', () => {
+  test('rejects a non-string email with 400 before any lookup or lockout', async () => {
+    const findOne = mock.method(User, 'findOne', async () => null);
+
+    for (const email of [['victim@example.com', 'victim@example.com'], { $ne: null }, 42]) {
+      const res = await postLogin({ email, password: 'wrong-password' });
+      const body = await res.json();
+
+      assert.equal(res.status, 400);
+      assert.equal(body.code, 'VALIDATION_FAILED');
+      assert.equal(body.errors[0].field, 'email');
+    }
+
+    assert.equal(findOne.mock.callCount(), 0);
+    assert.deepEqual(
+      countedKeys.filter((key) => key.startsWith('login-failures:') || key.startsWith('login-lock:')),
+      []
+    );
+  });
+
+  test('rejects a non-string password with 400', async () => {
+    const findOne = mock.method(User, 'findOne', async () => null);
+
+    const res = await postLogin({ email: 'victim@example.com', password: ['a', 'b'] });
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).errors[0].field, 'password');
+    assert.equal(findOne.mock.callCount(), 0);
+  });
+
+  test('looks up, limits and locks the one normalized email', async () => {
+    const findOne = mock.method(User, 'findOne', async () => null);
+
+    const res = await postLogin({ email: '  Victim@Example.COM ', password: 'wrong-password' });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { email: 'victim@example.com' });
+    assert.ok(countedKeys.includes('login-account:victim@example.com'));
+    assert.ok(countedKeys.includes('login-failures:victim@example.com'));
+  });
+});
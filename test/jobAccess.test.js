@@ -0,0 +1,99 @@
+// test/jobAccess.test.js
+//the models are stubbed, so no database is needed
+const { describe, test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Company = require('../models/Company');
+const Job = require('../models/Job');
+const { jobsFilterFor, findJobFor, canActOnJob } = require('../utils/jobAccess');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const recruiter = { userId: id().toString(), role: 'recruiter' };
+const admin = { userId: id().toString(), role: 'admin' };
+const candidate = { userId: id().toString(), role: 'candidate' };
+
+//the recruiter belongs to these companies
+const memberOf = (companyIds) => {
+  mock.method(Company, 'find', () => ({ distinct: async () => companyIds }));
+  mock.method(Company, 'exists', async (filter) =>
+    companyIds.some((companyId) => companyId.toString() === filter._id.toString()) ? { _id: filter._id } : null
+  );
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('jobsFilterFor', () => {
+  test('matches every job for an any scope', async () => {
+    assert.deepEqual(await jobsFilterFor(admin, 'job:update'), {});
+  });
+
+  test('matches own jobs without a company and the jobs of the user\'s companies', async () => {
+    const companyId = id();
+    memberOf([companyId]);
+
+    assert.deepEqual(await jobsFilterFor(recruiter, 'job:update'), {
+      $or: [{ user: recruiter.userId, companyId: null }, { companyId: { $in: [companyId] } }],
+    });
+  });
+
+  test('matches nothing without the permission', async () => {
+    assert.deepEqual(await jobsFilterFor(candidate, 'job:update'), { _id: null });
+  });
+});
+
+describe('findJobFor', () => {
+  test('looks the job up within the permission filter', async () => {
+    const jobId = id();
+    const companyId = id();
+    memberOf([companyId]);
+    const findOne = mock.method(Job, 'findOne', async () => null);
+
+    await findJobFor(recruiter, 'job:delete', jobId);
+
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+      _id: jobId,
+      $or: [{ user: recruiter.userId, companyId: null }, { companyId: { $in: [companyId] } }],
+    });
+  });
+
+  test('admins look the job up by id only', async () => {
+    const jobId = id();
+    const findOne = mock.method(Job, 'findOne', async () => null);
+
+    await findJobFor(admin, 'job:delete', jobId);
+
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { _id: jobId });
+  });
+});
+
+describe('canActOnJob', () => {
+  test('the poster may act on a job without a company', async () => {
+    const job = { user: id(), companyId: null };
+    assert.equal(await canActOnJob({ ...recruiter, userId: job.user.toString() }, 'job:update', job), true);
+    assert.equal(await canActOnJob(recruiter, 'job:update', job), false);
+  });
+
+  test('company jobs need a current membership, even for the poster', async () => {
+    const companyId = id();
+    const job = { user: id(), companyId };
+
+    memberOf([companyId]);
+    assert.equal(await canActOnJob(recruiter, 'job:update', job), true);
+
+    mock.restoreAll();
+    memberOf([]);
+    assert.equal(await canActOnJob({ ...recruiter, userId: job.user.toString() }, 'job:update', job), false);
+  });
+
+  test('an any scope reaches every existing job', async () => {
+    assert.equal(await canActOnJob(admin, 'job:update', { user: id(), companyId: id() }), true);
+    assert.equal(await canActOnJob(admin, 'job:update', null), false);
+  });
+
+  test('without the permission nobody may act', async () => {
+    const job = { user: id(), companyId: null };
+    assert.equal(await canActOnJob({ ...candidate, userId: job.user.toString() }, 'job:update', job), false);
+  });
+});
@@ -0,0 +1,140 @@
+// test/jobAlerts.test.js
+//the digest run end to end through the file channel (ALERT_CHANNEL=file), with the models stubbed
+const { describe, test, before, beforeEach, afterEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const Job = require('../models/Job');
+const User = require('../models/User');
+const SavedSearch = require('../models/SavedSearch');
+const { setChannel } = require('../utils/alertChannels');
+const createFileChannel = require('../utils/alertChannels/fileChannel');
+const { sendDueDigests } = require('../utils/jobAlerts');
+
+const id = () => new mongoose.Types.ObjectId();
+const DAY = 24 * 60 * 60 * 1000;
+
+const now = new Date('2026-03-02T08:00:00Z');
+const user = { _id: id(), name: 'Dana', email: 'dana@example.com' };
+const searchFor = (owner, name) => ({
+  _id: id(),
+  user: owner,
+  name,
+  filters: { company: 'Acme' },
+  frequency: 'daily',
+  lastDigestAt: new Date(now.getTime() - DAY),
+});
+
+let dir;
+let savedSearches;
+let activeUsers;
+let newJobs;
+let searchUpdates;
+
+//the digests the file channel wrote
+const writtenDigests = () =>
+  fs
+    .readdirSync(dir)
+    .sort()
+    .map((file) => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gencruit-alerts-'));
+  process.env.ALERT_DIR = dir;
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+beforeEach(() => {
+  for (const file of fs.readdirSync(dir)) fs.rmSync(path.join(dir, file));
+  setChannel(createFileChannel());
+
+  savedSearches = [];
+  activeUsers = [user];
+  newJobs = [];
+  searchUpdates = [];
+
+  mock.method(SavedSearch, 'find', () => ({
+    sort: () => ({
+      cursor: () => savedSearches[Symbol.iterator](),
+    }),
+  }));
+  mock.method(SavedSearch, 'updateOne', async (filter, update) => {
+    searchUpdates.push({ filter, update });
+    return { modifiedCount: 1 };
+  });
+  mock.method(User, 'findOne', (filter) => ({
+    select: async () => activeUsers.find((u) => u._id.toString() === filter._id.toString()) || null,
+  }));
+  mock.method(Job, 'countDocuments', async () => newJobs.length);
+  mock.method(Job, 'find', () => ({ sort: () => ({ limit: async (n) => newJobs.slice(0, n) }) }));
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('sendDueDigests', () => {
+  test('writes one digest per user covering all their due searches', async () => {
+    savedSearches = [searchFor(user._id, 'Acme jobs'), searchFor(user._id, 'Acme again')];
+    newJobs = [{ title: 'Backend developer', company: 'Acme', location: 'Berlin' }];
+
+    assert.deepEqual(await sendDueDigests(now), { sent: 1, failed: 0 });
+
+    const [digest, ...rest] = writtenDigests();
+    assert.equal(rest.length, 0);
+    assert.equal(digest.user.email, 'dana@example.com');
+    assert.equal(digest.title, '2 new jobs matching your saved searches');
+    assert.deepEqual(
+      digest.searches.map((s) => s.name),
+      ['Acme jobs', 'Acme again']
+    );
+    assert.match(digest.text, /"Acme jobs": 1 new job\n {2}• Backend developer at Acme \(Berlin\)/);
+  });
+
+  test('only looks for jobs published since the last digest', async () => {
+    const savedSearch = searchFor(user._id, 'Acme jobs');
+    savedSearches = [savedSearch];
+
+    await sendDueDigests(now);
+
+    const [base, filters] = Job.countDocuments.mock.calls[0].arguments[0].$and;
+    assert.deepEqual(base.publishedAt, { $gt: savedSearch.lastDigestAt, $lte: now });
+    assert.deepEqual(filters.company, { $regex: 'Acme', $options: 'i' });
+    assert.deepEqual(searchUpdates[0].update, { $set: { lastDigestAt: now } });
+  });
+
+  test('sends nothing when no search has new jobs', async () => {
+    savedSearches = [searchFor(user._id, 'Acme jobs')];
+
+    assert.deepEqual(await sendDueDigests(now), { sent: 0, failed: 0 });
+    assert.equal(writtenDigests().length, 0);
+  });
+
+  test('skips users who are no longer active', async () => {
+    savedSearches = [searchFor(id(), 'Acme jobs')];
+    newJobs = [{ title: 'Backend developer', company: 'Acme' }];
+
+    assert.deepEqual(await sendDueDigests(now), { sent: 0, failed: 0 });
+    assert.equal(writtenDigests().length, 0);
+  });
+
+  test('a failed delivery puts the searches back for the next run', async () => {
+    const savedSearch = searchFor(user._id, 'Acme jobs');
+    savedSearches = [savedSearch];
+    newJobs = [{ title: 'Backend developer', company: 'Acme' }];
+    setChannel({
+      deliver: async () => {
+        throw new Error('channel down');
+      },
+    });
+    mock.method(console, 'error', () => {});
+
+    assert.deepEqual(await sendDueDigests(now), { sent: 0, failed: 1 });
+
+    const undo = searchUpdates[searchUpdates.length - 1];
+    assert.deepEqual(undo.filter, { _id: savedSearch._id, lastDigestAt: now });
+    assert.deepEqual(undo.update, { $set: { lastDigestAt: savedSearch.lastDigestAt } });
+  });
+});
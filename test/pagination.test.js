@@ -0,0 +1,33 @@
+// test/pagination.test.js
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { readPage, readLimit } = require('../utils/pagination');
+
+describe('readPage', () => {
+  test('reads the page number', () => {
+    assert.equal(readPage('3'), 3);
+    assert.equal(readPage(undefined), 1);
+  });
+
+  test('falls back to the first page for anything below 1 or not a number', () => {
+    for (const page of ['0', '-2', 'abc', '']) {
+      assert.equal(readPage(page), 1, page);
+    }
+  });
+});
+
+describe('readLimit', () => {
+  const options = { defaultLimit: 20, maxLimit: 100 };
+
+  test('reads the limit within bounds', () => {
+    assert.equal(readLimit('50', options), 50);
+    assert.equal(readLimit('1000000', options), 100);
+    assert.equal(readLimit('0', options), 1);
+  });
+
+  test('uses the default when the limit is missing or not a number', () => {
+    assert.equal(readLimit(undefined, options), 20);
+    assert.equal(readLimit('abc', options), 20);
+  });
+});
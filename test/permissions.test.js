@@ -0,0 +1,74 @@
+// test/permissions.test.js
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { scopeOf, hasPermission } = require('../utils/permissions');
+const permit = require('../middleware/permit');
+const CustomError = require('../utils/customError');
+
+//run the middleware and return what it passed to next()
+const runPermit = (action, user) => {
+  let passed;
+  permit(action)({ user }, {}, (err) => {
+    passed = err === undefined ? 'next' : err;
+  });
+  return passed;
+};
+
+describe('scopeOf', () => {
+  test('an unscoped permission counts as any', () => {
+    assert.equal(scopeOf('recruiter', 'job:create'), 'any');
+    assert.equal(scopeOf('candidate', 'job:apply'), 'any');
+  });
+
+  test('returns the scope of scoped permissions', () => {
+    assert.equal(scopeOf('recruiter', 'job:update'), 'own');
+    assert.equal(scopeOf('admin', 'job:update'), 'any');
+    assert.equal(scopeOf('candidate', 'application:read'), 'own');
+  });
+
+  test('every role reads its own notifications; companies and interviews are scoped', () => {
+    for (const role of ['candidate', 'recruiter', 'admin']) {
+      assert.equal(scopeOf(role, 'notification:read'), 'own');
+      assert.ok(scopeOf(role, 'interview:read'));
+      assert.ok(scopeOf(role, 'interview:cancel'));
+    }
+    assert.equal(scopeOf('recruiter', 'company:manage'), 'own');
+    assert.equal(scopeOf('admin', 'company:manage'), 'any');
+    assert.equal(scopeOf('candidate', 'company:manage'), null);
+  });
+
+  test('returns null when the role lacks the permission', () => {
+    assert.equal(scopeOf('candidate', 'job:update'), null);
+    assert.equal(scopeOf('recruiter', 'user:manage'), null);
+  });
+
+  test('returns null for unknown roles and actions', () => {
+    assert.equal(scopeOf('intruder', 'job:create'), null);
+    assert.equal(scopeOf('admin', 'job:teleport'), null);
+  });
+
+  test('does not treat a prefix of a permission as the permission', () => {
+    assert.equal(hasPermission('recruiter', 'job'), false);
+    assert.equal(scopeOf('recruiter', 'job'), null);
+  });
+});
+
+describe('permit', () => {
+  test('lets roles holding the permission at any scope through', () => {
+    assert.equal(runPermit('job:update', { role: 'recruiter' }), 'next');
+    assert.equal(runPermit('job:update', { role: 'admin' }), 'next');
+    assert.equal(runPermit('job:apply', { role: 'candidate' }), 'next');
+  });
+
+  test('answers 403 for roles without the permission', () => {
+    const err = runPermit('job:update', { role: 'candidate' });
+    assert.ok(err instanceof CustomError);
+    assert.equal(err.statusCode, 403);
+    assert.match(err.message, /job:update/);
+  });
+
+  test('answers 403 when there is no user', () => {
+    assert.equal(runPermit('job:create', undefined).statusCode, 403);
+  });
+});
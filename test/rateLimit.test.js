@@ -0,0 +1,156 @@
+// test/rateLimit.test.js
+//rate limiter and login lockout, counted in a fresh memory store per test
+const { describe, test, beforeEach, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setStore } = require('../utils/rateLimit');
+const createMemoryStore = require('../utils/rateLimit/memoryStore');
+const { rateLimit } = require('../middleware/rateLimit');
+const { lockedUntil, recordLoginFailure, clearLoginFailures } = require('../utils/loginLockout');
+const { LOGIN_LOCKOUT } = require('../config/rateLimits');
+
+//a store whose every call fails, like a database that is down
+const brokenStore = {
+  increment: async () => {
+    throw new Error('store down');
+  },
+  get: async () => {
+    throw new Error('store down');
+  },
+  reset: async () => {
+    throw new Error('store down');
+  },
+};
+
+//run the middleware once; resolves with the error passed to next() (undefined if let through) and the headers
+const hit = async (limiter, req = { ip: '203.0.113.7' }) => {
+  const headers = {};
+  const res = { setHeader: (name, value) => (headers[name] = value) };
+  let passed;
+  await limiter(req, res, (err) => {
+    passed = err;
+  });
+  return { err: passed, headers };
+};
+
+beforeEach(() => setStore(createMemoryStore()));
+afterEach(() => mock.restoreAll());
+
+describe('rateLimit', () => {
+  test('lets requests through up to the limit and reports what is left', async () => {
+    const limiter = rateLimit({ name: 'test', windowMs: 60 * 1000, max: 2 });
+
+    const first = await hit(limiter);
+    assert.equal(first.err, undefined);
+    assert.equal(first.headers['RateLimit-Limit'], 2);
+    assert.equal(first.headers['RateLimit-Remaining'], 1);
+
+    const second = await hit(limiter);
+    assert.equal(second.err, undefined);
+    assert.equal(second.headers['RateLimit-Remaining'], 0);
+  });
+
+  test('answers 429 with Retry-After over the limit', async () => {
+    const limiter = rateLimit({ name: 'test', windowMs: 60 * 1000, max: 1, message: 'Slow down' });
+
+    await hit(limiter);
+    const { err, headers } = await hit(limiter);
+
+    assert.equal(err.statusCode, 429);
+    assert.equal(err.message, 'Slow down');
+    assert.ok(headers['Retry-After'] >= 1 && headers['Retry-After'] <= 60);
+  });
+
+  test('counts every key separately', async () => {
+    const limiter = rateLimit({ name: 'test', windowMs: 60 * 1000, max: 1 });
+
+    await hit(limiter, { ip: '203.0.113.7' });
+    const other = await hit(limiter, { ip: '203.0.113.8' });
+
+    assert.equal(other.err, undefined);
+  });
+
+  test('does not count requests without a key', async () => {
+    const limiter = rateLimit({ name: 'test', windowMs: 60 * 1000, max: 1, key: () => null });
+
+    await hit(limiter);
+    const { err, headers } = await hit(limiter);
+
+    assert.equal(err, undefined);
+    assert.equal(headers['RateLimit-Limit'], undefined);
+  });
+
+  test('lets requests through when the store is down', async () => {
+    setStore(brokenStore);
+    mock.method(console, 'error', () => {});
+    const limiter = rateLimit({ name: 'test', windowMs: 60 * 1000, max: 1 });
+
+    assert.equal((await hit(limiter)).err, undefined);
+    assert.equal((await hit(limiter)).err, undefined);
+  });
+});
+
+describe('login lockout', () => {
+  const email = 'Someone@Example.com';
+
+  //fail logins until just before the lock would kick in
+  const failUntilThreshold = async () => {
+    for (let i = 1; i < LOGIN_LOCKOUT.threshold; i++) {
+      assert.equal(await recordLoginFailure(email), null);
+    }
+  };
+
+  test('locks the account once the failures reach the threshold', async () => {
+    await failUntilThreshold();
+    assert.equal(await lockedUntil(email), null);
+
+    const until = await recordLoginFailure(email);
+    const lockMs = until.getTime() - Date.now();
+    assert.ok(lockMs > LOGIN_LOCKOUT.baseLockMs - 1000 && lockMs <= LOGIN_LOCKOUT.baseLockMs);
+    assert.deepEqual(await lockedUntil(email), until);
+  });
+
+  test('every further failure doubles the lock', async () => {
+    await failUntilThreshold();
+    await recordLoginFailure(email);
+
+    const until = await recordLoginFailure(email);
+    const lockMs = until.getTime() - Date.now();
+    assert.ok(lockMs > 2 * LOGIN_LOCKOUT.baseLockMs - 1000 && lockMs <= 2 * LOGIN_LOCKOUT.baseLockMs);
+  });
+
+  test('the lock never exceeds the maximum', async () => {
+    await failUntilThreshold();
+    let until;
+    for (let i = 0; i < 20; i++) until = await recordLoginFailure(email);
+
+    assert.ok(until.getTime() - Date.now() <= LOGIN_LOCKOUT.maxLockMs);
+  });
+
+  test('counts the account regardless of case and spacing', async () => {
+    await failUntilThreshold();
+    await recordLoginFailure('  someone@example.COM ');
+
+    assert.ok(await lockedUntil(email));
+  });
+
+  test('a successful login clears the failures and the lock', async () => {
+    await failUntilThreshold();
+    await recordLoginFailure(email);
+
+    await clearLoginFailures(email);
+
+    assert.equal(await lockedUntil(email), null);
+    assert.equal(await recordLoginFailure(email), null);
+  });
+
+  test('fails open when the store is down', async () => {
+    setStore(brokenStore);
+    const logged = mock.method(console, 'error', () => {});
+
+    assert.equal(await lockedUntil(email), null);
+    assert.equal(await recordLoginFailure(email), null);
+    await clearLoginFailures(email);
+    assert.equal(logged.mock.callCount(), 3);
+  });
+});
@@ -0,0 +1,89 @@
+// test/timezones.test.js
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isValidTimeZone, parseInTimeZone, formatInTimeZone } = require('../utils/timezones');
+
+const iso = (date) => date.toISOString();
+
+describe('parseInTimeZone', () => {
+  test('reads wall-clock time in the zone', () => {
+    assert.equal(iso(parseInTimeZone('2025-03-10T14:00', 'Europe/Berlin')), '2025-03-10T13:00:00.000Z');
+    assert.equal(iso(parseInTimeZone('2025-07-10T14:00:30', 'Europe/Berlin')), '2025-07-10T12:00:30.000Z');
+    assert.equal(iso(parseInTimeZone('2024-02-29T10:00', 'Asia/Kolkata')), '2024-02-29T04:30:00.000Z');
+    assert.equal(iso(parseInTimeZone('2025-03-10T14:00')), '2025-03-10T14:00:00.000Z');
+  });
+
+  test('strings with an offset are exact instants, whatever the zone', () => {
+    assert.equal(iso(parseInTimeZone('2025-03-10T14:00:00+02:00', 'America/New_York')), '2025-03-10T12:00:00.000Z');
+    assert.equal(iso(parseInTimeZone('2025-03-10T14:00-0530', 'UTC')), '2025-03-10T19:30:00.000Z');
+    assert.equal(iso(parseInTimeZone('2025-03-10T14:00:00.250Z', 'Europe/Berlin')), '2025-03-10T14:00:00.250Z');
+  });
+
+  test('rejects impossible dates and times instead of rolling them over', () => {
+    for (const value of [
+      '2025-02-30T10:00',
+      '2025-02-29T10:00',
+      '2025-04-31T10:00',
+      '2025-13-01T10:00',
+      '2025-03-10T25:00',
+      '2025-03-10T24:00',
+      '2025-03-10T10:60',
+      '2025-03-10T10:00:60',
+      '2025-02-30T10:00Z',
+      '2025-03-10T10:00+24:00',
+    ]) {
+      assert.ok(Number.isNaN(parseInTimeZone(value, 'Europe/Berlin').getTime()), value);
+    }
+  });
+
+  test('rejects anything that is not a date-time string', () => {
+    for (const value of ['', 'tomorrow', '2025-03-10', '2025-03-10 14:00', 1741615200000, null, ['2025-03-10T14:00']]) {
+      assert.ok(Number.isNaN(parseInTimeZone(value, 'UTC').getTime()), String(value));
+    }
+  });
+
+  test('times skipped by a DST change move forward by the gap in every zone', () => {
+    //clocks jump 02:00 → 03:00
+    assert.equal(
+      formatInTimeZone(parseInTimeZone('2025-03-30T02:30', 'Europe/Berlin'), 'Europe/Berlin'),
+      '2025-03-30T03:30:00+02:00'
+    );
+    assert.equal(
+      formatInTimeZone(parseInTimeZone('2025-03-09T02:30', 'America/New_York'), 'America/New_York'),
+      '2025-03-09T03:30:00-04:00'
+    );
+  });
+
+  test('times repeated by a DST change are the first occurrence', () => {
+    //clocks go back 03:00 → 02:00 (Berlin) and 02:00 → 01:00 (New York)
+    assert.equal(iso(parseInTimeZone('2025-10-26T02:30', 'Europe/Berlin')), '2025-10-26T00:30:00.000Z');
+    assert.equal(iso(parseInTimeZone('2025-11-02T01:30', 'America/New_York')), '2025-11-02T05:30:00.000Z');
+  });
+});
+
+describe('formatInTimeZone', () => {
+  test('shows the wall-clock time with the offset in effect', () => {
+    const instant = new Date('2025-03-10T13:00:00Z');
+    assert.equal(formatInTimeZone(instant, 'Europe/Berlin'), '2025-03-10T14:00:00+01:00');
+    assert.equal(formatInTimeZone(instant, 'America/New_York'), '2025-03-10T09:00:00-04:00');
+    assert.equal(formatInTimeZone(instant, 'Asia/Kolkata'), '2025-03-10T18:30:00+05:30');
+    assert.equal(formatInTimeZone(instant), '2025-03-10T13:00:00+00:00');
+  });
+
+  test('round-trips through parseInTimeZone', () => {
+    const instant = new Date('2025-08-01T06:45:00Z');
+    for (const tz of ['UTC', 'Europe/Berlin', 'America/Los_Angeles', 'Australia/Adelaide']) {
+      assert.equal(iso(parseInTimeZone(formatInTimeZone(instant, tz), 'UTC')), iso(instant));
+    }
+  });
+});
+
+describe('isValidTimeZone', () => {
+  test('accepts IANA zones and rejects everything else', () => {
+    assert.equal(isValidTimeZone('Europe/Berlin'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+    assert.equal(isValidTimeZone(''), false);
+    assert.equal(isValidTimeZone(42), false);
+  });
+});
@@ -0,0 +1,15 @@
+//utils/alertChannels/emailChannel.js
+//mails every digest to the user, whatever their notification preferences say
+
+const { sendMail } = require('../mailer');
+
+const createEmailChannel = () => ({
+  deliver: (digest) =>
+    sendMail({
+      to: digest.user.email,
+      subject: digest.title,
+      text: `Hi ${digest.user.name},\n\n${digest.text}`,
+    }),
+});
+
+module.exports = createEmailChannel;
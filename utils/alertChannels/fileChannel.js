@@ -0,0 +1,23 @@
+//utils/alertChannels/fileChannel.js
+//writes every digest to a JSON file instead of sending it (offline development and tests)
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const createFileChannel = () => {
+  const dir = path.resolve(process.env.ALERT_DIR || './tmp/alerts');
+
+  return {
+    deliver: async (digest) => {
+      await fs.mkdir(dir, { recursive: true });
+
+      //timestamp first so files sort in the order they were sent
+      const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...digest, date: new Date() }, null, 2));
+
+      return { file };
+    },
+  };
+};
+
+module.exports = createFileChannel;
@@ -0,0 +1,27 @@
+//utils/alertChannels/index.js
+//where job alert digests go: the digest worker calls deliverDigest() and never cares how.
+//the channel is chosen with ALERT_CHANNEL in .env:
+//  notification - through notify(): in-app + email, following the user's notification preferences (default)
+//  email        - straight to the user's inbox through the mailer
+//  file         - writes each digest as a JSON file into ALERT_DIR (default ./tmp/alerts), for offline runs and tests
+
+const createNotificationChannel = require('./notificationChannel');
+const createEmailChannel = require('./emailChannel');
+const createFileChannel = require('./fileChannel');
+const createDriverRegistry = require('../driverRegistry'); //env-selected driver with a runtime override
+
+//any object with deliver(digest) works as a channel
+const { get: getChannel, set: setChannel } = createDriverRegistry({
+  envVar: 'ALERT_CHANNEL',
+  defaultName: 'notification',
+  factories: {
+    notification: createNotificationChannel,
+    email: createEmailChannel,
+    file: createFileChannel,
+  },
+});
+
+//deliver one digest: { user: { _id, name, email }, title, text, searches: [{ savedSearchId, name, total, jobs }] }
+const deliverDigest = (digest) => getChannel().deliver(digest);
+
+module.exports = { deliverDigest, setChannel };
@@ -0,0 +1,21 @@
+//utils/alertChannels/notificationChannel.js
+//sends digests as 'job_alert.digest' notifications, so the user's in-app/email preferences apply
+
+const { notify } = require('../notifications');
+
+const createNotificationChannel = () => ({
+  deliver: (digest) =>
+    notify(digest.user._id, 'job_alert.digest', {
+      title: digest.title,
+      message: digest.text,
+      data: {
+        searches: digest.searches.map(({ savedSearchId, total, jobs }) => ({
+          savedSearchId,
+          total,
+          jobIds: jobs.map((job) => job._id),
+        })),
+      },
+    }),
+});
+
+module.exports = createNotificationChannel;
@@ -0,0 +1,234 @@
+//utils/analytics.js
+//recruiter analytics: records job detail views and computes views, applications, pipeline
+//conversion, time-to-hire and top sources. every number is an aggregation run inside MongoDB.
+
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const JobView = require('../models/JobView');
+const Application = require('../models/Application');
+const { canManageJob } = require('./jobAccess');
+const { DIRECT_SOURCE, FUNNEL_STAGES, TOP_LIMIT } = require('../config/analytics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+//part as a percentage of whole, one decimal (null when there is nothing to divide by)
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : null);
+
+//normalize a source label: lowercase, at most 50 characters
+const cleanSource = (value) => String(value).trim().toLowerCase().slice(0, 50);
+
+/**
+ * where a visitor came from: an explicit ?source= / ?utm_source= (or body.source),
+ * else the referring site's host name, else 'direct'
+ */
+const trafficSource = (req) => {
+  const explicit = req.query.utm_source || req.query.source || req.body?.source;
+  if (typeof explicit === 'string' && explicit.trim()) return cleanSource(explicit);
+
+  const referrer = req.get('referer');
+  if (referrer) {
+    try {
+      return cleanSource(new URL(referrer).hostname.replace(/^www\./, ''));
+    } catch {
+      //not a valid URL, treat as direct
+    }
+  }
+
+  return DIRECT_SOURCE;
+};
+
+//record one view of a job's detail page. never throws: analytics must not break the page.
+//views by the job's own recruiters (req.user, when logged in) don't count
+const recordJobView = async (req, job) => {
+  try {
+    if (req.user && (await canManageJob(await Job.findById(job._id).select('user companyId'), req.user.userId))) {
+      return;
+    }
+
+    const visitor = crypto
+      .createHash('sha256')
+      .update(`${req.ip}|${req.get('user-agent') || ''}`)
+      .digest('hex');
+
+    await JobView.create({ job: job._id, visitor, source: trafficSource(req) });
+  } catch (err) {
+    console.error('Failed to record job view:', err.message);
+  }
+};
+
+//documents for the given jobs created within [from, to]
+const rangeMatch = (jobIds, from, to) => ({
+  job: { $in: jobIds },
+  createdAt: { $gte: from, $lte: to },
+});
+
+//total views and unique visitors
+const viewTotals = async (jobIds, from, to) => {
+  const [result] = await JobView.aggregate([
+    { $match: rangeMatch(jobIds, from, to) },
+    { $group: { _id: '$visitor', views: { $sum: 1 } } },
+    { $group: { _id: null, views: { $sum: '$views' }, uniqueVisitors: { $sum: 1 } } },
+  ]);
+
+  return { views: result?.views || 0, uniqueVisitors: result?.uniqueVisitors || 0 };
+};
+
+/**
+ * how many applications reached each stage, and the conversion from one stage to the next
+ * an application counts for every stage in its history (a hired candidate also passed screening)
+ */
+const stageConversion = async (jobIds, from, to) => {
+  const counts = await Application.aggregate([
+    { $match: rangeMatch(jobIds, from, to) },
+    { $project: { reached: { $setUnion: ['$history.to', ['$status']] } } },
+    { $unwind: '$reached' },
+    { $group: { _id: '$reached', count: { $sum: 1 } } },
+  ]);
+
+  const reached = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+  const applied = reached.applied || 0;
+
+  return {
+    applications: applied,
+    stages: FUNNEL_STAGES.map((stage, index) => {
+      const count = reached[stage] || 0;
+      const previous = index ? reached[FUNNEL_STAGES[index - 1]] || 0 : applied;
+      return {
+        stage,
+        count,
+        percentOfApplied: percent(count, applied), //share of all applications that got this far
+        percentOfPrevious: percent(count, previous), //share of the previous stage that moved on
+      };
+    }),
+    rejected: reached.rejected || 0,
+  };
+};
+
+//days from application to hire, for candidates hired within [from, to]
+const timeToHire = async (jobIds, from, to) => {
+  const [result] = await Application.aggregate([
+    { $match: { job: { $in: jobIds }, status: 'hired' } },
+    {
+      $project: {
+        createdAt: 1,
+        hiredAt: {
+          $max: {
+            $map: {
+              input: { $filter: { input: '$history', cond: { $eq: ['$$this.to', 'hired'] } } },
+              in: '$$this.changedAt',
+            },
+          },
+        },
+      },
+    },
+    { $match: { hiredAt: { $gte: from, $lte: to } } },
+    { $project: { days: { $divide: [{ $subtract: ['$hiredAt', '$createdAt'] }, DAY_MS] } } },
+    {
+      $group: {
+        _id: null,
+        hires: { $sum: 1 },
+        averageDays: { $avg: '$days' },
+        fastestDays: { $min: '$days' },
+        slowestDays: { $max: '$days' },
+      },
+    },
+  ]);
+
+  const round = (days) => (days == null ? null : Math.round(days * 10) / 10);
+
+  return {
+    hires: result?.hires || 0,
+    averageDays: round(result?.averageDays),
+    fastestDays: round(result?.fastestDays),
+    slowestDays: round(result?.slowestDays),
+  };
+};
+
+//views and applications per source, busiest first, with the view-to-application conversion
+const topSources = async (jobIds, from, to) => {
+  const match = { $match: rangeMatch(jobIds, from, to) };
+  const bySource = { $group: { _id: '$source', count: { $sum: 1 } } };
+
+  const [views, applications] = await Promise.all([
+    JobView.aggregate([match, bySource]),
+    Application.aggregate([match, bySource]),
+  ]);
+
+  const sources = new Map();
+  const entry = (source) => {
+    const key = source || DIRECT_SOURCE; //applications made before sources were tracked
+    if (!sources.has(key)) sources.set(key, { source: key, views: 0, applications: 0 });
+    return sources.get(key);
+  };
+  views.forEach(({ _id, count }) => (entry(_id).views += count));
+  applications.forEach(({ _id, count }) => (entry(_id).applications += count));
+
+  return [...sources.values()]
+    .map((source) => ({
+      ...source,
+      conversionPercent: percent(source.applications, source.views),
+    }))
+    .sort((a, b) => b.applications - a.applications || b.views - a.views)
+    .slice(0, TOP_LIMIT);
+};
+
+//views and applications per job (with title and status), most applications first
+const jobBreakdown = async (jobIds, from, to) => {
+  const match = { $match: rangeMatch(jobIds, from, to) };
+  const byJob = { $group: { _id: '$job', count: { $sum: 1 } } };
+
+  const [views, applications] = await Promise.all([
+    JobView.aggregate([match, byJob]),
+    Application.aggregate([match, byJob]),
+  ]);
+
+  const jobs = new Map();
+  const entry = (jobId) => {
+    const key = jobId.toString();
+    if (!jobs.has(key)) jobs.set(key, { jobId, views: 0, applications: 0 });
+    return jobs.get(key);
+  };
+  views.forEach(({ _id, count }) => (entry(_id).views += count));
+  applications.forEach(({ _id, count }) => (entry(_id).applications += count));
+
+  const top = [...jobs.values()]
+    .sort((a, b) => b.applications - a.applications || b.views - a.views)
+    .slice(0, TOP_LIMIT);
+
+  const details = await Job.find({ _id: { $in: top.map((job) => job.jobId) } }, 'title company status');
+  const byId = new Map(details.map((job) => [job._id.toString(), job]));
+
+  return top.map((entry) => {
+    const job = byId.get(entry.jobId.toString());
+    return { ...entry, title: job?.title, company: job?.company, status: job?.status };
+  });
+};
+
+/**
+ * full report for a set of jobs within [from, to]
+ * withJobs adds the per-job breakdown (for reports covering several jobs)
+ */
+const analyticsReport = async (jobIds, from, to, { withJobs = false } = {}) => {
+  const [views, pipeline, hiring, sources, jobs] = await Promise.all([
+    viewTotals(jobIds, from, to),
+    stageConversion(jobIds, from, to),
+    timeToHire(jobIds, from, to),
+    topSources(jobIds, from, to),
+    withJobs ? jobBreakdown(jobIds, from, to) : null,
+  ]);
+
+  return {
+    range: { from, to },
+    views: views.views,
+    uniqueVisitors: views.uniqueVisitors,
+    applications: pipeline.applications,
+    //share of views that turned into an application
+    viewToApplicationPercent: percent(pipeline.applications, views.views),
+    pipeline: { stages: pipeline.stages, rejected: pipeline.rejected },
+    timeToHire: hiring,
+    topSources: sources,
+    ...(withJobs && { topJobs: jobs }),
+  };
+};
+
+module.exports = { trafficSource, recordJobView, analyticsReport };
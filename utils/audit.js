@@ -0,0 +1,59 @@
+//utils/audit.js
+//records create/update/delete on jobs, users and applications in the append-only audit log,
+//with the acting user, request IP and a field-by-field before/after diff.
+
+const AuditLog = require('../models/AuditLog');
+const { REDACTED_FIELDS, IGNORED_FIELDS } = require('../config/audit');
+
+//plain copy of a document (or an already-plain object); call before changing a document
+const snapshot = (doc) => {
+  if (!doc) return {};
+  return doc.toObject ? doc.toObject({ depopulate: true }) : { ...doc };
+};
+
+//top-level fields that differ between two snapshots; secrets are listed but never stored
+const diff = (before, after) => {
+  const changes = [];
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    if (JSON.stringify(before[field]) === JSON.stringify(after[field])) continue;
+
+    if (REDACTED_FIELDS.includes(field)) {
+      const redact = (value) => (value === undefined ? undefined : '[redacted]');
+      changes.push({ field, before: redact(before[field]), after: redact(after[field]) });
+    } else {
+      changes.push({ field, before: before[field], after: after[field] });
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * append an entry to the audit log. never throws: a failed audit write is logged, not surfaced.
+ * - req: the request that made the change (null for background workers)
+ * - before / after: the record before and after the change (omitted for create / purge)
+ * - actor: who acted, when it isn't the logged-in user (e.g. signup, password reset)
+ */
+const recordAudit = async (req, { action, entityType, before, after, actor }) => {
+  try {
+    const beforeData = snapshot(before);
+    const afterData = snapshot(after);
+
+    await AuditLog.create({
+      entityType,
+      entityId: afterData._id || beforeData._id,
+      action,
+      actor: actor || req?.user?.userId || null,
+      changes: diff(beforeData, afterData),
+      ip: req?.ip,
+      userAgent: req?.get('user-agent'),
+    });
+  } catch (err) {
+    console.error(`Failed to record audit entry (${entityType} ${action}):`, err.message);
+  }
+};
+
+module.exports = { snapshot, diff, recordAudit };
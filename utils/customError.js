@@ -1,14 +1,25 @@
 //utils/customError.js
 //this class extends the built-in Error class to allow us to pass a status code easily.
 class CustomError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, { code, errors } = {}) {
     super(message); //call built-in Error constructor
     this.statusCode = statusCode; //add a custom status code
+    this.code = code; //machine-readable code, e.g. 'VALIDATION_FAILED' (the error handler derives one from the status if missing)
+    this.errors = errors; //per-field problems: [{ field, message, location }]
 
     //maintains proper stack trace for where error was thrown (optional am I doing it right?)
     Error.captureStackTrace(this, this.constructor);
   }
+
+  //turn an express-validator result into a 400 listing the first problem of each failing field
+  static validation(result) {
+    const errors = result.array({ onlyFirstError: true }).map((error) => ({
+      field: error.path ?? null,
+      message: error.msg,
+      location: error.location,
+    }));
+    return new CustomError('Validation failed', 400, { code: 'VALIDATION_FAILED', errors });
+  }
 }
 
 module.exports = CustomError;
-
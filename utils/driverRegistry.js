@@ -0,0 +1,39 @@
+//utils/driverRegistry.js
+//the pluggable parts of the app (mailer transport, file storage, rate-limit store, alert channel,
+//geocoder) are picked the same way: an environment variable names one of a few built-in drivers.
+//the driver is built on first use rather than at require time, so .env has been loaded by the time
+//the variable is read; set() swaps in another implementation at runtime (e.g. a fake one in tests).
+
+//"a", "a or b", "a, b or c"
+const listNames = (names) => (names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names.at(-1)}` : names[0]);
+
+/**
+ * registry for one kind of driver
+ * - envVar: environment variable naming the driver (e.g. 'MAIL_TRANSPORT')
+ * - defaultName: driver used when the variable is not set
+ * - factories: driver name -> function building it
+ * returns { get, set }; get() throws for an unknown driver name
+ */
+const createDriverRegistry = ({ envVar, defaultName, factories }) => {
+  let driver = null;
+
+  const get = () => {
+    if (!driver) {
+      const name = process.env[envVar] || defaultName;
+      const factory = factories[name];
+      if (!factory) {
+        throw new Error(`Unknown ${envVar} "${name}" (expected ${listNames(Object.keys(factories))})`);
+      }
+      driver = factory();
+    }
+    return driver;
+  };
+
+  const set = (customDriver) => {
+    driver = customDriver;
+  };
+
+  return { get, set };
+};
+
+module.exports = createDriverRegistry;
@@ -0,0 +1,5 @@
+//utils/escapeRegex.js
+//escapes user input so it can be used inside a RegExp / $regex as plain text
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
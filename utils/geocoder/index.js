@@ -0,0 +1,27 @@
+//utils/geocoder/index.js
+//turns a free-text location ("NYC", "Austin, TX") into a structured place:
+//  { city, region, country, countryName, lat, lng }  (city/region/lat/lng are null for a country-only match)
+//the geocoder is chosen with GEOCODER in .env:
+//  offline - the bundled city list in config/cities.js, no network (default)
+
+const createOfflineGeocoder = require('./offlineGeocoder');
+const createDriverRegistry = require('../driverRegistry'); //env-selected driver with a runtime override
+
+//any object with an async geocode(text) returning a place or null works as a geocoder
+//(e.g. one backed by a geocoding API)
+const { get: getGeocoder, set: setGeocoder } = createDriverRegistry({
+  envVar: 'GEOCODER',
+  defaultName: 'offline',
+  factories: { offline: createOfflineGeocoder },
+});
+
+//resolve a location; null when it can't be resolved
+const geocode = async (text) => {
+  if (!text || !String(text).trim()) return null;
+  return getGeocoder().geocode(String(text));
+};
+
+//display label, e.g. "Austin, TX, United States" or "Berlin, Germany"
+const placeLabel = (place) => [place.city, place.region, place.countryName].filter(Boolean).join(', ');
+
+module.exports = { geocode, setGeocoder, placeLabel };
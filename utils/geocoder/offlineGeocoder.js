@@ -0,0 +1,105 @@
+//utils/geocoder/offlineGeocoder.js
+//resolves locations against the bundled city list in config/cities.js (no network, no API key).
+//understands "City", "City, Region", "City, Country", "City Region" ("Austin TX"), aliases ("NYC")
+//and plain country names. anything it doesn't know resolves to null.
+
+const { COUNTRIES, REGIONS, CITIES } = require('../../config/cities');
+
+//lowercase, no accents, no punctuation except commas and hyphens, single spaces
+const normalize = (text) =>
+  String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ') //"Berlin (hybrid)"
+    .replace(/\./g, '')
+    .replace(/[^a-z0-9,\- ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+//name → entries, in dataset order (the first entry wins for ambiguous names)
+const addTo = (index, name, entry) => {
+  const key = normalize(name);
+  if (!key) return;
+  if (!index.has(key)) index.set(key, []);
+  if (!index.get(key).includes(entry)) index.get(key).push(entry);
+};
+
+const createOfflineGeocoder = () => {
+  const cities = new Map();
+  for (const entry of CITIES) {
+    addTo(cities, entry.city, entry);
+    entry.aliases.forEach((alias) => addTo(cities, alias, entry));
+  }
+
+  const countries = new Map();
+  for (const [code, { name, aliases }] of Object.entries(COUNTRIES)) {
+    [code, name, ...aliases].forEach((n) => addTo(countries, n, code));
+  }
+
+  //per country: region code or name → region code
+  const regions = {};
+  for (const [country, list] of Object.entries(REGIONS)) {
+    regions[country] = new Map();
+    for (const [code, name] of Object.entries(list)) {
+      addTo(regions[country], code, code);
+      addTo(regions[country], name, code);
+    }
+  }
+
+  //does a qualifier ("tx", "texas", "usa") describe the city's region or country?
+  const qualifies = (entry, qualifier) =>
+    (countries.get(qualifier) || []).includes(entry.country) ||
+    (regions[entry.country]?.get(qualifier) || []).includes(entry.region);
+
+  //first city called name whose region/country fit every qualifier
+  const findCity = (name, qualifiers) =>
+    (cities.get(name) || []).find((entry) => qualifiers.every((q) => qualifies(entry, q))) || null;
+
+  const cityPlace = (entry) => ({
+    city: entry.city,
+    region: entry.region || null,
+    country: entry.country,
+    countryName: COUNTRIES[entry.country].name,
+    lat: entry.lat,
+    lng: entry.lng,
+  });
+
+  const countryPlace = (code) => ({
+    city: null,
+    region: null,
+    country: code,
+    countryName: COUNTRIES[code].name,
+    lat: null,
+    lng: null,
+  });
+
+  return {
+    geocode: async (text) => {
+      const parts = normalize(text).split(',').map((part) => part.trim()).filter(Boolean);
+      if (!parts.length) return null;
+
+      //"Washington, DC" / "New York City" as a whole, then "City, qualifiers..."
+      const whole = findCity(parts.join(' '), []);
+      if (whole) return cityPlace(whole);
+
+      const [first, ...qualifiers] = parts;
+      let entry = findCity(first, qualifiers);
+
+      //no comma: "Austin TX", "Portland Maine", "Berlin Germany"
+      if (!entry && !qualifiers.length) {
+        const words = first.split(' ');
+        for (let cut = words.length - 1; cut > 0 && !entry; cut--) {
+          entry = findCity(words.slice(0, cut).join(' '), [words.slice(cut).join(' ')]);
+        }
+      }
+      if (entry) return cityPlace(entry);
+
+      //only a country ("Germany", "Remote, USA"): no coordinates, but the country still filters
+      const country = countries.get(parts[parts.length - 1]);
+      return country ? countryPlace(country[0]) : null;
+    },
+  };
+};
+
+module.exports = createOfflineGeocoder;
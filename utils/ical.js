@@ -0,0 +1,64 @@
+//utils/ical.js
+//builds iCalendar (.ics, RFC 5545) invites. times are written in UTC ("...Z"),
+//so every calendar app shows them correctly in the reader's own time zone.
+
+//escape text values (commas, semicolons, backslashes and newlines are special)
+const escapeText = (value = '') =>
+  String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+//20250310T130000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+//lines longer than 75 octets must be folded onto continuation lines starting with a space
+const fold = (line) => {
+  const bytes = Buffer.from(line);
+  if (bytes.length <= 75) return line;
+
+  const chunks = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+    //don't split a multi-byte UTF-8 character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    chunks.push(bytes.subarray(start, end).toString());
+    start = end;
+  }
+  return chunks.join('\r\n ');
+};
+
+/**
+ * build a calendar with one event
+ * event: { uid, start, end, summary, description, location, url, organizer: { name, email },
+ *          attendees: [{ name, email }], status: 'CONFIRMED' | 'CANCELLED', sequence, method }
+ */
+const buildInvite = (event) => {
+  //parameter values are quoted, and may not contain quotes themselves
+  const person = ({ name, email }) => `CN="${String(name || email).replace(/["\r\n]/g, '')}":mailto:${email}`;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Gencruit//Interviews//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${event.method || (event.status === 'CANCELLED' ? 'CANCEL' : 'REQUEST')}`,
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(event.start)}`,
+    `DTEND:${formatDate(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    event.description && `DESCRIPTION:${escapeText(event.description)}`,
+    event.location && `LOCATION:${escapeText(event.location)}`,
+    event.url && `URL:${event.url}`,
+    event.organizer && `ORGANIZER;${person(event.organizer)}`,
+    ...(event.attendees || []).map((a) => `ATTENDEE;ROLE=REQ-PARTICIPANT;${person(a)}`),
+    `STATUS:${event.status || 'CONFIRMED'}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].filter(Boolean);
+
+  return lines.map(fold).join('\r\n') + '\r\n';
+};
+
+module.exports = { buildInvite };
@@ -0,0 +1,77 @@
+//utils/jobAccess.js
+//who may manage a job: for a company job, the recruiters currently in that company (the poster
+//loses access when they leave it); for a job without a company, the recruiter who posted it.
+//the *For helpers combine this with a permission scope: ':any' reaches every job, ':own' only managed ones.
+
+const Company = require('../models/Company');
+const Job = require('../models/Job');
+const CustomError = require('./customError');
+const { scopeOf } = require('./permissions');
+
+//ids of every company the user belongs to (owner or member)
+const companyIdsForUser = (userId) => Company.find({ 'members.user': userId }).distinct('_id');
+
+//mongo filter matching every job the user is allowed to manage
+const manageableJobsFilter = async (userId) => {
+  const companyIds = await companyIdsForUser(userId);
+  return { $or: [{ user: userId, companyId: null }, { companyId: { $in: companyIds } }] };
+};
+
+//check an already-loaded job document
+const canManageJob = async (job, userId) => {
+  if (!job) return false;
+  if (!job.companyId) return Boolean(job.user && job.user.toString() === userId.toString());
+  return Boolean(await Company.exists({ _id: job.companyId, 'members.user': userId }));
+};
+
+//mongo filter for the jobs req.user may act on with a permission (e.g. 'job:update')
+const jobsFilterFor = async (user, action) => {
+  const scope = scopeOf(user.role, action);
+  if (scope === 'any') return {};
+  if (scope === 'own') return manageableJobsFilter(user.userId);
+  return { _id: null }; //matches nothing
+};
+
+//find one job by id, only if req.user may act on it with the permission (null otherwise)
+const findJobFor = async (user, action, jobId) =>
+  Job.findOne({ _id: jobId, ...(await jobsFilterFor(user, action)) });
+
+//check an already-loaded job document against a permission
+const canActOnJob = async (user, action, job) => {
+  const scope = scopeOf(user.role, action);
+  if (scope === 'any') return Boolean(job);
+  if (scope === 'own') return canManageJob(job, user.userId);
+  return false;
+};
+
+//load a company the user belongs to; jobs can only be attached to a company the recruiter is a member of
+const findMemberCompany = async (companyId, userId) => {
+  const company = await Company.findById(companyId);
+
+  if (!company) {
+    throw new CustomError('Company not found', 404);
+  }
+  if (!company.memberFor(userId)) {
+    throw new CustomError('You are not a member of this company', 403);
+  }
+
+  return company;
+};
+
+//ids of every user who may manage a job (the current members of its company, or the poster)
+const jobManagerIds = async (job) => {
+  if (!job.companyId) return [job.user.toString()];
+  const company = await Company.findById(job.companyId).select('members.user');
+  return company ? [...new Set(company.members.map((m) => m.user.toString()))] : [];
+};
+
+module.exports = {
+  companyIdsForUser,
+  manageableJobsFilter,
+  canManageJob,
+  jobsFilterFor,
+  findJobFor,
+  canActOnJob,
+  findMemberCompany,
+  jobManagerIds,
+};
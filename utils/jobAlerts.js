@@ -0,0 +1,138 @@
+//utils/jobAlerts.js
+//job alerts for saved searches: finds jobs published since a search's last digest and sends
+//each candidate one digest covering all of their searches that are due. run by the digest worker.
+
+const Job = require('../models/Job');
+const User = require('../models/User');
+const SavedSearch = require('../models/SavedSearch');
+const { buildJobQuery } = require('./jobQuery');
+const { PUBLISHED_JOB_FILTER } = require('./jobLifecycle');
+const { deliverDigest } = require('./alertChannels');
+const { DIGEST_PERIOD_MS, DIGEST_MAX_JOBS } = require('../config/jobAlerts');
+
+//what a digest shows about each job
+const DIGEST_JOB_FIELDS = 'title company location remotePolicy employmentType salary publishedAt applicationDeadline';
+
+//published jobs matching a saved search's filters (same rules as GET /api/jobs)
+const savedSearchQuery = async (filters, baseQuery = PUBLISHED_JOB_FILTER) =>
+  (await buildJobQuery(baseQuery, filters || {})).query;
+
+//jobs matching the search that were published in (since, until]: { total, jobs } (newest first, capped)
+const newJobsFor = async (savedSearch, since, until) => {
+  const query = await savedSearchQuery(savedSearch.filters, {
+    ...PUBLISHED_JOB_FILTER,
+    publishedAt: { $gt: since, $lte: until },
+  });
+
+  const [total, jobs] = await Promise.all([
+    Job.countDocuments(query),
+    Job.find(query, DIGEST_JOB_FIELDS).sort({ publishedAt: -1 }).limit(DIGEST_MAX_JOBS),
+  ]);
+
+  return { total, jobs };
+};
+
+//searches whose period has passed since their last digest
+const dueSearchesFilter = (now) => ({
+  $or: Object.entries(DIGEST_PERIOD_MS).map(([frequency, period]) => ({
+    frequency,
+    lastDigestAt: { $lte: new Date(now.getTime() - period) },
+  })),
+});
+
+//plain-text body listing the new jobs per search
+const digestText = (searches) =>
+  searches
+    .map(({ name, total, jobs }) => {
+      const lines = jobs.map((job) => `  • ${job.title} at ${job.company}${job.location ? ` (${job.location})` : ''}`);
+      if (total > jobs.length) lines.push(`  ...and ${total - jobs.length} more`);
+      return `"${name}": ${total} new job${total === 1 ? '' : 's'}\n${lines.join('\n')}`;
+    })
+    .join('\n\n');
+
+/**
+ * send one user the digest for their due searches
+ * each search is claimed first (lastDigestAt moved to now) so an overlapping run can't send it twice;
+ * if delivery fails the claims are undone and the next run tries again.
+ * returns true if a digest was sent (nothing is sent when no search has new jobs)
+ */
+const sendUserDigest = async (userId, searches, now) => {
+  //deleted and suspended users get no alerts (their searches still move forward)
+  const user = await User.findOne({ _id: userId, status: 'active' }).select('name email');
+
+  const claimed = [];
+  const sections = [];
+  for (const savedSearch of searches) {
+    const claim = await SavedSearch.updateOne(
+      { _id: savedSearch._id, lastDigestAt: savedSearch.lastDigestAt },
+      { $set: { lastDigestAt: now } }
+    );
+    if (!claim.modifiedCount || !user) continue;
+    claimed.push(savedSearch);
+
+    const { total, jobs } = await newJobsFor(savedSearch, savedSearch.lastDigestAt, now);
+    if (total) {
+      sections.push({ savedSearchId: savedSearch._id, name: savedSearch.name, total, jobs });
+    }
+  }
+
+  if (!sections.length) return false;
+
+  const totalJobs = sections.reduce((sum, section) => sum + section.total, 0);
+  try {
+    await deliverDigest({
+      user: { _id: user._id, name: user.name, email: user.email },
+      title: `${totalJobs} new job${totalJobs === 1 ? '' : 's'} matching your saved searches`,
+      text: digestText(sections),
+      searches: sections,
+    });
+  } catch (err) {
+    await Promise.all(
+      claimed.map((savedSearch) =>
+        SavedSearch.updateOne(
+          { _id: savedSearch._id, lastDigestAt: now },
+          { $set: { lastDigestAt: savedSearch.lastDigestAt } }
+        )
+      )
+    );
+    throw err;
+  }
+
+  return true;
+};
+
+/**
+ * send every digest that is due
+ * one user's failure doesn't stop the others; returns how many digests were sent and failed
+ */
+const sendDueDigests = async (now = new Date()) => {
+  let sent = 0;
+  let failed = 0;
+
+  //sorted by user, so each user's due searches arrive next to each other
+  const cursor = SavedSearch.find(dueSearchesFilter(now)).sort({ user: 1, _id: 1 }).cursor();
+
+  let userId = null;
+  let batch = [];
+  const flush = async () => {
+    if (!batch.length) return;
+    try {
+      if (await sendUserDigest(userId, batch, now)) sent++;
+    } catch (err) {
+      failed++;
+      console.error(`Failed to send job alert digest to user ${userId}:`, err.message);
+    }
+    batch = [];
+  };
+
+  for await (const savedSearch of cursor) {
+    if (userId && savedSearch.user.toString() !== userId) await flush();
+    userId = savedSearch.user.toString();
+    batch.push(savedSearch);
+  }
+  await flush();
+
+  return { sent, failed };
+};
+
+module.exports = { savedSearchQuery, newJobsFor, sendDueDigests };
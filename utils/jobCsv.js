@@ -0,0 +1,101 @@
+//utils/jobCsv.js
+//the flat CSV layout of a job, shared by import and export so an export can be imported back.
+//salary becomes four columns and skills a comma-separated list.
+//text cells that a spreadsheet would run as a formula are exported with a leading ' (and read back without it).
+
+//columns read on import (in export order)
+const JOB_CSV_COLUMNS = [
+  'title',
+  'company',
+  'companyId',
+  'description',
+  'location',
+  'employmentType',
+  'seniority',
+  'remotePolicy',
+  'skills',
+  'salaryMin',
+  'salaryMax',
+  'salaryCurrency',
+  'salaryPeriod',
+  'applicationDeadline',
+  'status',
+  'publishAt',
+];
+
+//export adds read-only columns around them
+const JOB_EXPORT_COLUMNS = ['id', ...JOB_CSV_COLUMNS, 'createdAt', 'updatedAt'];
+
+//salary sub-fields and their columns
+const SALARY_COLUMNS = {
+  min: 'salaryMin',
+  max: 'salaryMax',
+  currency: 'salaryCurrency',
+  period: 'salaryPeriod',
+};
+
+//cells starting like a formula (=, +, -, @, tab, CR) are run by spreadsheets ("CSV injection")
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+//text cell as exported: formula-like values get a ' in front so spreadsheets show them as text
+const escapeCell = (value) => (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+
+//undo escapeCell on import
+const unescapeCell = (value) =>
+  typeof value === 'string' && value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+
+/**
+ * turn a parsed CSV row into a job payload shaped like the create route's body
+ * empty cells are left out so they count as "not provided"
+ */
+const csvRowToJob = (row) => {
+  const job = {};
+
+  for (const column of JOB_CSV_COLUMNS) {
+    if (Object.values(SALARY_COLUMNS).includes(column)) continue;
+    const value = unescapeCell(row[column]);
+    if (value !== undefined && value !== '') job[column] = value;
+  }
+
+  const salary = {};
+  for (const [field, column] of Object.entries(SALARY_COLUMNS)) {
+    if (row[column] !== undefined && row[column] !== '') salary[field] = unescapeCell(row[column]);
+  }
+  if (Object.keys(salary).length) job.salary = salary;
+
+  return job;
+};
+
+//ISO string for dates, '' when missing
+const dateCell = (date) => (date ? new Date(date).toISOString() : '');
+
+//turn a job (document or lean object) into a CSV record keyed by JOB_EXPORT_COLUMNS
+const jobToCsvRow = (job) => {
+  const salary = job.salary || {};
+
+  const row = {
+    id: String(job._id),
+    title: job.title,
+    company: job.company,
+    companyId: job.companyId ? String(job.companyId) : '',
+    description: job.description,
+    location: job.location,
+    employmentType: job.employmentType || '',
+    seniority: job.seniority || '',
+    remotePolicy: job.remotePolicy || '',
+    skills: (job.skills || []).join(', '),
+    salaryMin: salary.min ?? '',
+    salaryMax: salary.max ?? '',
+    salaryCurrency: salary.currency || '',
+    salaryPeriod: salary.period || '',
+    applicationDeadline: dateCell(job.applicationDeadline),
+    status: job.status || '',
+    publishAt: dateCell(job.publishAt),
+    createdAt: dateCell(job.createdAt),
+    updatedAt: dateCell(job.updatedAt),
+  };
+
+  return Object.fromEntries(Object.entries(row).map(([column, value]) => [column, escapeCell(value)]));
+};
+
+module.exports = { JOB_CSV_COLUMNS, JOB_EXPORT_COLUMNS, csvRowToJob, jobToCsvRow };
@@ -0,0 +1,44 @@
+//utils/jobExport.js
+//streams jobs straight from a database cursor to the response as CSV or JSON,
+//so large exports never sit in memory.
+
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { stringify } = require('csv-stringify');
+const { JOB_EXPORT_COLUMNS, jobToCsvRow } = require('./jobCsv');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+//JSON array, written one job at a time
+async function* jsonChunks(cursor) {
+  let first = true;
+  yield '[';
+  for await (const job of cursor) {
+    yield (first ? '\n' : ',\n') + JSON.stringify(job);
+    first = false;
+  }
+  yield first ? ']' : '\n]';
+}
+
+/**
+ * send every job from the cursor as a download named jobs-<date>.<format>
+ * once streaming has started errors can't be reported, so the connection is cut instead
+ */
+const streamJobs = async (res, cursor, format) => {
+  const filename = `jobs-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    const toRow = new Transform({
+      objectMode: true,
+      transform: (job, encoding, done) => done(null, jobToCsvRow(job)),
+    });
+    await pipeline(cursor, toRow, stringify({ header: true, columns: JOB_EXPORT_COLUMNS }), res);
+  } else {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    await pipeline(Readable.from(jsonChunks(cursor)), res);
+  }
+};
+
+module.exports = { EXPORT_FORMATS, streamJobs };
@@ -0,0 +1,63 @@
+//utils/jobFields.js
+//which job fields clients may write, how a new job is built and how a partial update is applied.
+
+const { DEFAULT_JOB_STATUS } = require('../config/jobLifecycle');
+
+//plain fields copied as-is from the request body (company/companyId are handled by the routes)
+const EDITABLE_JOB_FIELDS = [
+  'title',
+  'description',
+  'location',
+  'employmentType',
+  'seniority',
+  'remotePolicy',
+  'skills',
+  'applicationDeadline',
+];
+
+//pick the writable fields from a (validated) request body
+const pickJobFields = (source) => {
+  const fields = {};
+  for (const key of EDITABLE_JOB_FIELDS) {
+    if (source[key] !== undefined) fields[key] = source[key];
+  }
+  if (source.salary !== undefined) fields.salary = source.salary;
+  return fields;
+};
+
+/**
+ * fields for a new job from a (validated) create payload
+ * linkedCompany is the company the poster picked (its name is used), or null for a free-text company
+ */
+const newJobFields = (source, linkedCompany, userId) => {
+  //a scheduled job stays a draft until the sweeper publishes it
+  const status = source.publishAt ? 'draft' : source.status || DEFAULT_JOB_STATUS;
+
+  return {
+    ...pickJobFields(source),
+    company: linkedCompany ? linkedCompany.name : source.company,
+    companyId: linkedCompany ? linkedCompany._id : undefined,
+    status,
+    publishAt: source.publishAt || null,
+    publishedAt: status === 'published' ? new Date() : undefined,
+    user: userId,
+  };
+};
+
+//update only the provided fields; a partial salary is merged into the existing range
+const applyJobChanges = (job, source) => {
+  const { salary, ...fields } = pickJobFields(source);
+
+  for (const [key, value] of Object.entries(fields)) {
+    job[key] = value;
+  }
+
+  if (salary !== undefined) {
+    const current = job.salary ? job.salary.toObject() : {};
+    job.salary = { ...current, ...salary };
+  }
+
+  return job;
+};
+
+module.exports = { EDITABLE_JOB_FIELDS, pickJobFields, newJobFields, applyJobChanges };
@@ -0,0 +1,117 @@
+//utils/jobImport.js
+//bulk job import: reads the rows of a CSV/JSON upload (or JSON body) and validates each one with
+//the same rules as POST /api/jobs, so every problem can be reported per row before anything is saved.
+
+const { parse } = require('csv-parse/sync');
+const { validationResult } = require('express-validator');
+const CustomError = require('./customError');
+const { jobRules } = require('../validators/jobValidators');
+const { csvRowToJob } = require('./jobCsv');
+const { findMemberCompany } = require('./jobAccess');
+const { newJobFields } = require('./jobFields');
+
+//most rows accepted in one import
+const MAX_IMPORT_ROWS = parseInt(process.env.JOB_IMPORT_MAX_ROWS, 10) || 1000;
+
+/**
+ * rows to import, as job payloads shaped like the create route's body
+ * - CSV file: one job per line, with a header row (see utils/jobCsv.js for the columns)
+ * - JSON file or body: an array of jobs, or { jobs: [...] }
+ */
+const readImportRows = (req) => {
+  let rows;
+
+  if (req.importFormat === 'csv') {
+    try {
+      rows = parse(req.file.buffer, { columns: true, bom: true, skip_empty_lines: true, trim: true });
+    } catch (err) {
+      throw new CustomError(`Could not read CSV file: ${err.message}`, 400);
+    }
+    rows = rows.map(csvRowToJob);
+  } else {
+    let data = req.body;
+    if (req.file) {
+      try {
+        data = JSON.parse(req.file.buffer.toString('utf8'));
+      } catch (err) {
+        throw new CustomError(`Could not read JSON file: ${err.message}`, 400);
+      }
+    }
+    rows = Array.isArray(data) ? data : data?.jobs;
+    if (!Array.isArray(rows)) {
+      throw new CustomError('Provide the jobs as a JSON array or as { "jobs": [...] }', 400);
+    }
+  }
+
+  if (!rows.length) {
+    throw new CustomError('The import contains no jobs', 400);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new CustomError(`An import can contain at most ${MAX_IMPORT_ROWS} jobs`, 400);
+  }
+
+  return rows;
+};
+
+//run the create-route rules against one row; returns the sanitized payload and its errors
+const validateRow = async (row) => {
+  //the chains only read the request locations, so a minimal request object is enough
+  const req = { body: row && typeof row === 'object' && !Array.isArray(row) ? { ...row } : {} };
+  for (const rule of jobRules()) {
+    await rule.run(req);
+  }
+
+  const errors = validationResult(req)
+    .array({ onlyFirstError: true })
+    .map((error) => ({ field: error.path, message: error.msg }));
+
+  return { body: req.body, errors };
+};
+
+/**
+ * validate every row for the given user
+ * returns { jobs, invalid, errors }: jobs are ready-to-insert documents for the valid rows, invalid is
+ * how many rows failed and errors lists their problems in the error handler's shape, with the row in
+ * the field path: { field: 'rows[3].title', message, location: 'body' } (rows are counted from 0)
+ */
+const prepareImport = async (rows, userId) => {
+  const jobs = [];
+  const errors = [];
+  let invalid = 0;
+  const companies = new Map(); //companyId -> company or error message, checked once per import
+
+  for (const [index, row] of rows.entries()) {
+    const { body, errors: rowErrors } = await validateRow(row);
+
+    let linkedCompany = null;
+    if (!rowErrors.length && body.companyId) {
+      const id = String(body.companyId);
+      if (!companies.has(id)) {
+        companies.set(
+          id,
+          await findMemberCompany(id, userId).catch((err) => {
+            if (err instanceof CustomError) return err.message;
+            throw err;
+          })
+        );
+      }
+      linkedCompany = companies.get(id);
+      if (typeof linkedCompany === 'string') {
+        rowErrors.push({ field: 'companyId', message: linkedCompany });
+      }
+    }
+
+    if (rowErrors.length) {
+      invalid++;
+      errors.push(
+        ...rowErrors.map(({ field, message }) => ({ field: `rows[${index}].${field}`, message, location: 'body' }))
+      );
+    } else {
+      jobs.push(newJobFields(body, linkedCompany, userId));
+    }
+  }
+
+  return { jobs, invalid, errors };
+};
+
+module.exports = { MAX_IMPORT_ROWS, readImportRows, prepareImport };
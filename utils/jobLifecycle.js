@@ -0,0 +1,136 @@
+//utils/jobLifecycle.js
+//moves jobs between lifecycle statuses (draft, published, paused, closed, expired), and
+//soft-deletes/restores them. used by the job and admin routes and by the sweeper.
+
+const Job = require('../models/Job');
+const CustomError = require('./customError');
+const { JOB_TRANSITIONS, canTransitionJob } = require('../config/jobLifecycle');
+const { emitWebhookEvent, serializeJob } = require('./webhooks');
+const { recordAudit, snapshot } = require('./audit');
+
+//public listings, recommendations and applications only see published jobs
+const PUBLISHED_JOB_FILTER = { status: 'published' };
+
+//jobs whose deadline has not passed yet
+const openDeadlineFilter = (now) => ({
+  $or: [{ applicationDeadline: null }, { applicationDeadline: { $gt: now } }],
+});
+
+/**
+ * move a job to another status and return the updated job
+ * with publishAt in the future, publishing a draft only schedules it (the sweeper publishes it later).
+ * throws a 409 CustomError for moves the lifecycle doesn't allow or concurrent changes.
+ * req is the request that asked for the change (omitted for the sweeper), for the audit trail.
+ */
+const changeJobStatus = async (job, to, { publishAt, req = null } = {}) => {
+  const from = job.status;
+  const now = new Date();
+  const $set = { statusChangedAt: now };
+
+  if (to === 'published' && publishAt && publishAt > now) {
+    //scheduling: the job stays a draft until publishAt
+    if (from !== 'draft') {
+      throw new CustomError('Only draft jobs can be scheduled for publishing', 409);
+    }
+    if (job.applicationDeadline && job.applicationDeadline <= publishAt) {
+      throw new CustomError('The job would be published after its application deadline', 409);
+    }
+    $set.publishAt = publishAt;
+  } else {
+    if (!canTransitionJob(from, to)) {
+      const allowed = JOB_TRANSITIONS[from] || [];
+      throw new CustomError(
+        `Cannot move job from '${from}' to '${to}'` +
+          (allowed.length ? ` (allowed: ${allowed.join(', ')})` : ` ('${from}' is a final status)`),
+        409
+      );
+    }
+    //it would be expired again by the next sweep
+    if (to === 'published' && job.applicationDeadline && job.applicationDeadline <= now) {
+      throw new CustomError('Extend the application deadline before publishing this job', 409);
+    }
+
+    $set.status = to;
+    $set.publishAt = null; //a manual change replaces any pending schedule
+    if (to === 'published') $set.publishedAt = now;
+    if (to === 'closed') $set.closedAt = now;
+  }
+
+  //only update if nobody changed the status since we read it
+  const updated = await Job.findOneAndUpdate(
+    { _id: job._id, status: from },
+    { $set },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw new CustomError('Job status was changed by someone else, please retry', 409);
+  }
+
+  await recordAudit(req, { action: 'update', entityType: 'job', before: job, after: updated });
+
+  //subscribers see status changes as regular job updates
+  emitWebhookEvent('job.updated', updated, { job: serializeJob(updated), previousStatus: from });
+
+  return updated;
+};
+
+/**
+ * apply moves in bulk for the sweeper; jobs that can no longer move (changed meanwhile) are skipped
+ * returns how many jobs were moved
+ */
+const sweep = async (query, to) => {
+  let moved = 0;
+
+  for await (const job of Job.find(query)) {
+    try {
+      await changeJobStatus(job, to);
+      moved++;
+    } catch (err) {
+      if (!(err instanceof CustomError)) throw err;
+    }
+  }
+
+  return moved;
+};
+
+//publish drafts whose publishAt has come (skipping any whose deadline passed meanwhile)
+const publishScheduledJobs = (now = new Date()) =>
+  sweep({ status: 'draft', publishAt: { $ne: null, $lte: now }, ...openDeadlineFilter(now) }, 'published');
+
+//expire live jobs past their application deadline
+const expireOverdueJobs = (now = new Date()) =>
+  sweep({ status: { $in: ['published', 'paused'] }, applicationDeadline: { $lte: now } }, 'expired');
+
+/**
+ * soft-delete a job, record it and notify webhooks; returns the job
+ * by defaults to the logged-in user; deletedAt lets a cascade share its owner's timestamp
+ */
+const deleteJob = async (job, req, { by = req?.user?.userId, deletedAt } = {}) => {
+  const before = snapshot(job);
+  await job.softDelete(by, deletedAt).save();
+  await recordAudit(req, { action: 'delete', entityType: 'job', before, after: job });
+
+  emitWebhookEvent('job.deleted', job, { job: serializeJob(job) });
+  return job;
+};
+
+//undo a soft delete, record it and notify webhooks; returns the job
+const restoreJob = async (job, req) => {
+  const before = snapshot(job);
+  await job.restore().save();
+  await recordAudit(req, { action: 'restore', entityType: 'job', before, after: job });
+
+  emitWebhookEvent('job.restored', job, { job: serializeJob(job) });
+  return job;
+};
+
+module.exports = {
+  PUBLISHED_JOB_FILTER,
+  openDeadlineFilter,
+  changeJobStatus,
+  deleteJob,
+  restoreJob,
+  publishScheduledJobs,
+  expireOverdueJobs,
+};
@@ -0,0 +1,239 @@
+//utils/jobQuery.js
+//turns the job listing query string (search, company, location, radius, salary, attribute filters, sort)
+//into a MongoDB filter and sort. used by every job listing so filters behave the same everywhere.
+
+const escapeRegex = require('./escapeRegex');
+const { toSkillList } = require('../validators/jobValidators');
+const { MAX_SEARCH_LENGTH, parseSearch } = require('./textSearch');
+const CustomError = require('./customError');
+const { geocode } = require('./geocoder');
+const {
+  SORT_FIELDS,
+  MAX_SORT_KEYS,
+  SELECTABLE_FIELDS,
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+} = require('../config/jobListing');
+
+const EARTH_RADIUS_KM = 6378.1;
+
+//400 in the same shape as a failed express-validator check on a query parameter
+const invalidParam = (field, message) =>
+  new CustomError(message, 400, {
+    code: 'VALIDATION_FAILED',
+    errors: [{ field, message, location: 'query' }],
+  });
+
+//comma-separated query value as a list without blanks or repeats
+const toParamList = (value) => [...new Set(String(value).split(',').map((v) => v.trim()).filter(Boolean))];
+
+/**
+ * read ?sort= into { sortBy, keys, spec }
+ * - relevance (default when searching): text score, newest first on ties; keys is null
+ * - newest (default otherwise): same as sort=-createdAt
+ * - a list of SORT_FIELDS, "-" for descending, e.g. -salary.max,createdAt
+ * _id is always the last key so the order is stable (cursor pagination relies on it)
+ */
+const parseJobSort = (sort, searching) => {
+  const value = sort ? String(sort).trim() : '';
+
+  if ((!value || value === 'relevance') && searching) {
+    return {
+      sortBy: 'relevance',
+      keys: null,
+      spec: { score: { $meta: 'textScore' }, createdAt: -1, _id: -1 },
+    };
+  }
+
+  //relevance without a search has no score to sort by, so it falls back to newest
+  const sortBy = !value || value === 'relevance' || value === 'newest' ? '-createdAt' : value;
+  const keys = toParamList(sortBy).map((key) => ({
+    field: key.replace(/^[-+]/, ''),
+    direction: key.startsWith('-') ? -1 : 1,
+  }));
+
+  const unknown = keys.filter((key) => !SORT_FIELDS.includes(key.field)).map((key) => key.field);
+  if (unknown.length) {
+    throw invalidParam('sort', `Cannot sort by ${unknown.join(', ')} (allowed: relevance, newest, ${SORT_FIELDS.join(', ')})`);
+  }
+  if (keys.length > MAX_SORT_KEYS || new Set(keys.map((key) => key.field)).size !== keys.length) {
+    throw invalidParam('sort', `Sort by at most ${MAX_SORT_KEYS} different fields`);
+  }
+
+  const spec = Object.fromEntries(keys.map(({ field, direction }) => [field, direction]));
+  spec._id = keys[keys.length - 1].direction;
+
+  //normalized, e.g. "+title, -createdAt" → "title,-createdAt" ("-createdAt" alone is reported as newest)
+  const normalized = keys.map(({ field, direction }) => `${direction < 0 ? '-' : ''}${field}`).join(',');
+
+  return { sortBy: normalized === '-createdAt' ? 'newest' : normalized, keys, spec };
+};
+
+//?fields= as a list of SELECTABLE_FIELDS (null when not given, i.e. every field)
+const selectJobFields = (fields) => {
+  if (fields === undefined || fields === '') return null;
+
+  const list = toParamList(fields);
+  const unknown = list.filter((field) => !SELECTABLE_FIELDS.includes(field));
+  if (unknown.length) {
+    throw invalidParam('fields', `Unknown fields: ${unknown.join(', ')} (allowed: ${SELECTABLE_FIELDS.join(', ')})`);
+  }
+  return list;
+};
+
+//geocode without failing the listing: a lookup error counts as "not resolved"
+const tryGeocode = async (text) => {
+  try {
+    return await geocode(text);
+  } catch (err) {
+    console.error(`Failed to geocode "${text}":`, err.message);
+    return null;
+  }
+};
+
+//jobs whose place is the given one: the same city, or the same country for a country-only place
+const samePlaceFilter = (place) =>
+  place.city
+    ? { 'place.city': place.city, 'place.country': place.country, ...(place.region && { 'place.region': place.region }) }
+    : { 'place.country': place.country };
+
+//?near= as [lng, lat]: "40.71,-74.00" or a place name the geocoder knows
+const readNear = async (near) => {
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(near);
+  if (match) {
+    const [lat, lng] = [Number(match[1]), Number(match[2])];
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw invalidParam('near', 'near must be lat,lng with latitude -90..90 and longitude -180..180');
+    }
+    return [lng, lat];
+  }
+
+  const place = await tryGeocode(near);
+  if (!place || place.lat == null) {
+    throw invalidParam('near', `Unknown place "${near}", use near=lat,lng or a city name`);
+  }
+  return [place.lng, place.lat];
+};
+
+//?radiusKm= as a number of kilometres (DEFAULT_RADIUS_KM when missing)
+const readRadius = (radiusKm) => {
+  if (radiusKm === undefined || radiusKm === '') return DEFAULT_RADIUS_KM;
+  const value = Number(radiusKm);
+  if (!Number.isFinite(value) || value <= 0 || value > MAX_RADIUS_KM) {
+    throw invalidParam('radiusKm', `radiusKm must be a number between 0 and ${MAX_RADIUS_KM}`);
+  }
+  return value;
+};
+
+/**
+ * build { query, sort, sortBy, sortKeys, search } for a job listing
+ * - baseQuery: scope decided by the route (e.g. jobs the user manages)
+ * - params: req.query
+ * search is the parsed search string (or null), useful for highlighting results;
+ * sortKeys are the sort fields for cursor pagination (null when sorted by relevance)
+ */
+const buildJobQuery = async (baseQuery, params) => {
+  const {
+    search = '',
+    company,
+    location,
+    near,
+    radiusKm,
+    salaryMin,
+    salaryMax,
+    currency,
+    employmentType,
+    seniority,
+    remote,
+    remotePolicy,
+    skills,
+    status,
+    sort, //relevance | newest | field list, see parseJobSort
+  } = params;
+
+  const filters = {};
+  const and = [];
+
+  //Company is a plain-text "contains" filter (input is escaped, never raw regex)
+  if (company) {
+    filters.company = { $regex: escapeRegex(company), $options: 'i' };
+  }
+
+  //Location matches jobs in the same place when the geocoder knows it ("NYC" finds "New York, NY"),
+  //plus jobs whose location text contains it (jobs without a resolved place)
+  if (location) {
+    const text = { location: { $regex: escapeRegex(location), $options: 'i' } };
+    const place = await tryGeocode(location);
+    and.push(place ? { $or: [samePlaceFilter(place), text] } : text);
+  }
+
+  //Radius search around a point (jobs without coordinates are left out)
+  if (near) {
+    const center = await readNear(near);
+    and.push({
+      'place.point': { $geoWithin: { $centerSphere: [center, readRadius(radiusKm) / EARTH_RADIUS_KM] } },
+    });
+  }
+
+  //Salary range filters: the job's range must reach salaryMin and start at or below salaryMax
+  if (salaryMin !== undefined && !Number.isNaN(Number(salaryMin))) {
+    and.push({
+      $or: [
+        { 'salary.max': { $gte: Number(salaryMin) } },
+        { 'salary.max': null, 'salary.min': { $gte: Number(salaryMin) } },
+      ],
+    });
+  }
+  if (salaryMax !== undefined && !Number.isNaN(Number(salaryMax))) {
+    filters['salary.min'] = { $lte: Number(salaryMax) };
+  }
+  if (currency) {
+    filters['salary.currency'] = String(currency).toUpperCase();
+  }
+
+  //Comma-separated lists match any of the given values (e.g. seniority=mid,senior)
+  if (employmentType) {
+    filters.employmentType = { $in: String(employmentType).split(',') };
+  }
+  if (seniority) {
+    filters.seniority = { $in: String(seniority).split(',') };
+  }
+
+  //remote=true is a shortcut for remotePolicy=remote
+  if (remotePolicy) {
+    filters.remotePolicy = { $in: String(remotePolicy).split(',') };
+  } else if (remote === 'true') {
+    filters.remotePolicy = 'remote';
+  } else if (remote === 'false') {
+    filters.remotePolicy = { $ne: 'remote' };
+  }
+
+  //Lifecycle status, e.g. status=draft,paused (public listings are already limited to published jobs)
+  if (status) {
+    filters.status = { $in: String(status).split(',') };
+  }
+
+  //Jobs must require every listed skill (skills=node,react)
+  if (skills) {
+    const skillList = toSkillList(skills);
+    if (skillList.length) filters.skills = { $all: skillList };
+  }
+
+  //baseQuery may use its own $or, so combine with $and instead of merging keys
+  const query = { $and: [baseQuery, filters, ...and] };
+
+  //Full-text search on the job text index: supports "exact phrases" and -excluded words
+  const searchText = String(search).trim().slice(0, MAX_SEARCH_LENGTH);
+  let parsedSearch = null;
+  if (searchText) {
+    query.$text = { $search: searchText };
+    parsedSearch = parseSearch(searchText);
+  }
+
+  //relevance is the default when searching; without a search there is no score, so newest
+  const { sortBy, keys, spec } = parseJobSort(sort, Boolean(parsedSearch));
+
+  return { query, sort: spec, sortBy, sortKeys: keys, search: parsedSearch };
+};
+
+module.exports = { buildJobQuery, selectJobFields };
@@ -0,0 +1,62 @@
+//utils/loginLockout.js
+//progressive lockout after repeated failed logins for one account: once LOGIN_LOCKOUT.threshold
+//failures pile up, every further failure locks the account for twice as long as the last one
+//(capped at maxLockMs). a successful login clears the count. counters live in the rate-limit store.
+//like the rate limiter, the lockout fails open: if the store is down, logins go on without it
+//(the error is logged) instead of every login failing with a 500.
+
+const { getStore } = require('./rateLimit');
+const { LOGIN_LOCKOUT } = require('../config/rateLimits');
+
+const failureKey = (email) => `login-failures:${email}`;
+const lockKey = (email) => `login-lock:${email}`;
+
+//same normalization the User model applies to emails. only a single string names an account
+//(the routes validate it); anything else is refused rather than turned into a key of its own
+const normalizeEmail = (email) => {
+  if (typeof email !== 'string') throw new TypeError('Login lockout needs the email as a string');
+  return email.trim().toLowerCase();
+};
+
+//run a lockout step; a store error is logged and the step counts as "not locked"
+const failOpen = (step, fn) => async (email) => {
+  try {
+    return await fn(email);
+  } catch (err) {
+    console.error(`Login lockout unavailable (${step}):`, err.message);
+    return null;
+  }
+};
+
+//when the account's lock ends, or null if it isn't locked
+const lockedUntil = failOpen('check', async (email) => {
+  const lock = await getStore().get(lockKey(normalizeEmail(email)));
+  return lock ? lock.resetAt : null;
+});
+
+//count a failed login; returns when the account is now locked until (or null)
+const recordLoginFailure = failOpen('record', async (email) => {
+  const store = getStore();
+  const account = normalizeEmail(email);
+  const { count } = await store.increment(failureKey(account), LOGIN_LOCKOUT.failureWindowMs);
+
+  if (count < LOGIN_LOCKOUT.threshold) return null;
+
+  const lockMs = Math.min(
+    LOGIN_LOCKOUT.baseLockMs * 2 ** (count - LOGIN_LOCKOUT.threshold),
+    LOGIN_LOCKOUT.maxLockMs
+  );
+  //a lock is a window that ends when the lock does
+  await store.reset(lockKey(account));
+  const lock = await store.increment(lockKey(account), lockMs);
+  return lock.resetAt;
+});
+
+//forget failures after a successful login
+const clearLoginFailures = failOpen('clear', async (email) => {
+  const store = getStore();
+  const account = normalizeEmail(email);
+  await Promise.all([store.reset(failureKey(account)), store.reset(lockKey(account))]);
+});
+
+module.exports = { lockedUntil, recordLoginFailure, clearLoginFailures };
@@ -0,0 +1,14 @@
+//utils/mailer/consoleTransport.js
+//prints every message to the terminal instead of sending it (default for local development)
+
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log('📧 Mail (console transport)');
+    console.log(`   To:      ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(`   ${(message.text || '').split('\n').join('\n   ')}`);
+    return { logged: true };
+  },
+});
+
+module.exports = createConsoleTransport;
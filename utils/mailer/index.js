@@ -0,0 +1,36 @@
+//utils/mailer/index.js
+//small mailer abstraction: routes call sendMail() and never care how the mail is delivered.
+//the transport is chosen with MAIL_TRANSPORT in .env:
+//  smtp    - real delivery through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+//  file    - writes each message as a JSON file into MAIL_DIR (default ./tmp/mail)
+//  console - prints each message to the terminal (default, handy for local development)
+
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createConsoleTransport = require('./consoleTransport');
+const createDriverRegistry = require('../driverRegistry'); //env-selected driver with a runtime override
+
+//any object with send(message) works as a transport
+const { get: getTransport, set: setTransport } = createDriverRegistry({
+  envVar: 'MAIL_TRANSPORT',
+  defaultName: 'console',
+  factories: {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport,
+  },
+});
+
+//send one email: { to, subject, text, html }
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'Gencruit <no-reply@gencruit.local>',
+    to,
+    subject,
+    text,
+    html,
+  };
+  return getTransport().send(message);
+};
+
+module.exports = { sendMail, setTransport };
@@ -0,0 +1,21 @@
+//utils/mailer/smtpTransport.js
+//delivers mail through an SMTP server using nodemailer
+
+const nodemailer = require('nodemailer');
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true', //true for port 465
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,139 @@
+//utils/matching.js
+//scores how well a candidate profile fits a job, factor by factor, with a human-readable reason for each.
+//pure functions: the routes load jobs/profiles and pass them in.
+
+const { MATCH_WEIGHTS } = require('../config/matching');
+const { SENIORITY_LEVELS } = require('../config/jobOptions');
+
+//multipliers to compare salaries paid per different periods (approximate working time per year)
+const PER_YEAR = { hour: 2080, day: 260, month: 12, year: 1 };
+
+const toYearly = (amount, period = 'year') => amount * (PER_YEAR[period] || 1);
+
+//total years of work experience on the profile (overlapping jobs are not merged, good enough for a level)
+const yearsOfExperience = (experience = []) => {
+  const ms = experience.reduce((total, entry) => {
+    if (!entry.startDate) return total;
+    const end = entry.current || !entry.endDate ? new Date() : new Date(entry.endDate);
+    return total + Math.max(0, end - new Date(entry.startDate));
+  }, 0);
+  return ms / (365.25 * 24 * 60 * 60 * 1000);
+};
+
+//map years of experience onto the same levels jobs use
+const seniorityFromYears = (years) => {
+  if (years < 1) return 'intern';
+  if (years < 3) return 'junior';
+  if (years < 5) return 'mid';
+  if (years < 8) return 'senior';
+  if (years < 12) return 'lead';
+  return 'principal';
+};
+
+//each factor returns { score: 0..1, reason } or null when it doesn't apply
+const factors = {
+  skills: (job, profile) => {
+    if (!job.skills || !job.skills.length) return null;
+
+    const have = new Set(profile.skills || []);
+    const matched = job.skills.filter((s) => have.has(s));
+    const missing = job.skills.filter((s) => !have.has(s));
+
+    return {
+      score: matched.length / job.skills.length,
+      reason: `${matched.length} of ${job.skills.length} required skills`,
+      matched,
+      missing,
+    };
+  },
+
+  seniority: (job, profile) => {
+    if (!job.seniority) return null;
+
+    const candidateLevel = profile.seniority || seniorityFromYears(yearsOfExperience(profile.experience));
+    const gap = Math.abs(SENIORITY_LEVELS.indexOf(job.seniority) - SENIORITY_LEVELS.indexOf(candidateLevel));
+
+    return {
+      score: gap === 0 ? 1 : gap === 1 ? 0.5 : 0,
+      reason: gap === 0
+        ? `candidate level matches (${candidateLevel})`
+        : `job is ${job.seniority}, candidate looks ${candidateLevel}`,
+    };
+  },
+
+  location: (job, profile) => {
+    const acceptsRemote = !profile.remotePreference || !profile.remotePreference.length || profile.remotePreference.includes('remote');
+    const preferred = (profile.preferredLocations || []).map((l) => l.trim().toLowerCase()).filter(Boolean);
+
+    if (job.remotePolicy === 'remote') {
+      return acceptsRemote
+        ? { score: 1, reason: 'remote job' }
+        : { score: 0, reason: 'remote job, candidate prefers on-site work' };
+    }
+
+    //nothing to compare when the candidate has no preference or the job has no location
+    const location = (job.location || '').trim().toLowerCase();
+    if (!preferred.length || !location) return null;
+
+    //job policy must be acceptable and the location must be one the candidate wants
+    const inPreferred = preferred.some((p) => location.includes(p) || p.includes(location));
+    const policyOk = !job.remotePolicy || !profile.remotePreference || !profile.remotePreference.length ||
+      profile.remotePreference.includes(job.remotePolicy);
+
+    if (inPreferred && policyOk) return { score: 1, reason: `in a preferred location (${job.location})` };
+    if (inPreferred) return { score: 0.5, reason: `preferred location, but ${job.remotePolicy} work` };
+    return { score: 0, reason: `${job.location || 'location'} is not a preferred location` };
+  },
+
+  salary: (job, profile) => {
+    const expected = profile.salaryExpectation;
+    if (!expected || expected.min == null || !job.salary) return null;
+
+    const offered = job.salary.max ?? job.salary.min;
+    if (offered == null) return null;
+
+    //different currencies can't be compared without exchange rates
+    if ((job.salary.currency || 'USD') !== (expected.currency || 'USD')) return null;
+
+    const offeredYearly = toYearly(offered, job.salary.period);
+    const expectedYearly = toYearly(expected.min, expected.period);
+    if (offeredYearly >= expectedYearly) return { score: 1, reason: 'salary meets expectation' };
+
+    //fall off linearly: 20% below expectation or worse scores 0
+    const shortfall = (expectedYearly - offeredYearly) / expectedYearly;
+    return {
+      score: Math.max(0, 1 - shortfall / 0.2),
+      reason: `salary is ${Math.round(shortfall * 100)}% below expectation`,
+    };
+  },
+};
+
+/**
+ * score a job against a candidate profile
+ * returns { score: 0..100, breakdown: { factor: { score, weight, reason, ... } } }
+ */
+const scoreMatch = (job, profile, weights = MATCH_WEIGHTS) => {
+  const breakdown = {};
+  let weighted = 0;
+  let totalWeight = 0;
+
+  for (const [name, evaluate] of Object.entries(factors)) {
+    const result = evaluate(job, profile);
+    if (!result) {
+      breakdown[name] = { score: null, weight: 0, reason: 'not enough information' };
+      continue;
+    }
+
+    const weight = weights[name] || 0;
+    weighted += result.score * weight;
+    totalWeight += weight;
+    breakdown[name] = { ...result, score: Math.round(result.score * 100), weight };
+  }
+
+  return {
+    score: totalWeight ? Math.round((weighted / totalWeight) * 100) : 0,
+    breakdown,
+  };
+};
+
+module.exports = { scoreMatch, yearsOfExperience, seniorityFromYears };
@@ -0,0 +1,196 @@
+//utils/mfa.js
+//multi-factor authentication: TOTP enrollment, checking a second factor (authenticator code or
+//one-time recovery code), the interim token of the two-step login, and the admin's per-role policy.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const CustomError = require('./customError');
+const { generateSecret, verifyTotp, otpauthUrl } = require('./totp');
+const {
+  MFA_ISSUER,
+  TOTP_WINDOW,
+  RECOVERY_CODE_COUNT,
+  MFA_TOKEN_TTL,
+  MFA_POLICY_CACHE_MS,
+} = require('../config/mfa');
+
+const hashCode = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+//recovery codes are compared without case, spaces or dashes ("abcd-1234" = "ABCD1234")
+const normalizeRecoveryCode = (code) => String(code ?? '').toLowerCase().replace(/[\s-]/g, '');
+
+//fresh recovery codes: { codes } to show the user once, { hashed } to store
+const newRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex'); //10 hex characters
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashed: codes.map((code) => ({ hash: hashCode(normalizeRecoveryCode(code)) })) };
+};
+
+/**
+ * start enrollment: store a new pending secret (the active one, if any, keeps working)
+ * returns { secret, otpauthUrl } for the authenticator app
+ */
+const beginEnrollment = async (user) => {
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'mfa.pendingSecret': secret } });
+
+  return { secret, otpauthUrl: otpauthUrl({ secret, accountName: user.email, issuer: MFA_ISSUER }) };
+};
+
+/**
+ * finish enrollment with the first code from the app: the pending secret becomes active
+ * returns the recovery codes (shown once); 400 if there is no pending secret or the code is wrong
+ */
+const confirmEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select('+mfa.pendingSecret');
+  const pendingSecret = user && user.mfa.pendingSecret;
+  if (!pendingSecret) {
+    throw new CustomError('Start the setup first (POST /api/auth/mfa/setup)', 400);
+  }
+
+  const step = verifyTotp(pendingSecret, code, { window: TOTP_WINDOW });
+  if (step === null) {
+    throw new CustomError('Invalid authentication code', 400, {
+      code: 'INVALID_MFA_CODE',
+      errors: [{ field: 'code', message: 'Invalid authentication code', location: 'body' }],
+    });
+  }
+
+  const { codes, hashed } = newRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'mfa.enabled': true,
+        'mfa.enabledAt': new Date(),
+        'mfa.secret': pendingSecret,
+        'mfa.recoveryCodes': hashed,
+        'mfa.lastUsedStep': step,
+      },
+      $unset: { 'mfa.pendingSecret': '' },
+    }
+  );
+
+  return codes;
+};
+
+/**
+ * check a second factor for a user with MFA on: { code } from the app or a { recoveryCode }.
+ * both are single-use (a code can't be replayed within its period); returns true if accepted
+ */
+const checkSecondFactor = async (userId, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hash = hashCode(normalizeRecoveryCode(recoveryCode));
+    const used = await User.updateOne(
+      { _id: userId, 'mfa.enabled': true, 'mfa.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+      { $set: { 'mfa.recoveryCodes.$.usedAt': new Date() } }
+    );
+    return used.modifiedCount === 1;
+  }
+
+  const user = await User.findById(userId).select('+mfa.secret');
+  if (!user || !user.mfa.enabled || !user.mfa.secret) return false;
+
+  const step = verifyTotp(user.mfa.secret, code, { window: TOTP_WINDOW });
+  if (step === null) return false;
+
+  //accept each time step once, even when two requests race
+  const accepted = await User.updateOne(
+    {
+      _id: userId,
+      $or: [{ 'mfa.lastUsedStep': { $lt: step } }, { 'mfa.lastUsedStep': null }],
+    },
+    { $set: { 'mfa.lastUsedStep': step } }
+  );
+  return accepted.modifiedCount === 1;
+};
+
+//replace the recovery codes (the old ones stop working); returns the new codes
+const regenerateRecoveryCodes = async (userId) => {
+  const { codes, hashed } = newRecoveryCodes();
+  await User.updateOne({ _id: userId }, { $set: { 'mfa.recoveryCodes': hashed } });
+  return codes;
+};
+
+//how many recovery codes are left
+const recoveryCodesLeft = async (userId) => {
+  const user = await User.findById(userId).select('+mfa.recoveryCodes');
+  return (user?.mfa.recoveryCodes || []).filter((entry) => !entry.usedAt).length;
+};
+
+//turn MFA off and forget the secret and recovery codes
+const disableMfa = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'mfa.enabled': false },
+      $unset: {
+        'mfa.enabledAt': '',
+        'mfa.secret': '',
+        'mfa.pendingSecret': '',
+        'mfa.recoveryCodes': '',
+        'mfa.lastUsedStep': '',
+      },
+    }
+  );
+
+//interim token from the password step of a two-step login; only POST /api/auth/login/mfa accepts it
+const issueMfaToken = (user) =>
+  jwt.sign({ userId: user._id, purpose: 'mfa' }, process.env.JWT_SECRET, {
+    expiresIn: MFA_TOKEN_TTL,
+    audience: 'mfa',
+  });
+
+//user id from an interim token; 401 if it is invalid or expired
+const readMfaToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token ?? ''), process.env.JWT_SECRET, { audience: 'mfa' });
+    if (decoded.purpose !== 'mfa') throw new Error('wrong purpose');
+    return decoded.userId;
+  } catch (err) {
+    throw new CustomError('Login step expired or invalid, please log in again', 401);
+  }
+};
+
+//roles that must use MFA, cached briefly so the auth middleware doesn't read it on every request.
+//other server instances pick up a change within MFA_POLICY_CACHE_MS
+let policyCache = null;
+
+const mfaRequiredRoles = async () => {
+  if (!policyCache || policyCache.expiresAt <= Date.now()) {
+    const policy = await SecurityPolicy.findOne({ key: 'default' });
+    policyCache = { roles: policy ? policy.mfaRequiredRoles : [], expiresAt: Date.now() + MFA_POLICY_CACHE_MS };
+  }
+  return policyCache.roles;
+};
+
+const isMfaRequiredFor = async (role) => (await mfaRequiredRoles()).includes(role);
+
+//save the roles that must use MFA (admin setting); returns the stored policy
+const setMfaRequiredRoles = async (roles, updatedBy) => {
+  const policy = await SecurityPolicy.findOneAndUpdate(
+    { key: 'default' },
+    { $set: { mfaRequiredRoles: [...new Set(roles)], updatedBy } },
+    { new: true, upsert: true, runValidators: true }
+  );
+  policyCache = null;
+  return policy;
+};
+
+module.exports = {
+  beginEnrollment,
+  confirmEnrollment,
+  checkSecondFactor,
+  regenerateRecoveryCodes,
+  recoveryCodesLeft,
+  disableMfa,
+  issueMfaToken,
+  readMfaToken,
+  mfaRequiredRoles,
+  isMfaRequiredFor,
+  setMfaRequiredRoles,
+};
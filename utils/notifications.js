@@ -0,0 +1,88 @@
+//utils/notifications.js
+//one place to notify a user: stores the notification, pushes it to any open live connection
+//(see GET /api/notifications/stream) and emails it, according to the user's preferences.
+//the live push goes through an in-process event bus, so it only reaches clients connected
+//to the same server instance.
+
+const { EventEmitter } = require('events');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const User = require('../models/User');
+const { NOTIFICATION_TYPES, CHANNELS } = require('../config/notifications');
+const { sendMail } = require('./mailer');
+const { jobManagerIds } = require('./jobAccess');
+
+//live subscribers listen on "user:<id>"
+const bus = new EventEmitter();
+bus.setMaxListeners(0); //one listener per open browser tab
+
+const channelFor = (userId) => `user:${userId}`;
+
+//register a live listener for a user; returns a function that removes it
+const subscribe = (userId, listener) => {
+  bus.on(channelFor(userId), listener);
+  return () => bus.off(channelFor(userId), listener);
+};
+
+//channels ({ inApp, email }) a user gets a type on, defaults merged with their opt-outs
+const effectivePreferences = (type, preference) => {
+  const defaults = NOTIFICATION_TYPES[type];
+  const setting = preference && preference.settingFor(type);
+  const result = {};
+  for (const channel of CHANNELS) {
+    result[channel] = setting && setting[channel] != null ? setting[channel] : defaults[channel];
+  }
+  return result;
+};
+
+//full preference table for a user: { type: { inApp, email } }
+const preferencesFor = async (userId) => {
+  const preference = await NotificationPreference.findOne({ user: userId });
+  return Object.fromEntries(
+    Object.keys(NOTIFICATION_TYPES).map((type) => [type, effectivePreferences(type, preference)])
+  );
+};
+
+/**
+ * notify one user; { title, message, data } describe the notification.
+ * never throws: a failed notification must not fail the request that triggered it
+ */
+const notify = async (userId, type, { title, message, data = {} }) => {
+  try {
+    const preference = await NotificationPreference.findOne({ user: userId });
+    const channels = effectivePreferences(type, preference);
+
+    if (channels.inApp) {
+      const notification = await Notification.create({ user: userId, type, title, message, data });
+      bus.emit(channelFor(userId), notification.toObject());
+    }
+
+    if (channels.email) {
+      const user = await User.findById(userId).select('email name');
+      if (user) {
+        await sendMail({
+          to: user.email,
+          subject: title,
+          text: `Hi ${user.name},\n\n${message || title}`,
+        });
+      }
+    }
+  } catch (err) {
+    console.error(`Failed to send ${type} notification:`, err.message);
+  }
+};
+
+//notify several users with the same content
+const notifyMany = (userIds, type, content) =>
+  Promise.all([...new Set(userIds.map(String))].map((id) => notify(id, type, content)));
+
+//notify everyone who manages a job (poster + company recruiters), never throws
+const notifyJobManagers = async (job, type, content) => {
+  try {
+    await notifyMany(await jobManagerIds(job), type, content);
+  } catch (err) {
+    console.error(`Failed to send ${type} notification:`, err.message);
+  }
+};
+
+module.exports = { subscribe, notify, notifyMany, notifyJobManagers, preferencesFor };
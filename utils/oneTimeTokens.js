@@ -0,0 +1,65 @@
+//utils/oneTimeTokens.js
+//issue and consume single-use, expiring tokens for email links (password reset, email verification)
+//and for opening the notification stream.
+
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+const { hashToken } = require('./tokens');
+
+//how long each kind of token stays valid (minutes)
+const TTL_MINUTES = {
+  'password-reset': 60,
+  'email-verify': 24 * 60,
+  'stream-ticket': 1,
+};
+
+//purposes where a new token invalidates the older unused ones (only the latest email link works).
+//stream tickets don't: each open tab asks for its own
+const REPLACES_OLDER = ['password-reset', 'email-verify'];
+
+//create a new token for a user (stream tickets also record the session they belong to)
+const issueToken = async (userId, purpose, { session } = {}) => {
+  if (REPLACES_OLDER.includes(purpose)) {
+    await AuthToken.updateMany(
+      { user: userId, purpose, usedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await AuthToken.create({
+    user: userId,
+    purpose,
+    session,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TTL_MINUTES[purpose] * 60 * 1000),
+  });
+
+  return token; //the raw token only ever goes to the user (email or API response)
+};
+
+//mark a token as used and return its record ({ user, session }), or null if it is unknown,
+//expired or already used. done in one atomic update so the same token can't be redeemed twice.
+const redeemToken = async (token, purpose) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  return AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+//redeem a token and return its user id (null if it can't be used)
+const consumeToken = async (token, purpose) => {
+  const record = await redeemToken(token, purpose);
+  return record ? record.user : null;
+};
+
+module.exports = { issueToken, redeemToken, consumeToken };
@@ -0,0 +1,107 @@
+//utils/pagination.js
+//cursor ("keyset") pagination: instead of skipping N rows, the next page starts right after the
+//sort values of the last row it returned. stays fast on deep pages and doesn't repeat or miss rows
+//when records are added meanwhile. cursors are opaque base64url strings to clients.
+
+const mongoose = require('mongoose');
+const CustomError = require('./customError');
+
+//400 in the same shape as a failed express-validator check on ?after=
+const invalidCursor = (message = 'Invalid cursor') =>
+  new CustomError(message, 400, {
+    code: 'VALIDATION_FAILED',
+    errors: [{ field: 'after', message, location: 'query' }],
+  });
+
+//?page= as a number, at least 1 (1 when missing or not a number)
+const readPage = (page) => Math.max(parseInt(page, 10) || 1, 1);
+
+//?limit= as a number between 1 and max (default when missing or not a number)
+const readLimit = (limit, { defaultLimit, maxLimit }) => {
+  const value = parseInt(limit, 10);
+  if (Number.isNaN(value)) return defaultLimit;
+  return Math.min(Math.max(value, 1), maxLimit);
+};
+
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+//throws a 400 for anything that isn't a cursor we made
+const decodeCursor = (cursor) => {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (data && typeof data === 'object' && !Array.isArray(data)) return data;
+  } catch {
+    //fall through to the 400
+  }
+  throw invalidCursor();
+};
+
+/**
+ * the sort values and id of a keyset cursor as query values, for a sort on keys of model.
+ * cursors come from clients, so only null, strings and numbers are accepted (never objects such as
+ * { $ne: null }), each cast to its field's schema type (dates come back from JSON as strings);
+ * anything else is a 400
+ */
+const readKeysetCursor = (cursor, keys, model) => {
+  const { v: values, id } = cursor;
+  if (!Array.isArray(values) || values.length !== keys.length) throw invalidCursor();
+  if (typeof id !== 'string' || !mongoose.isObjectIdOrHexString(id)) throw invalidCursor();
+
+  const cast = values.map((value, index) => {
+    if (value === null) return null;
+    if (typeof value !== 'string' && typeof value !== 'number') throw invalidCursor();
+
+    const schemaType = model.schema.path(keys[index].field);
+    try {
+      const result = schemaType ? schemaType.cast(value) : value;
+      if (result instanceof Date && Number.isNaN(result.getTime())) throw invalidCursor();
+      return result;
+    } catch {
+      throw invalidCursor();
+    }
+  });
+
+  return { values: cast, id: new mongoose.Types.ObjectId(id) };
+};
+
+//filter for documents strictly past value on field, in the sort direction
+//(missing/null sorts before every value, like MongoDB does); null when nothing can be past it
+const pastValue = (field, value, direction) => {
+  if (value === null) return direction === 1 ? { [field]: { $ne: null } } : null;
+  return direction === 1
+    ? { [field]: { $gt: value } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * filter for the rows after a cursor position, for a sort on keys ([{ field, direction }]) with _id last:
+ * (k1 past v1) or (k1 = v1 and k2 past v2) or ... or (all equal and _id past id)
+ */
+const keysetFilter = (keys, values, id) => {
+  const all = [...keys, { field: '_id', direction: keys.length ? keys[keys.length - 1].direction : 1 }];
+  const allValues = [...values, id];
+
+  const branches = [];
+  all.forEach(({ field, direction }, index) => {
+    const past = pastValue(field, allValues[index], direction);
+    if (!past) return;
+    const equal = all.slice(0, index).map((key, i) => ({ [key.field]: allValues[i] }));
+    branches.push(equal.length ? { $and: [...equal, past] } : past);
+  });
+
+  return branches.length ? { $or: branches } : { _id: null }; //nothing comes after
+};
+
+//the sort values of a document, in key order (missing values as null)
+const sortValues = (doc, keys) => keys.map(({ field }) => doc.get(field) ?? null);
+
+module.exports = {
+  readPage,
+  readLimit,
+  encodeCursor,
+  decodeCursor,
+  invalidCursor,
+  readKeysetCursor,
+  keysetFilter,
+  sortValues,
+};
@@ -0,0 +1,24 @@
+//utils/permissions.js
+//answers "may this role do that?" from the role → permission map in config/permissions.js.
+//pure functions, so they can be checked without a request or a database.
+
+const { ROLE_PERMISSIONS } = require('../config/permissions');
+
+//every permission a role holds
+const permissionsFor = (role) => [...(ROLE_PERMISSIONS[role] || [])];
+
+//true if the role holds exactly this permission (e.g. 'job:update:own')
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+/**
+ * how far a role may perform an action such as 'job:update':
+ * 'any' (every record), 'own' (only records the user owns), or null (not at all).
+ * an unscoped permission (e.g. 'job:create') counts as 'any'.
+ */
+const scopeOf = (role, action) => {
+  if (hasPermission(role, action) || hasPermission(role, `${action}:any`)) return 'any';
+  if (hasPermission(role, `${action}:own`)) return 'own';
+  return null;
+};
+
+module.exports = { permissionsFor, hasPermission, scopeOf };
@@ -0,0 +1,92 @@
+//utils/purge.js
+//permanently removes soft-deleted jobs and users once their retention period has passed,
+//together with the records that only make sense with them (applications, interview slots,
+//candidate profile, resume files, saved jobs and searches, company memberships). every removed record gets a 'purge' audit entry.
+
+const Job = require('../models/Job');
+const User = require('../models/User');
+const Application = require('../models/Application');
+const InterviewSlot = require('../models/InterviewSlot');
+const CandidateProfile = require('../models/CandidateProfile');
+const SavedJob = require('../models/SavedJob');
+const SavedSearch = require('../models/SavedSearch');
+const Company = require('../models/Company');
+const AuditLog = require('../models/AuditLog');
+const { recordAudit } = require('./audit');
+const { removeResumeIfUnused } = require('./resumeFiles');
+const { purgeCutoff } = require('../config/retention');
+
+//remove applications (and their interview slots and unused resume files)
+const purgeApplications = async (filter) => {
+  const applications = await Application.find(filter).select('_id resume.key');
+  if (!applications.length) return;
+
+  const ids = applications.map((application) => application._id);
+  await Promise.all([
+    Application.deleteMany({ _id: { $in: ids } }),
+    InterviewSlot.deleteMany({ application: { $in: ids } }),
+  ]);
+
+  //one audit entry per removed application (actor null: done by the purge worker)
+  await AuditLog.insertMany(
+    ids.map((entityId) => ({ entityType: 'application', entityId, action: 'purge' }))
+  ).catch((err) => console.error('Failed to record audit entries (application purge):', err.message));
+
+  for (const application of applications) {
+    await removeResumeIfUnused(application.resume?.key);
+  }
+};
+
+//remove one job and its applications
+const purgeJob = async (job) => {
+  await purgeApplications({ job: job._id });
+  await SavedJob.deleteMany({ job: job._id });
+  await Job.deleteOne({ _id: job._id });
+  await recordAudit(null, { action: 'purge', entityType: 'job', before: job });
+};
+
+//remove one user, the jobs they posted outside a company and every application they sent.
+//company jobs stay with the company; the user only loses their membership
+const purgeUser = async (user) => {
+  //includes jobs that were never deleted (e.g. the user was deleted before this cascade existed)
+  for await (const job of Job.find({ user: user._id, companyId: null }).setOptions({ withDeleted: true })) {
+    await purgeJob(job);
+  }
+
+  await purgeApplications({ candidate: user._id });
+
+  const profile = await CandidateProfile.findOneAndDelete({ user: user._id });
+  await removeResumeIfUnused(profile?.resume?.key);
+
+  await Promise.all([
+    SavedJob.deleteMany({ user: user._id }),
+    SavedSearch.deleteMany({ user: user._id }),
+    Company.updateMany({ 'members.user': user._id }, { $pull: { members: { user: user._id } } }),
+  ]);
+
+  await User.deleteOne({ _id: user._id });
+  await recordAudit(null, { action: 'purge', entityType: 'user', before: user });
+};
+
+/**
+ * purge everything deleted before the retention cutoff
+ * returns how many jobs and users were removed
+ */
+const purgeExpired = async (now = new Date()) => {
+  const deletedBefore = { deletedAt: { $ne: null, $lte: purgeCutoff(now) } };
+  let jobs = 0;
+  let users = 0;
+
+  for await (const user of User.find(deletedBefore)) {
+    await purgeUser(user);
+    users++;
+  }
+  for await (const job of Job.find(deletedBefore)) {
+    await purgeJob(job);
+    jobs++;
+  }
+
+  return { jobs, users };
+};
+
+module.exports = { purgeJob, purgeUser, purgeExpired };
@@ -0,0 +1,24 @@
+//utils/rateLimit/index.js
+//counter store behind the rate limiter and the login lockout.
+//the store is chosen with RATE_LIMIT_STORE in .env:
+//  memory - counters in this process (single instance, tests)
+//  mongo  - counters in MongoDB, shared by every server instance
+//a store is any object with:
+//  increment(key, windowMs) -> { count, resetAt }  add one hit; a new window starts on the first hit
+//  get(key)                 -> { count, resetAt } or null when there is no live window
+//  reset(key)               -> forget the key
+
+const createMemoryStore = require('./memoryStore');
+const createMongoStore = require('./mongoStore');
+const createDriverRegistry = require('../driverRegistry'); //env-selected driver with a runtime override
+
+const { get: getStore, set: setStore } = createDriverRegistry({
+  envVar: 'RATE_LIMIT_STORE',
+  defaultName: 'memory',
+  factories: {
+    memory: createMemoryStore,
+    mongo: createMongoStore,
+  },
+});
+
+module.exports = { getStore, setStore };
@@ -0,0 +1,40 @@
+//utils/rateLimit/memoryStore.js
+//in-process counters. fine for one server instance and for tests; every instance counts separately.
+
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const counters = new Map(); //key -> { count, resetAt }
+
+  const live = (key, now = Date.now()) => {
+    const entry = counters.get(key);
+    if (entry && entry.resetAt.getTime() > now) return entry;
+    if (entry) counters.delete(key);
+    return null;
+  };
+
+  //drop expired windows now and then so the map doesn't grow forever
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const key of counters.keys()) live(key, now);
+  }, sweepIntervalMs);
+  sweeper.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const entry = live(key) || { count: 0, resetAt: new Date(Date.now() + windowMs) };
+      entry.count += 1;
+      counters.set(key, entry);
+      return { ...entry };
+    },
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,47 @@
+//utils/rateLimit/mongoStore.js
+//counters in MongoDB, shared by every server instance. each increment is a single atomic update;
+//expired windows are restarted in place and removed by a TTL index.
+
+const RateLimitCounter = require('../../models/RateLimitCounter');
+
+const createMongoStore = () => {
+  const increment = async (key, windowMs, retried = false) => {
+    const now = new Date();
+    const inWindow = { $gt: ['$resetAt', now] };
+
+    try {
+      const entry = await RateLimitCounter.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              count: { $cond: [inWindow, { $add: ['$count', 1] }, 1] },
+              resetAt: { $cond: [inWindow, '$resetAt', new Date(now.getTime() + windowMs)] },
+            },
+          },
+        ],
+        { upsert: true, new: true }
+      );
+      return { count: entry.count, resetAt: entry.resetAt };
+    } catch (err) {
+      //two first hits on a new key can race on the upsert; the second one just retries
+      if (err.code === 11000 && !retried) return increment(key, windowMs, true);
+      throw err;
+    }
+  };
+
+  return {
+    increment: (key, windowMs) => increment(key, windowMs),
+
+    async get(key) {
+      const entry = await RateLimitCounter.findOne({ key, resetAt: { $gt: new Date() } });
+      return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+
+    async reset(key) {
+      await RateLimitCounter.deleteOne({ key });
+    },
+  };
+};
+
+module.exports = createMongoStore;
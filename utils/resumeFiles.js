@@ -0,0 +1,47 @@
+//utils/resumeFiles.js
+//helpers for resume files kept in storage: streaming them back, and removing them once nothing uses them
+
+const Application = require('../models/Application');
+const CandidateProfile = require('../models/CandidateProfile');
+const { getStorage } = require('./storage');
+const CustomError = require('./customError');
+
+//stream a stored resume to the client as a download.
+//the download headers are only set once the file is open, so a missing file is a normal 404
+const sendResume = (res, next, resume) => {
+  const stream = getStorage().createReadStream(resume.key);
+  let started = false;
+
+  stream.on('error', (err) => {
+    //halfway through the download the response can only be cut off
+    if (started) return res.destroy(err);
+    next(err.code === 'ENOENT' ? new CustomError('Resume file not found', 404) : err);
+  });
+
+  stream.once('ready', () => {
+    started = true;
+
+    //quotes in the file name would break the header
+    const filename = (resume.originalName || 'resume').replace(/["\\\r\n]/g, '');
+    res.setHeader('Content-Type', resume.mimeType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    stream.pipe(res);
+  });
+};
+
+//applications keep a reference to the resume that was sent, so a file is only deleted
+//when neither a profile nor an application points at it anymore
+const removeResumeIfUnused = async (key) => {
+  if (!key) return;
+
+  const [onProfile, onApplication] = await Promise.all([
+    CandidateProfile.exists({ 'resume.key': key }),
+    Application.exists({ 'resume.key': key }),
+  ]);
+
+  if (!onProfile && !onApplication) {
+    await getStorage().remove(key);
+  }
+};
+
+module.exports = { sendResume, removeResumeIfUnused };
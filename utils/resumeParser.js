@@ -0,0 +1,95 @@
+//utils/resumeParser.js
+//extracts plain text from PDF/DOCX resumes and picks out skills and work experience.
+//the extraction is best-effort: it pre-fills the profile, and the candidate can correct it.
+
+const { PDFParse } = require('pdf-parse');
+const mammoth = require('mammoth');
+const escapeRegex = require('./escapeRegex');
+const { SKILL_ALIASES } = require('../config/skills');
+
+const PDF_MIME = 'application/pdf';
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+//pull the raw text out of the file
+const extractText = async (buffer, mimeType) => {
+  if (mimeType === PDF_MIME) {
+    const parser = new PDFParse({ data: buffer });
+    try {
+      const result = await parser.getText();
+      return result.text;
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  if (mimeType === DOCX_MIME) {
+    const result = await mammoth.extractRawText({ buffer });
+    return result.value;
+  }
+
+  throw new Error(`Unsupported resume type: ${mimeType}`);
+};
+
+//one regex per skill; aliases must stand alone (so "java" does not match "javascript")
+const skillMatchers = Object.entries(SKILL_ALIASES).map(([skill, aliases]) => ({
+  skill,
+  pattern: new RegExp(`(?<![\\w.+#])(?:${aliases.map(escapeRegex).join('|')})(?![\\w+#]|\\.\\w)`, 'i'),
+}));
+
+//canonical names of every known skill mentioned in the text
+const extractSkills = (text) => skillMatchers.filter(({ pattern }) => pattern.test(text)).map(({ skill }) => skill);
+
+const MONTHS = 'jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec';
+const DATE = `(?:(?:${MONTHS})[a-z]*\\.?\\s+)?\\d{4}`;
+//e.g. "Jan 2019 - Present", "2016 – 2018", "March 2020 to Dec 2021"
+const DATE_RANGE = new RegExp(`(${DATE})\\s*(?:-|–|—|to)\\s*(${DATE}|present|current|now)`, 'i');
+
+const toDate = (value) => {
+  const date = new Date(/^\d{4}$/.test(value.trim()) ? `${value.trim()}-01-01` : `1 ${value}`);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+//split "Senior Engineer at Acme" / "Senior Engineer, Acme" / "Senior Engineer | Acme"
+const splitRole = (text) => {
+  const cleaned = text.replace(/[\s,|–—(-]+$/, '').trim();
+  const match = cleaned.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i) || cleaned.match(/^(.+?)\s*[,|–—]\s*(.+)$/);
+  return match ? { title: match[1].trim(), company: match[2].trim() } : { title: cleaned };
+};
+
+//find lines with a date range and read the role/company from the text around it
+const extractExperience = (text) => {
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  const experience = [];
+
+  lines.forEach((line, i) => {
+    const match = line.match(DATE_RANGE);
+    if (!match) return;
+
+    //role is usually on the same line before the dates, otherwise on the line above
+    const before = line.slice(0, match.index).trim();
+    const roleText = before.length > 2 ? before : lines[i - 1] || '';
+    if (!roleText || DATE_RANGE.test(roleText)) return;
+
+    const current = /present|current|now/i.test(match[2]);
+    experience.push({
+      ...splitRole(roleText),
+      startDate: toDate(match[1]),
+      endDate: current ? undefined : toDate(match[2]),
+      current,
+    });
+  });
+
+  return experience.slice(0, 20);
+};
+
+//full pipeline: text + skills + experience
+const parseResume = async (buffer, mimeType) => {
+  const text = (await extractText(buffer, mimeType)) || '';
+  return {
+    text,
+    skills: extractSkills(text),
+    experience: extractExperience(text),
+  };
+};
+
+module.exports = { PDF_MIME, DOCX_MIME, extractText, extractSkills, extractExperience, parseResume };
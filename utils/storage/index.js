@@ -0,0 +1,17 @@
+//utils/storage/index.js
+//file storage abstraction: routes save/read/remove files by key and never touch the disk directly.
+//the driver is chosen with STORAGE_DRIVER in .env:
+//  local - files on the server's disk under UPLOAD_DIR (default ./uploads)
+//a driver is any object with save(buffer, options), createReadStream(key), remove(key).
+//read streams emit 'ready' once the file is open, or 'error' (code ENOENT when it doesn't exist).
+
+const createLocalStorage = require('./localStorage');
+const createDriverRegistry = require('../driverRegistry'); //env-selected driver with a runtime override
+
+const { get: getStorage, set: setStorage } = createDriverRegistry({
+  envVar: 'STORAGE_DRIVER',
+  defaultName: 'local',
+  factories: { local: createLocalStorage },
+});
+
+module.exports = { getStorage, setStorage };
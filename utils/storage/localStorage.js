@@ -0,0 +1,41 @@
+//utils/storage/localStorage.js
+//stores files on the local disk under UPLOAD_DIR, using random keys like "resumes/5f1c...e2.pdf"
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const createLocalStorage = () => {
+  const root = path.resolve(process.env.UPLOAD_DIR || './uploads');
+
+  //map a key to a path, refusing anything that would escape the upload directory
+  const resolveKey = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return file;
+  };
+
+  return {
+    //save a buffer and return its key; prefix groups files (e.g. 'resumes'), extension like '.pdf'
+    save: async (buffer, { prefix = 'files', extension = '' } = {}) => {
+      const key = `${prefix}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+      const file = resolveKey(key);
+
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+
+      return { key };
+    },
+
+    createReadStream: (key) => fs.createReadStream(resolveKey(key)),
+
+    //removing a file that is already gone is not an error
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,81 @@
+//utils/textSearch.js
+//helpers for MongoDB $text search: reading the search string the same way MongoDB does
+//(quoted phrases, -negated terms) and building highlighted snippets for the results.
+
+const escapeRegex = require('./escapeRegex');
+
+//longest search string we pass to MongoDB
+const MAX_SEARCH_LENGTH = 200;
+
+//split a search string into phrases, plain terms and excluded (-negated) terms
+const parseSearch = (search) => {
+  const phrases = [];
+  const terms = [];
+  const excluded = [];
+
+  //"quoted phrase" | -word | word
+  const tokenPattern = /(-?)"([^"]+)"|(-?)([^\s"]+)/g;
+  let match;
+  while ((match = tokenPattern.exec(String(search))) !== null) {
+    if (match[2] !== undefined) {
+      (match[1] ? excluded : phrases).push(match[2].trim().toLowerCase());
+    } else {
+      (match[3] ? excluded : terms).push(match[4].toLowerCase());
+    }
+  }
+
+  return { phrases: phrases.filter(Boolean), terms, excluded };
+};
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+//rough stem so "developers" also highlights "developer"/"development" like MongoDB's stemmer matches
+const stem = (term) => term.replace(/(ing|ers|er|es|ed|s)$/, '') || term;
+
+//one regex matching any phrase or term (as a word prefix)
+const buildMatcher = ({ phrases, terms }) => {
+  const parts = [
+    ...phrases.map((p) => escapeRegex(p).replace(/\s+/g, '\\s+')),
+    ...terms.map((t) => `${escapeRegex(stem(t))}\\w*`),
+  ];
+  if (!parts.length) return null;
+  return new RegExp(`\\b(?:${parts.join('|')})`, 'gi');
+};
+
+/**
+ * return an HTML-safe snippet of text around the first match, with matches wrapped in <mark>
+ * returns null when nothing in the text matches
+ */
+const highlight = (text, parsed, maxLength = 160) => {
+  if (!text) return null;
+
+  const matcher = buildMatcher(parsed);
+  if (!matcher) return null;
+
+  const first = matcher.exec(text);
+  if (!first) return null;
+  matcher.lastIndex = 0;
+
+  //centre the window on the first match
+  let start = Math.max(0, first.index - Math.floor(maxLength / 3));
+  let end = Math.min(text.length, start + maxLength);
+  start = Math.max(0, end - maxLength);
+
+  //don't cut words in half
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+  const window = text.slice(start, end);
+  let snippet = '';
+  let last = 0;
+  for (const m of window.matchAll(matcher)) {
+    snippet += escapeHtml(window.slice(last, m.index)) + '<mark>' + escapeHtml(m[0]) + '</mark>';
+    last = m.index + m[0].length;
+  }
+  snippet += escapeHtml(window.slice(last));
+
+  return (start > 0 ? '…' : '') + snippet + (end < text.length ? '…' : '');
+};
+
+module.exports = { MAX_SEARCH_LENGTH, parseSearch, highlight };
@@ -0,0 +1,109 @@
+//utils/timezones.js
+//time zone helpers built on Intl (no extra dependency).
+//everything is stored in UTC; these convert to and from a user's IANA zone (e.g. "Europe/Berlin").
+
+const isValidTimeZone = (tz) => {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+//wall-clock parts of a UTC instant in a zone
+const zonedParts = (date, tz) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  return Object.fromEntries(parts.filter((p) => p.type !== 'literal').map((p) => [p.type, Number(p.value)]));
+};
+
+//offset of the zone from UTC at a given instant, in minutes (e.g. +120 for CEST)
+const offsetMinutes = (date, tz) => {
+  const p = zonedParts(date, tz);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+//"2025-03-10T14:00", optionally with seconds (and milliseconds) and an offset ("Z", "+02:00", "+0200")
+const DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?(Z|([+-])(\d{2}):?(\d{2}))?$/i;
+
+//true if the zone shows exactly this wall-clock time at the instant
+const showsWallClock = (date, tz, wall) => {
+  const p = zonedParts(date, tz);
+  return (
+    p.year === wall.year &&
+    p.month === wall.month &&
+    p.day === wall.day &&
+    p.hour === wall.hour &&
+    p.minute === wall.minute &&
+    p.second === wall.second
+  );
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * parse a date-time string into a Date
+ * - strings with an offset ("...Z", "...+02:00") are exact instants
+ * - strings without one ("2025-03-10T14:00") are wall-clock time in tz. a time that happens twice
+ *   (clocks going back) is the first of the two; a time that doesn't exist (skipped when clocks go
+ *   forward) moves forward by the length of the gap, e.g. 02:30 on the spring-forward night is 03:30
+ * returns an invalid Date when the string can't be read or names an impossible date or time
+ * (Feb 30, 25:00, ...) instead of rolling it over
+ */
+const parseInTimeZone = (value, tz = 'UTC') => {
+  const m = typeof value === 'string' ? DATE_TIME.exec(value) : null;
+  if (!m) return new Date(NaN);
+
+  const [year, month, day, hour, minute, second = 0] = m.slice(1, 7).map((part) => Number(part || 0));
+  const millis = m[7] ? Number(m[7].padEnd(3, '0')) : 0;
+  const wall = { year, month, day, hour, minute, second };
+
+  //Date.UTC rolls impossible parts over (Feb 30 → Mar 2); if anything moved, the input was impossible
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (!showsWallClock(new Date(wallClock), 'UTC', wall)) return new Date(NaN);
+
+  if (m[8]) {
+    if (m[8].toUpperCase() === 'Z') return new Date(wallClock + millis);
+    const offsetHours = Number(m[10]);
+    const offsetMins = Number(m[11]);
+    if (offsetHours > 23 || offsetMins > 59) return new Date(NaN);
+    const sign = m[9] === '-' ? -1 : 1;
+    return new Date(wallClock - sign * (offsetHours * 60 + offsetMins) * 60000 + millis);
+  }
+
+  //the zone's offset a day before and a day after covers any DST change around this time
+  const before = wallClock - offsetMinutes(new Date(wallClock - DAY_MS), tz) * 60000;
+  const after = wallClock - offsetMinutes(new Date(wallClock + DAY_MS), tz) * 60000;
+  const matches = [before, after].filter((utc) => showsWallClock(new Date(utc), tz, wall));
+
+  //no match: the time falls into a gap; read with the offset from before the change it lands after the gap
+  const utc = matches.length ? Math.min(...matches) : before;
+  return new Date(utc + millis);
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+//ISO 8601 string of an instant as wall-clock time in tz, with its offset ("2025-03-10T14:00:00+01:00")
+const formatInTimeZone = (date, tz = 'UTC') => {
+  const p = zonedParts(date, tz);
+  const offset = offsetMinutes(date, tz);
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return (
+    `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`
+  );
+};
+
+module.exports = { isValidTimeZone, parseInTimeZone, formatInTimeZone };
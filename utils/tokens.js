@@ -0,0 +1,119 @@
+//utils/tokens.js
+//helpers for issuing access tokens (JWT) and rotating refresh tokens.
+//a refresh token looks like "<sessionId>.<random secret>"; only a hash of the secret is stored.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const CustomError = require('./customError');
+
+//lifetimes can be tuned from .env
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const newSecret = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+//sign a short-lived access token tied to a session
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { userId: user._id, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+//split "<sessionId>.<secret>" safely
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+//start a new session for a user (on signup/login) and return both tokens
+const createSession = async (user, req) => {
+  const secret = newSecret();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    expiresAt: refreshExpiry(),
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+  });
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+  };
+};
+
+//exchange a refresh token for a new pair of tokens.
+//if a refresh token that was already rotated is presented again, someone copied it,
+//so the whole session is revoked and both holders have to log in again.
+const rotateSession = async (refreshToken, loadUser) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw new CustomError('Invalid refresh token', 401);
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || !session.isActive()) {
+    throw new CustomError('Invalid refresh token', 401);
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+  if (presentedHash !== session.tokenHash) {
+    session.revokedAt = new Date();
+    session.revokedReason = 'reuse-detected';
+    await session.save();
+    throw new CustomError('Refresh token reuse detected, session revoked', 401);
+  }
+
+  const user = await loadUser(session.user);
+  if (!user) throw new CustomError('Invalid refresh token', 401);
+
+  //rotate only if the token has not been rotated by a concurrent request
+  const secret = newSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    { $set: { tokenHash: hashToken(secret), expiresAt: refreshExpiry(), lastUsedAt: new Date() } },
+    { new: true }
+  );
+  if (!rotated) throw new CustomError('Invalid refresh token', 401);
+
+  return {
+    user,
+    token: signAccessToken(user, rotated._id),
+    refreshToken: `${rotated._id}.${secret}`,
+  };
+};
+
+//revoke the session a refresh token belongs to (logout from one device)
+const revokeByRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return;
+
+  await Session.updateOne(
+    { _id: parsed.sessionId, tokenHash: hashToken(parsed.secret), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+  );
+};
+
+//revoke every active session of a user (logout from all devices), optionally keeping the current one
+const revokeAllSessions = async (userId, reason = 'logout-all', { exceptSessionId } = {}) => {
+  await Session.updateMany(
+    { user: userId, revokedAt: null, ...(exceptSessionId && { _id: { $ne: exceptSessionId } }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  createSession,
+  rotateSession,
+  revokeByRefreshToken,
+  revokeAllSessions,
+};
@@ -0,0 +1,86 @@
+//utils/totp.js
+//time-based one-time passwords (RFC 6238 on top of HOTP, RFC 4226) with Node's crypto only.
+//secrets are exchanged with authenticator apps as base32 text inside an otpauth:// URI.
+
+const crypto = require('crypto');
+const { TOTP_DIGITS, TOTP_PERIOD_SECONDS } = require('../config/mfa');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+//tolerates lowercase, spaces and "=" padding (how people copy secrets by hand)
+const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+//new random secret (160 bits, the size RFC 4226 recommends), base32-encoded
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+//the code for one counter value
+const hotp = (secret, counter, digits = TOTP_DIGITS) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+
+  //dynamic truncation: 31 bits starting at the offset in the last nibble
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+//the time step a moment falls into
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * check a code against the steps around now (± window)
+ * returns the matching step (so callers can refuse it a second time), or null
+ */
+const verifyTotp = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const given = String(code ?? '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(given)) return null;
+
+  const current = timeStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return step;
+  }
+  return null;
+};
+
+//provisioning URI for authenticator apps; clients render it as a QR code
+const otpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = { base32Encode, base32Decode, generateSecret, hotp, timeStep, verifyTotp, otpauthUrl };
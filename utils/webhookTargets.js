@@ -0,0 +1,133 @@
+//utils/webhookTargets.js
+//keeps webhooks from reaching the server's own network (SSRF): a webhook URL must resolve to a
+//public address. checked when a webhook is saved and again on every delivery, where the address
+//the request connects to is the one that was checked (so DNS rebinding can't swap it afterwards).
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+//loopback, private, link-local, shared, reserved and multicast ranges
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], //carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], //link-local, includes cloud metadata (169.254.169.254)
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4], //multicast
+  ['240.0.0.0', 4], //reserved and broadcast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96], //NAT64, maps to IPv4
+  ['fc00::', 7], //unique local
+  ['fe80::', 10], //link-local
+  ['ff00::', 8], //multicast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+//true for addresses webhooks may not be sent to
+const isBlockedAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address); //IPv4-mapped IPv6
+  if (mapped) return isBlockedAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const blockedTargetError = (host) => {
+  const err = new Error(`${host} resolves to a private or reserved address`);
+  err.code = 'EBLOCKEDTARGET';
+  return err;
+};
+
+//hostname without the brackets of an IPv6 literal
+const hostOf = (url) => url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+//dns.lookup that refuses blocked addresses; used as the lookup of outgoing webhook requests
+//(handles both the single-address and the `all: true` form net.connect may ask for)
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some((entry) => isBlockedAddress(entry.address))) {
+      return callback(blockedTargetError(hostname));
+    }
+    callback(null, address, family);
+  });
+};
+
+/**
+ * check a webhook URL before saving it: http(s) and every address it resolves to is public.
+ * throws an Error with a message fit for the client otherwise
+ */
+const assertPublicUrl = async (value) => {
+  const url = new URL(value);
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('URL must be a valid http(s) URL');
+  }
+
+  const host = hostOf(url);
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map((entry) => entry.address);
+    } catch (err) {
+      throw new Error(`Host ${host} could not be resolved`);
+    }
+  }
+
+  if (addresses.some(isBlockedAddress)) {
+    throw new Error('URL must point to a public address, not a private or internal one');
+  }
+};
+
+/**
+ * POST a body to a webhook URL and resolve with the response status (redirects aren't followed).
+ * rejects for blocked targets, network errors and timeouts ("Request timed out")
+ */
+const postToWebhook = (value, { headers, body, timeoutMs }) =>
+  new Promise((resolve, reject) => {
+    const url = new URL(value);
+    const host = hostOf(url);
+
+    //IP literals never go through the lookup
+    if (net.isIP(host) && isBlockedAddress(host)) {
+      return reject(blockedTargetError(host));
+    }
+
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(
+      url,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: safeLookup,
+      },
+      (res) => {
+        clearTimeout(timer);
+        res.resume(); //the response body isn't used
+        resolve(res.statusCode);
+      }
+    );
+    const timer = setTimeout(() => req.destroy(new Error('Request timed out')), timeoutMs);
+    req.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    req.end(body);
+  });
+
+module.exports = { isBlockedAddress, assertPublicUrl, postToWebhook };
@@ -0,0 +1,194 @@
+//utils/webhooks.js
+//outbound webhooks: queue a delivery for every endpoint subscribed to an event, sign it with
+//HMAC-SHA256 and POST it, retrying with exponential backoff (see config/webhooks.js).
+//deliveries are stored first, so nothing is lost if the server restarts mid-retry.
+
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const Company = require('../models/Company');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { postToWebhook } = require('./webhookTargets');
+const {
+  MAX_ATTEMPTS,
+  BASE_DELAY_MS,
+  MAX_DELAY_MS,
+  REQUEST_TIMEOUT_MS,
+} = require('../config/webhooks');
+
+//new random signing secret
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * signature sent in X-Gencruit-Signature: "t=<unix seconds>,v1=<hex hmac>"
+ * receivers recompute HMAC-SHA256(secret, "<t>.<raw body>") and compare, and reject old timestamps
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${hmac}`;
+};
+
+//wait before the attempt after `attemptCount` failed ones (with a little jitter so retries spread out)
+const backoffDelay = (attemptCount) => {
+  const delay = Math.min(BASE_DELAY_MS * 2 ** (attemptCount - 1), MAX_DELAY_MS);
+  return Math.round(delay * (0.9 + Math.random() * 0.2));
+};
+
+//claim a due delivery so no other worker sends it at the same time
+const claimDelivery = (filter) =>
+  WebhookDelivery.findOneAndUpdate(
+    {
+      ...filter,
+      status: 'pending',
+      nextAttemptAt: { $lte: new Date() },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: new Date() } }],
+    },
+    { $set: { lockedUntil: new Date(Date.now() + REQUEST_TIMEOUT_MS * 3) } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+
+//company webhooks are registered by an owner and only work while they still own the company
+const isCompanyOwner = (companyId, userId) =>
+  Company.exists({ _id: companyId, members: { $elemMatch: { user: userId, role: 'owner' } } });
+
+//switch off a user's webhooks for a company (they left it or are no longer an owner)
+const deactivateCompanyWebhooks = (companyId, userId) =>
+  Webhook.updateMany({ companyId, owner: userId, active: true }, { $set: { active: false } });
+
+//give up on a claimed delivery without sending it
+const failDelivery = (delivery, error) => {
+  delivery.status = 'failed';
+  delivery.attempts.push({ error });
+  delivery.lockedUntil = null;
+  return delivery.save();
+};
+
+//POST a claimed delivery once and record the outcome
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+  //endpoint removed or switched off since the event happened
+  if (!webhook || !webhook.active) {
+    return failDelivery(delivery, 'Webhook deleted or inactive');
+  }
+
+  //the owner left the company (or was demoted) since the webhook was registered
+  if (webhook.companyId && !(await isCompanyOwner(webhook.companyId, webhook.owner))) {
+    await deactivateCompanyWebhooks(webhook.companyId, webhook.owner);
+    return failDelivery(delivery, 'Webhook owner is no longer an owner of the company');
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+  const attempt = {};
+
+  try {
+    //the target is checked again here: its DNS may point somewhere else than when it was saved
+    const status = await postToWebhook(webhook.url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Gencruit-Webhooks/1.0',
+        'X-Gencruit-Event': delivery.event,
+        'X-Gencruit-Delivery': delivery._id.toString(),
+        'X-Gencruit-Signature': signPayload(webhook.secret, body),
+      },
+      body,
+      timeoutMs: REQUEST_TIMEOUT_MS,
+    });
+    attempt.responseStatus = status;
+    //a redirect is not a successful delivery
+    if (status < 200 || status >= 300) attempt.error = `HTTP ${status}`;
+  } catch (err) {
+    attempt.error = err.message;
+  }
+
+  attempt.durationMs = Date.now() - started;
+  delivery.attempts.push(attempt);
+  delivery.lockedUntil = null;
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + backoffDelay(delivery.attempts.length));
+  }
+
+  return delivery.save();
+};
+
+//send every delivery that is due right now (used by the worker and right after an event)
+const processDueDeliveries = async (filter = {}) => {
+  let delivery;
+  while ((delivery = await claimDelivery(filter))) {
+    await attemptDelivery(delivery);
+  }
+};
+
+//try specific deliveries straight away instead of waiting for the next worker tick
+const sendNow = (deliveries) => {
+  const ids = deliveries.map((d) => d._id);
+  if (!ids.length) return;
+  processDueDeliveries({ _id: { $in: ids } }).catch((err) =>
+    console.error('Webhook delivery failed:', err.message)
+  );
+};
+
+//job fields sent to receivers (internal fields left out)
+const serializeJob = (job) => {
+  const { __v, ...data } = job.toObject ? job.toObject() : job;
+  return data;
+};
+
+/**
+ * queue an event for every active webhook that subscribed to it and covers the job
+ * (registered for the job's company, or by the job's poster while they are still in it). never throws.
+ */
+const emitWebhookEvent = async (event, job, data) => {
+  try {
+    //company jobs reach the company's webhooks, and the poster's own ones while they are still in it
+    const scope = [];
+    if (job.companyId) scope.push({ companyId: job.companyId });
+    if (!job.companyId || (await Company.exists({ _id: job.companyId, 'members.user': job.user }))) {
+      scope.push({ owner: job.user, companyId: null });
+    }
+
+    const webhooks = await Webhook.find({ active: true, events: event, $or: scope });
+    if (!webhooks.length) return;
+
+    const createdAt = new Date();
+    const deliveries = await WebhookDelivery.insertMany(
+      webhooks.map((webhook) => ({
+        webhook: webhook._id,
+        event,
+        payload: { event, createdAt, data },
+      }))
+    );
+
+    sendNow(deliveries);
+  } catch (err) {
+    console.error(`Failed to queue ${event} webhooks:`, err.message);
+  }
+};
+
+//queue a fresh copy of an earlier delivery (same payload) and send it now
+const redeliver = async (delivery) => {
+  const copy = await WebhookDelivery.create({
+    webhook: delivery.webhook,
+    event: delivery.event,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id,
+  });
+  await processDueDeliveries({ _id: copy._id });
+  return WebhookDelivery.findById(copy._id);
+};
+
+module.exports = {
+  generateSecret,
+  signPayload,
+  backoffDelay,
+  emitWebhookEvent,
+  processDueDeliveries,
+  deactivateCompanyWebhooks,
+  redeliver,
+  serializeJob,
+};
@@ -0,0 +1,89 @@
+// validators/jobValidators.js
+
+//express-validator rules for job create/update, shared by every route that writes jobs
+const { check, body } = require('express-validator');
+const {
+  EMPLOYMENT_TYPES,
+  SENIORITY_LEVELS,
+  REMOTE_POLICIES,
+  SALARY_PERIODS,
+} = require('../config/jobOptions'); //allowed attribute values
+const { CREATABLE_JOB_STATUSES } = require('../config/jobLifecycle'); //posting lifecycle
+
+//accept skills as an array or a comma-separated string, and normalize to a clean array
+const toSkillList = (value) => {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map((s) => String(s).trim().toLowerCase()).filter(Boolean))];
+};
+
+//optional future publish time for scheduled publishing
+const publishAtRule = () =>
+  check('publishAt', 'Publish time must be a future date')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .toDate()
+    .custom((publishAt) => publishAt > new Date());
+
+/**
+ * build the validation chain for a job payload
+ * partial = true for updates: every field becomes optional but is still checked when present
+ */
+const jobRules = ({ partial = false } = {}) => {
+  //required on create, optional on update
+  const field = (name, message) => (partial ? check(name, message).optional() : check(name, message));
+
+  return [
+    field('title', 'Job title is required').notEmpty(),
+    check('companyId', 'Invalid company id').optional().isMongoId(),
+    //a free-text company name is only needed when no company is linked
+    partial
+      ? check('company', 'Company name is required').optional().notEmpty()
+      : check('company', 'Company name is required').if(body('companyId').not().exists()).notEmpty(),
+    field('description', 'Description must be at least 10 characters').isLength({ min: 10 }),
+    field('location', 'Location is required').notEmpty(),
+
+    //salary range: { min, max, currency, period }
+    check('salary', 'Salary must be an object like { min, max, currency, period }').optional().isObject(),
+    check('salary.min', 'Salary min must be a positive number').optional().isFloat({ min: 0 }).toFloat(),
+    check('salary.max', 'Salary max must be a positive number').optional().isFloat({ min: 0 }).toFloat(),
+    check('salary.max', 'Salary max must be greater than or equal to salary min')
+      .optional()
+      .custom((max, { req }) => req.body.salary.min == null || Number(max) >= Number(req.body.salary.min)),
+    check('salary.currency', 'Currency must be a 3-letter ISO 4217 code').optional().isISO4217(),
+    check('salary.period', `Salary period must be one of: ${SALARY_PERIODS.join(', ')}`)
+      .optional()
+      .isIn(SALARY_PERIODS),
+
+    check('employmentType', `Employment type must be one of: ${EMPLOYMENT_TYPES.join(', ')}`)
+      .optional()
+      .isIn(EMPLOYMENT_TYPES),
+    check('seniority', `Seniority must be one of: ${SENIORITY_LEVELS.join(', ')}`)
+      .optional()
+      .isIn(SENIORITY_LEVELS),
+    check('remotePolicy', `Remote policy must be one of: ${REMOTE_POLICIES.join(', ')}`)
+      .optional()
+      .isIn(REMOTE_POLICIES),
+    check('skills', 'Skills must be a list of at most 50 entries')
+      .optional()
+      .customSanitizer(toSkillList)
+      .isArray({ max: 50 }),
+    check('skills.*', 'Each skill must be at most 50 characters').optional().isLength({ max: 50 }),
+    check('applicationDeadline', 'Application deadline must be a future date')
+      .optional()
+      .isISO8601()
+      .toDate()
+      .custom((deadline) => deadline > new Date()),
+
+    //lifecycle fields are only set on create; later changes go through the publish/pause/close routes
+    ...(partial
+      ? []
+      : [
+          check('status', `Status must be one of: ${CREATABLE_JOB_STATUSES.join(', ')}`)
+            .optional()
+            .isIn(CREATABLE_JOB_STATUSES),
+          publishAtRule(),
+        ]),
+  ];
+};
+
+module.exports = { jobRules, publishAtRule, toSkillList };
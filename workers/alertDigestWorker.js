@@ -0,0 +1,33 @@
+// workers/alertDigestWorker.js
+
+//background loop that sends candidates their daily/weekly digests of new jobs matching their saved searches.
+
+const { sendDueDigests } = require('../utils/jobAlerts');
+const { DIGEST_INTERVAL_MS } = require('../config/jobAlerts');
+
+const startAlertDigestWorker = () => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    //skip a tick if the previous one is still running
+    if (running) return;
+    running = true;
+    try {
+      const { sent, failed } = await sendDueDigests();
+      if (sent || failed) {
+        console.log(`Sent ${sent} job alert digests (${failed} failed)`);
+      }
+    } catch (err) {
+      console.error('Alert digest worker error:', err.message);
+    } finally {
+      running = false;
+    }
+  }, DIGEST_INTERVAL_MS);
+
+  //don't keep the process alive just for this loop
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = startAlertDigestWorker;
@@ -0,0 +1,37 @@
+// workers/jobSweeper.js
+
+//background loop that publishes scheduled jobs and expires jobs past their application deadline.
+//safe to run on several server instances: each status change only applies if the status is unchanged.
+
+const { publishScheduledJobs, expireOverdueJobs } = require('../utils/jobLifecycle');
+const { SWEEP_INTERVAL_MS } = require('../config/jobLifecycle');
+
+const startJobSweeper = () => {
+  let running = false;
+
+  const tick = async () => {
+    //skip a tick if the previous one is still running
+    if (running) return;
+    running = true;
+    try {
+      await publishScheduledJobs();
+      await expireOverdueJobs();
+    } catch (err) {
+      console.error('Job sweeper error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, SWEEP_INTERVAL_MS);
+
+  //don't keep the process alive just for this loop
+  timer.unref();
+
+  //catch up on anything that became due while the server was down
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = startJobSweeper;
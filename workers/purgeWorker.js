@@ -0,0 +1,33 @@
+// workers/purgeWorker.js
+
+//background loop that permanently removes soft-deleted jobs and users past their retention period.
+
+const { purgeExpired } = require('../utils/purge');
+const { PURGE_INTERVAL_MS } = require('../config/retention');
+
+const startPurgeWorker = () => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    //skip a tick if the previous one is still running
+    if (running) return;
+    running = true;
+    try {
+      const { jobs, users } = await purgeExpired();
+      if (jobs || users) {
+        console.log(`Purged ${jobs} deleted jobs and ${users} deleted users`);
+      }
+    } catch (err) {
+      console.error('Purge worker error:', err.message);
+    } finally {
+      running = false;
+    }
+  }, PURGE_INTERVAL_MS);
+
+  //don't keep the process alive just for this loop
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = startPurgeWorker;
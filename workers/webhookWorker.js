@@ -0,0 +1,31 @@
+// workers/webhookWorker.js
+
+//background loop that retries webhook deliveries once their backoff has passed.
+//safe to run on several server instances: each delivery is claimed before it is sent.
+
+const { processDueDeliveries } = require('../utils/webhooks');
+const { POLL_INTERVAL_MS } = require('../config/webhooks');
+
+const startWebhookWorker = () => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    //skip a tick if the previous one is still sending
+    if (running) return;
+    running = true;
+    try {
+      await processDueDeliveries();
+    } catch (err) {
+      console.error('Webhook worker error:', err.message);
+    } finally {
+      running = false;
+    }
+  }, POLL_INTERVAL_MS);
+
+  //don't keep the process alive just for this loop
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = startWebhookWorker;